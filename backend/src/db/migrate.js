@@ -0,0 +1,51 @@
+import { migrateUp, migrateDown, getMigrationStatus } from './migrator.js';
+import { closePool } from './postgres.js';
+
+const USAGE = 'Usage: npm run migrate -- up [version] | down [steps] | status';
+
+/**
+ * Run database migrations from the command line
+ * up [version]  apply pending migrations (up to and including version)
+ * down [steps]  revert the last applied migrations (default 1)
+ * status        list migrations and whether each is applied
+ */
+async function run(command, arg) {
+  if (command === 'up') {
+    const applied = await migrateUp({ to: arg || null });
+    console.log(applied.length > 0 ? `${applied.length} migration(s) applied` : 'Database is up to date');
+    return;
+  }
+
+  if (command === 'down') {
+    const steps = arg ? parseInt(arg, 10) : 1;
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error(USAGE);
+    }
+    const reverted = await migrateDown({ steps });
+    console.log(`${reverted.length} migration(s) reverted`);
+    return;
+  }
+
+  if (command === 'status') {
+    const { migrations, unknown } = await getMigrationStatus();
+    for (const migration of migrations) {
+      const state = migration.appliedAt ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+      console.log(`${migration.version}_${migration.name}  ${state}`);
+    }
+    for (const row of unknown) {
+      console.log(`${row.version}_${row.name}  applied, but no migration file here`);
+    }
+    return;
+  }
+
+  throw new Error(USAGE);
+}
+
+const [command, arg] = process.argv.slice(2);
+
+run(command, arg)
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(closePool);
@@ -1,6 +1,6 @@
--- Flash Sale System Database Schema
+-- Flash sales and their orders, as first released
+-- Every statement is idempotent, so databases created by the old init.sql can be brought under migrations
 
--- Flash Sale table
 CREATE TABLE IF NOT EXISTS flash_sale (
     id SERIAL PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
@@ -11,7 +11,9 @@ CREATE TABLE IF NOT EXISTS flash_sale (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
--- Orders table
+-- Some early databases were created without updated_at, which sale updates write
+ALTER TABLE flash_sale ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
 CREATE TABLE IF NOT EXISTS orders (
     id SERIAL PRIMARY KEY,
     user_id VARCHAR(255) NOT NULL,
@@ -19,20 +21,10 @@ CREATE TABLE IF NOT EXISTS orders (
     status VARCHAR(50) NOT NULL DEFAULT 'SUCCESS' CHECK (status IN ('SUCCESS', 'FAILED')),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     
-    -- CRITICAL: Unique constraint to prevent duplicate purchases per user per sale
+    -- One order per user per sale (lifted by 0002_sale_items_and_quantities)
     CONSTRAINT unique_user_sale UNIQUE (user_id, sale_id)
 );
 
--- Index for faster lookups
 CREATE INDEX IF NOT EXISTS idx_orders_user_sale ON orders(user_id, sale_id);
 CREATE INDEX IF NOT EXISTS idx_orders_sale_id ON orders(sale_id);
 CREATE INDEX IF NOT EXISTS idx_flash_sale_times ON flash_sale(start_time, end_time);
-
--- Insert a default flash sale for testing (active for 24 hours from now, 100 items)
-INSERT INTO flash_sale (name, start_time, end_time, total_stock)
-VALUES (
-    'Flash Sale Event',
-    CURRENT_TIMESTAMP,
-    CURRENT_TIMESTAMP + INTERVAL '24 hours',
-    100
-) ON CONFLICT DO NOTHING;
@@ -0,0 +1,8 @@
+-- Fails if a user already has several orders for one sale
+ALTER TABLE orders ADD CONSTRAINT unique_user_sale UNIQUE (user_id, sale_id);
+
+ALTER TABLE orders DROP COLUMN IF EXISTS quantity;
+ALTER TABLE orders DROP COLUMN IF EXISTS item_id;
+ALTER TABLE flash_sale DROP COLUMN IF EXISTS max_per_user;
+
+DROP TABLE IF EXISTS sale_items;
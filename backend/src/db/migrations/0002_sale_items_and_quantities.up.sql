@@ -0,0 +1,27 @@
+-- Sale items (SKUs / variants of one flash sale, each with its own stock) and multi-unit orders
+
+-- max_per_user is an optional item-level limit on top of flash_sale.max_per_user
+CREATE TABLE IF NOT EXISTS sale_items (
+    id SERIAL PRIMARY KEY,
+    sale_id INTEGER NOT NULL REFERENCES flash_sale(id) ON DELETE CASCADE,
+    sku VARCHAR(100) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    total_stock INTEGER NOT NULL CHECK (total_stock >= 0),
+    max_per_user INTEGER CHECK (max_per_user >= 1),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    
+    CONSTRAINT unique_sale_sku UNIQUE (sale_id, sku)
+);
+
+ALTER TABLE flash_sale ADD COLUMN IF NOT EXISTS max_per_user INTEGER NOT NULL DEFAULT 1 CHECK (max_per_user >= 1);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS item_id INTEGER REFERENCES sale_items(id);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity >= 1);
+
+-- A user may place several orders per sale, up to flash_sale.max_per_user units in total.
+-- The running total is enforced by the Redis purchase gate and re-checked under a
+-- per-user advisory lock when the order is written
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS unique_user_sale;
+
+CREATE INDEX IF NOT EXISTS idx_orders_item_id ON orders(item_id);
+CREATE INDEX IF NOT EXISTS idx_sale_items_sale_id ON sale_items(sale_id);
@@ -0,0 +1,15 @@
+-- Reservations with payment, stream-mode order references and cancellation
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS order_ref VARCHAR(64) UNIQUE; -- reference handed out in stream mode, makes worker inserts idempotent
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE; -- payment deadline of a RESERVED order
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancelled_by VARCHAR(255); -- user id of the buyer or the admin who cancelled
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancel_reason TEXT;
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+    CHECK (status IN ('SUCCESS', 'RESERVED', 'PAID', 'EXPIRED', 'FAILED', 'CANCELLED'));
+
+CREATE INDEX IF NOT EXISTS idx_orders_reserved_expiry ON orders(expires_at) WHERE status = 'RESERVED';
+CREATE INDEX IF NOT EXISTS idx_orders_created_at ON orders(created_at, id);
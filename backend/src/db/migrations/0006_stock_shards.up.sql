@@ -0,0 +1,4 @@
+-- Hot-key stock sharding: a sale's stock (or each item's) is split across stock_shards Redis keys
+-- 1 keeps the single stock key; fixed when the sale is created
+
+ALTER TABLE flash_sale ADD COLUMN IF NOT EXISTS stock_shards INTEGER NOT NULL DEFAULT 1 CHECK (stock_shards BETWEEN 1 AND 64);
@@ -0,0 +1,8 @@
+DROP INDEX IF EXISTS idx_flash_sale_not_closed;
+
+ALTER TABLE sale_items DROP COLUMN IF EXISTS final_stock;
+
+ALTER TABLE flash_sale DROP COLUMN IF EXISTS sold_out_at;
+ALTER TABLE flash_sale DROP COLUMN IF EXISTS final_stock;
+ALTER TABLE flash_sale DROP COLUMN IF EXISTS closed_at;
+ALTER TABLE flash_sale DROP COLUMN IF EXISTS prewarmed_at;
@@ -0,0 +1,13 @@
+-- Sale lifecycle: the scheduler pre-warms Redis before start_time and closes the sale at end_time
+
+-- prewarmed_at / closed_at record that a transition ran, so each runs once and missed ones are caught up
+-- final_stock is the remaining stock when the sale closed; sold_out_at is when its last unit was ordered
+ALTER TABLE flash_sale ADD COLUMN IF NOT EXISTS prewarmed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE flash_sale ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE flash_sale ADD COLUMN IF NOT EXISTS final_stock INTEGER;
+ALTER TABLE flash_sale ADD COLUMN IF NOT EXISTS sold_out_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS final_stock INTEGER;
+
+-- The scheduler looks for sales that are not closed yet
+CREATE INDEX IF NOT EXISTS idx_flash_sale_not_closed ON flash_sale(end_time) WHERE closed_at IS NULL;
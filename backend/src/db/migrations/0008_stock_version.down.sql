@@ -0,0 +1 @@
+ALTER TABLE flash_sale DROP COLUMN IF EXISTS stock_version;
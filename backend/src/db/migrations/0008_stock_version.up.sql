@@ -0,0 +1,4 @@
+-- Counts a sale's stock resets and admin stock changes; it names each sell-out, so sale.sold_out
+-- webhooks are sent again when a sale is restocked and sells out again
+
+ALTER TABLE flash_sale ADD COLUMN IF NOT EXISTS stock_version INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS redis_breaker_instances;
+DROP TABLE IF EXISTS redis_breaker_reseeded;
+DROP TABLE IF EXISTS redis_breaker;
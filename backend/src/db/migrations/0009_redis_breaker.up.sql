@@ -0,0 +1,28 @@
+-- Redis circuit breaker state shared by every instance, so they agree on when purchases use Postgres only
+
+-- One row. epoch goes up each time the breaker opens; re-seeds and closes made for an older epoch are refused
+CREATE TABLE IF NOT EXISTS redis_breaker (
+    id SMALLINT PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+    state VARCHAR(16) NOT NULL DEFAULT 'CLOSED', -- CLOSED, OPEN or HALF_OPEN
+    epoch INTEGER NOT NULL DEFAULT 0,
+    opened_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT
+);
+
+INSERT INTO redis_breaker (id) VALUES (1) ON CONFLICT DO NOTHING;
+
+-- Sales re-seeded while the breaker is HALF_OPEN; a row of the current epoch puts the sale back on Redis
+CREATE TABLE IF NOT EXISTS redis_breaker_reseeded (
+    sale_id INTEGER PRIMARY KEY REFERENCES flash_sale(id) ON DELETE CASCADE,
+    epoch INTEGER NOT NULL
+);
+
+-- What each instance reported on its last sync: the epoch it follows, whether purchases it started
+-- under an older epoch are all finished, and how many gate cancels it still has to get through to Redis
+CREATE TABLE IF NOT EXISTS redis_breaker_instances (
+    instance_id VARCHAR(255) PRIMARY KEY,
+    epoch INTEGER NOT NULL,
+    purchases_drained BOOLEAN NOT NULL,
+    pending_gate_cancels INTEGER NOT NULL,
+    synced_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,171 @@
+import { readdir, readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { query, getClient } from './postgres.js';
+
+const MIGRATIONS_DIR = fileURLToPath(new URL('./migrations', import.meta.url));
+
+// <version>_<name>.<up|down>.sql, e.g. 0003_order_lifecycle.up.sql
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Serializes runners, so two db-init containers cannot apply the same migration twice
+const MIGRATION_LOCK = 'schema_migrations';
+
+/**
+ * Read the migration files, ordered by version
+ * Returns [{ version, name, up, down }] with the file names of each direction (down may be null)
+ */
+export async function loadMigrations() {
+  const files = await readdir(MIGRATIONS_DIR);
+  const byVersion = new Map();
+
+  for (const file of files) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) {
+      continue;
+    }
+    const [, version, name, direction] = match;
+    const migration = byVersion.get(version) || { version, name, up: null, down: null };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has two names: ${migration.name} and ${name}`);
+    }
+    migration[direction] = file;
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => Number(a.version) - Number(b.version));
+  const missingUp = migrations.find((migration) => !migration.up);
+  if (missingUp) {
+    throw new Error(`Migration ${missingUp.version}_${missingUp.name} has no .up.sql file`);
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(executor) {
+  await executor.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version VARCHAR(32) PRIMARY KEY,
+       name VARCHAR(255) NOT NULL,
+       applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+     )`
+  );
+}
+
+async function getAppliedMigrations(executor) {
+  // A database that has never been migrated has no table yet; reading status must not create it
+  const table = await executor.query(`SELECT to_regclass('schema_migrations') IS NOT NULL as exists`);
+  if (!table.rows[0].exists) {
+    return [];
+  }
+  const result = await executor.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+/**
+ * Every migration file with whether it has been applied, plus versions applied
+ * in the database that have no file here (e.g. from a newer release)
+ */
+export async function getMigrationStatus() {
+  const [migrations, applied] = await Promise.all([loadMigrations(), getAppliedMigrations({ query })]);
+  const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+  const known = new Set(migrations.map((migration) => migration.version));
+
+  return {
+    migrations: migrations.map((migration) => ({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: appliedByVersion.get(migration.version)?.applied_at || null,
+    })),
+    unknown: applied.filter((row) => !known.has(row.version)),
+  };
+}
+
+/**
+ * Migrations with a file here that the database has not applied yet
+ */
+export async function getPendingMigrations() {
+  const { migrations } = await getMigrationStatus();
+  return migrations.filter((migration) => !migration.appliedAt);
+}
+
+async function withMigrationLock(fn) {
+  const client = await getClient();
+  try {
+    await client.query('SELECT pg_advisory_lock(hashtext($1))', [MIGRATION_LOCK]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [MIGRATION_LOCK]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Run one migration file and record the result in the same transaction
+async function runMigrationFile(client, migration, direction) {
+  const sql = await readFile(path.join(MIGRATIONS_DIR, migration[direction]), 'utf8');
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${migration[direction]} failed: ${error.message}`);
+  }
+}
+
+/**
+ * Apply pending migrations in version order, up to and including `to` when given
+ * Each migration runs in its own transaction; returns the migrations applied
+ */
+export async function migrateUp({ to = null } = {}) {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = new Set((await getAppliedMigrations(client)).map((row) => row.version));
+    const pending = migrations.filter((migration) => !applied.has(migration.version) && (!to || Number(migration.version) <= Number(to)));
+
+    for (const migration of pending) {
+      await runMigrationFile(client, migration, 'up');
+      console.log(`Applied migration ${migration.version}_${migration.name}`);
+    }
+    return pending;
+  });
+}
+
+/**
+ * Revert the last `steps` applied migrations, newest first
+ * Returns the migrations reverted
+ */
+export async function migrateDown({ steps = 1 } = {}) {
+  const migrations = await loadMigrations();
+  const byVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+
+  return withMigrationLock(async (client) => {
+    const applied = (await getAppliedMigrations(client)).reverse().slice(0, steps);
+
+    // Check every step first, so a missing file does not leave the schema half reverted
+    for (const row of applied) {
+      const migration = byVersion.get(row.version);
+      if (!migration || !migration.down) {
+        throw new Error(`Migration ${row.version}_${row.name} cannot be reverted: no .down.sql file`);
+      }
+    }
+
+    const reverted = [];
+    for (const row of applied) {
+      const migration = byVersion.get(row.version);
+      await runMigrationFile(client, migration, 'down');
+      console.log(`Reverted migration ${migration.version}_${migration.name}`);
+      reverted.push(migration);
+    }
+    return reverted;
+  });
+}
@@ -1,5 +1,6 @@
 import pg from 'pg';
 import { config } from '../config/index.js';
+import { dbDuration, observe } from '../services/metrics.js';
 
 const { Pool } = pg;
 
@@ -25,7 +26,7 @@ export async function query(text, params) {
   const pool = getPool();
   const start = Date.now();
   try {
-    const result = await pool.query(text, params);
+    const result = await observe(dbDuration, { source: 'query' }, () => pool.query(text, params));
     const duration = Date.now() - start;
     if (duration > 100) {
       console.log('Slow query:', { text, duration, rows: result.rowCount });
@@ -39,7 +40,39 @@ export async function query(text, params) {
 
 export async function getClient() {
   const pool = getPool();
-  return pool.connect();
+  const client = await observe(dbDuration, { source: 'checkout' }, () => pool.connect());
+  instrumentClient(client);
+  return client;
+}
+
+const instrumented = Symbol('instrumented');
+
+// Time transaction queries; pooled clients are reused, so each one is wrapped only once
+// Callback-style calls (used internally by pool.query) pass straight through
+function instrumentClient(client) {
+  if (client[instrumented]) {
+    return;
+  }
+  const originalQuery = client.query.bind(client);
+  client.query = (...args) => (
+    typeof args[args.length - 1] === 'function'
+      ? originalQuery(...args)
+      : observe(dbDuration, { source: 'transaction' }, () => originalQuery(...args))
+  );
+  client[instrumented] = true;
+}
+
+/**
+ * Pool usage, for the metrics endpoint
+ */
+export function getPoolStats() {
+  const pool = getPool();
+  return {
+    total: pool.totalCount,
+    idle: pool.idleCount,
+    waiting: pool.waitingCount,
+    max: pool.options.max,
+  };
 }
 
 export async function closePool() {
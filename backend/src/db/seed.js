@@ -1,5 +1,6 @@
 import { query, closePool } from './postgres.js';
 import { initializeStock, closeRedis } from '../services/redis.js';
+import { HOLDING_STATUSES } from '../services/order.js';
 import { config } from '../config/index.js';
 
 async function seed() {
@@ -15,29 +16,35 @@ async function seed() {
       const endTime = new Date(startTime.getTime() + 24 * 60 * 60 * 1000);
       
       const result = await query(
-        `INSERT INTO flash_sale (name, start_time, end_time, total_stock)
-         VALUES ($1, $2, $3, $4)
-         RETURNING id, name, total_stock`,
-        ['Flash Sale Event', startTime.toISOString(), endTime.toISOString(), 100]
+        `INSERT INTO flash_sale (name, start_time, end_time, total_stock, stock_shards)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, name, total_stock, max_per_user, stock_shards`,
+        ['Flash Sale Event', startTime.toISOString(), endTime.toISOString(), 100, config.sale.stockShards]
       );
       
       console.log('Created flash sale:', result.rows[0]);
       
       // Initialize stock in Redis
-      await initializeStock(result.rows[0].id, result.rows[0].total_stock);
+      await initializeStock(result.rows[0].id, result.rows[0].total_stock, null, {
+        shards: result.rows[0].stock_shards,
+        maxPerUser: result.rows[0].max_per_user,
+      });
       console.log('Initialized Redis stock');
     } else {
       console.log('Flash sale already exists, skipping seed');
       
       // Reinitialize Redis stock
-      const sale = await query('SELECT total_stock FROM flash_sale WHERE id = $1', [config.sale.defaultSaleId]);
-      const orderCount = await query(
-        'SELECT COUNT(*) as count FROM orders WHERE sale_id = $1 AND status = $2',
-        [config.sale.defaultSaleId, 'SUCCESS']
+      const sale = await query('SELECT total_stock, max_per_user, stock_shards FROM flash_sale WHERE id = $1', [config.sale.defaultSaleId]);
+      const unitsSold = await query(
+        'SELECT COALESCE(SUM(quantity), 0) as units FROM orders WHERE sale_id = $1 AND status = ANY($2)',
+        [config.sale.defaultSaleId, HOLDING_STATUSES]
       );
       
-      const remainingStock = sale.rows[0].total_stock - parseInt(orderCount.rows[0].count, 10);
-      await initializeStock(config.sale.defaultSaleId, remainingStock);
+      const remainingStock = sale.rows[0].total_stock - parseInt(unitsSold.rows[0].units, 10);
+      await initializeStock(config.sale.defaultSaleId, remainingStock, null, {
+        shards: sale.rows[0].stock_shards,
+        maxPerUser: sale.rows[0].max_per_user,
+      });
       console.log(`Initialized Redis stock: ${remainingStock}`);
     }
     
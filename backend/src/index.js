@@ -3,11 +3,36 @@ import cors from '@fastify/cors';
 import rateLimit from '@fastify/rate-limit';
 import { config } from './config/index.js';
 import { saleRoutes } from './routes/sale.js';
+import { salesRoutes } from './routes/sales.js';
+import { orderRoutes } from './routes/order.js';
+import { authRoutes } from './routes/auth.js';
+import { metricsRoutes } from './routes/metrics.js';
+import { waitingRoomRoutes } from './routes/waiting-room.js';
+import { waitlistRoutes } from './routes/waitlist.js';
+import { webhookRoutes } from './routes/webhooks.js';
+import { auditRoutes } from './routes/audit.js';
 import { getPool, healthCheck as dbHealthCheck, closePool } from './db/postgres.js';
-import { connectRedis, healthCheck as redisHealthCheck, closeRedis } from './services/redis.js';
-import { initializeRedisStock } from './services/sale.js';
+import { getPendingMigrations } from './db/migrator.js';
+import { connectRedis, getRedisClient, healthCheck as redisHealthCheck, closeRedis } from './services/redis.js';
+import { rehydrateIfNeeded, startRehydrationWatch, stopRehydrationWatch } from './services/redis-rehydration.js';
+import { BreakerState, getBreakerStatus, startRedisBreaker, stopRedisBreaker } from './services/redis-breaker.js';
+import { startReservationSweeper, stopReservationSweeper } from './services/order.js';
+import { closeSaleEvents } from './services/sale-events.js';
+import { startAdmissionTicker, stopAdmissionTicker } from './services/waiting-room.js';
+import { startClaimSweeper, stopClaimSweeper } from './services/waitlist.js';
+import { startSaleScheduler, stopSaleScheduler } from './services/sale-scheduler.js';
+import { startReconciler, stopReconciler } from './services/reconciler.js';
+import { rateLimitRejections } from './services/metrics.js';
+import {
+  getIpRateLimitKey,
+  getUserRateLimitKey,
+  isRateLimitBypassed,
+  isUserRateLimitSkipped,
+  perUserLimit,
+} from './middleware/rate-limit.js';
 
 const fastify = Fastify({
+  trustProxy: config.trustProxy,
   logger: {
     level: process.env.LOG_LEVEL || 'info',
     transport: process.env.NODE_ENV !== 'production' 
@@ -20,48 +45,99 @@ const fastify = Fastify({
 await fastify.register(cors, {
   origin: ['http://localhost:5173', 'http://localhost:3000', 'http://127.0.0.1:5173', 'http://127.0.0.1:3000'],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-API-Key', 'X-RateLimit-Bypass', 'X-Admission-Token'],
+  exposedHeaders: [
+    'Idempotent-Replayed',
+    'Retry-After',
+    'WWW-Authenticate',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+  ],
 });
 
-// Register rate limiting
-await fastify.register(rateLimit, {
-  max: config.rateLimit.max,
-  timeWindow: config.rateLimit.timeWindow,
+// Register rate limiting (shared across instances through Redis; per-route limits are set in the route config)
+const rateLimitOptions = {
+  ...perUserLimit({ max: config.rateLimit.max, timeWindow: config.rateLimit.timeWindow }),
+  redis: getRedisClient(),
+  nameSpace: config.rateLimit.keyPrefix,
+  // Draft IETF headers: RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset (+ Retry-After on 429)
+  enableDraftSpec: true,
+  // Keep serving if Redis is unreachable rather than failing every request
+  skipOnError: true,
+  onExceeded: (request) => {
+    rateLimitRejections.inc({ route: request.routeOptions.url || 'unknown' });
+  },
   errorResponseBuilder: (request, context) => ({
+    statusCode: context.statusCode,
     error: 'Too Many Requests',
     message: `Rate limit exceeded. Please try again in ${Math.ceil(context.ttl / 1000)} seconds.`,
     retryAfter: Math.ceil(context.ttl / 1000),
   }),
+};
+
+// Each registration checks its own bucket: one per IP for every request, one per user for signed-in requests,
+// so neither many tokens from one address nor one token from many addresses gets past the limit
+await fastify.register(rateLimit, {
+  ...rateLimitOptions,
+  keyGenerator: getIpRateLimitKey,
+  allowList: isRateLimitBypassed,
+});
+await fastify.register(rateLimit, {
+  ...rateLimitOptions,
+  keyGenerator: getUserRateLimitKey,
+  allowList: isUserRateLimitSkipped,
 });
 
 // Health check endpoint
+// With the Redis circuit breaker open the instance still sells from Postgres, so it reports degraded, not unhealthy
 fastify.get('/health', async (request, reply) => {
   const [dbOk, redisOk] = await Promise.all([
     dbHealthCheck(),
     redisHealthCheck(),
   ]);
   
-  const healthy = dbOk && redisOk;
+  const breaker = getBreakerStatus();
+  const healthy = dbOk && redisOk && breaker.state === BreakerState.CLOSED;
+  const degraded = !healthy && dbOk && breaker.state !== BreakerState.CLOSED;
   
-  return reply.status(healthy ? 200 : 503).send({
-    status: healthy ? 'healthy' : 'unhealthy',
+  return reply.status(healthy || degraded ? 200 : 503).send({
+    status: healthy ? 'healthy' : (degraded ? 'degraded' : 'unhealthy'),
     services: {
       database: dbOk ? 'connected' : 'disconnected',
       redis: redisOk ? 'connected' : 'disconnected',
     },
+    redisBreaker: breaker,
     timestamp: new Date().toISOString(),
   });
 });
 
 // Register routes
+await fastify.register(authRoutes);
+await fastify.register(metricsRoutes);
 await fastify.register(saleRoutes);
+await fastify.register(waitingRoomRoutes);
+await fastify.register(waitlistRoutes);
+await fastify.register(salesRoutes);
+await fastify.register(orderRoutes);
+await fastify.register(webhookRoutes);
+await fastify.register(auditRoutes);
 
 // Graceful shutdown
 const gracefulShutdown = async (signal) => {
   console.log(`Received ${signal}, shutting down gracefully...`);
   
   try {
+    stopReservationSweeper();
+    stopAdmissionTicker();
+    stopClaimSweeper();
+    stopSaleScheduler();
+    stopReconciler();
+    stopRedisBreaker();
+    stopRehydrationWatch();
+    // Open SSE streams would keep fastify.close() waiting
+    await closeSaleEvents();
     await fastify.close();
     await closePool();
     await closeRedis();
@@ -79,21 +155,61 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 // Start server
 async function start() {
   try {
+    if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+      console.warn('JWT_SECRET is not set, tokens are signed with the built-in development secret');
+    }
+    if (process.env.NODE_ENV === 'production' && config.waitingRoom.enabled && !process.env.ADMISSION_TOKEN_SECRET) {
+      console.warn('ADMISSION_TOKEN_SECRET is not set, admission tokens are signed with the built-in development secret');
+    }
+    
     // Initialize database connection pool
     getPool();
     console.log('Database pool initialized');
     
+    // Never serve against a schema older than the code expects
+    const pendingMigrations = await getPendingMigrations();
+    if (pendingMigrations.length > 0) {
+      const names = pendingMigrations.map((migration) => `${migration.version}_${migration.name}`).join(', ');
+      console.error(`Database has pending migrations (${names}), run "npm run migrate -- up" first`);
+      process.exit(1);
+    }
+    
     // Connect to Redis
     await connectRedis();
     console.log('Redis connected');
     
-    // Initialize stock in Redis from DB
-    try {
-      await initializeRedisStock(config.sale.defaultSaleId);
-    } catch (error) {
-      console.warn('Could not initialize stock (sale may not exist yet):', error.message);
+    // Follow the Redis circuit breaker, which all instances share through Postgres
+    await startRedisBreaker();
+    
+    // Rebuild stock and user counts of every live sale if Redis has lost them (or was never seeded),
+    // and again whenever ioredis reconnects to a Redis without them
+    await rehydrateIfNeeded('startup');
+    startRehydrationWatch();
+    
+    // Expire unpaid reservations in the background
+    if (config.reservation.enabled) {
+      startReservationSweeper();
+      console.log(`Reservation sweeper started (hold: ${config.reservation.holdSeconds}s)`);
     }
     
+    // Admit queued buyers at the configured rate
+    if (config.waitingRoom.enabled) {
+      startAdmissionTicker();
+      console.log(`Waiting room admission ticker started (default: ${config.waitingRoom.admissionsPerSecond}/s)`);
+    }
+    
+    // Pass expired waitlist claims on to the next buyers in line
+    startClaimSweeper();
+    console.log(`Waitlist claim sweeper started (claim: ${config.waitlist.claimSeconds}s)`);
+    
+    // Pre-warm sales before they start and close them out once they end
+    startSaleScheduler();
+    console.log(`Sale lifecycle scheduler started (pre-warm lead: ${config.saleLifecycle.prewarmLeadSeconds}s)`);
+    
+    // Compare Redis with the orders in Postgres, and fix confirmed differences when auto-repair is on
+    startReconciler();
+    console.log(`Reconciler started (every ${config.reconciler.intervalMs / 1000}s, auto-repair: ${config.reconciler.autoRepair})`);
+    
     // Start listening
     await fastify.listen({ port: config.port, host: config.host });
     console.log(`Server running at http://${config.host}:${config.port}`);
@@ -0,0 +1,102 @@
+import * as authService from '../services/auth.js';
+
+const tokenErrorMessages = {
+  [authService.TokenError.INVALID]: 'Invalid access token',
+  [authService.TokenError.EXPIRED]: 'Access token has expired',
+};
+
+function sendUnauthorized(reply, message) {
+  return reply
+    .status(401)
+    .header('WWW-Authenticate', 'Bearer')
+    .send({
+      error: 'Unauthorized',
+      message,
+    });
+}
+
+export function sendForbidden(reply, message) {
+  return reply.status(403).send({
+    error: 'Forbidden',
+    message,
+  });
+}
+
+/**
+ * Read and verify the bearer token of a request
+ * Returns { user } or { message } describing why there is no user
+ */
+export function authenticate(request) {
+  const header = request.headers.authorization;
+  if (!header || !header.startsWith('Bearer ')) {
+    return { message: 'Missing bearer token' };
+  }
+  
+  const { payload, error } = authService.verifyToken(header.slice('Bearer '.length).trim());
+  if (error) {
+    return { message: tokenErrorMessages[error] };
+  }
+  
+  return {
+    user: {
+      id: payload.sub,
+      role: payload.role || authService.Role.SHOPPER,
+    },
+  };
+}
+
+/**
+ * Require a valid bearer token; sets request.user = { id, role }
+ */
+export function requireUser() {
+  return async (request, reply) => {
+    const { user, message } = authenticate(request);
+    if (!user) {
+      return sendUnauthorized(reply, message);
+    }
+    request.user = user;
+  };
+}
+
+/**
+ * Require an admin: either the X-API-Key header or a bearer token with the admin role
+ */
+export function requireAdmin() {
+  return async (request, reply) => {
+    const apiKey = request.headers['x-api-key'];
+    if (apiKey !== undefined) {
+      if (!authService.isValidAdminApiKey(apiKey)) {
+        return sendUnauthorized(reply, 'Invalid API key');
+      }
+      request.user = { id: 'api-key', role: authService.Role.ADMIN };
+      return;
+    }
+    
+    const { user, message } = authenticate(request);
+    if (!user) {
+      return sendUnauthorized(reply, message);
+    }
+    if (user.role !== authService.Role.ADMIN) {
+      return sendForbidden(reply, 'Admin access required');
+    }
+    request.user = user;
+  };
+}
+
+/**
+ * Accept either a valid bearer token (any role) or admin credentials in X-API-Key
+ */
+export function requireUserOrAdmin() {
+  const userCheck = requireUser();
+  const adminCheck = requireAdmin();
+  return async (request, reply) => {
+    if (request.headers['x-api-key'] !== undefined) {
+      return adminCheck(request, reply);
+    }
+    return userCheck(request, reply);
+  };
+}
+
+export function isAdmin(request) {
+  return request.user?.role === authService.Role.ADMIN;
+}
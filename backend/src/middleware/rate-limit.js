@@ -0,0 +1,59 @@
+import * as authService from '../services/auth.js';
+import { authenticate } from './auth.js';
+import { config } from '../config/index.js';
+
+const verifiedUser = Symbol('rateLimitUser');
+
+// The verified user of a request, or null; only verified tokens count, so a client cannot
+// spread requests over made-up user ids. Read once per request, both buckets need it
+function getVerifiedUser(request) {
+  if (request[verifiedUser] === undefined) {
+    request[verifiedUser] = authenticate(request).user || null;
+  }
+  return request[verifiedUser];
+}
+
+function getRouteId(request) {
+  return `${request.method}:${request.routeOptions.url || request.url}`;
+}
+
+/**
+ * Per-IP rate-limit bucket of a request: the route plus the client IP, for every request
+ */
+export function getIpRateLimitKey(request) {
+  return `ip:${getRouteId(request)}:${request.ip}`;
+}
+
+/**
+ * Per-user rate-limit bucket of a request: the route plus the verified user (anonymous requests skip it)
+ */
+export function getUserRateLimitKey(request) {
+  const user = getVerifiedUser(request);
+  return `user:${getRouteId(request)}:${user ? user.id : ''}`;
+}
+
+/**
+ * Rate-limit options for a limit of max requests per user per timeWindow
+ * The per-IP bucket allows ipMaxFactor times as many for signed-in requests, so buyers sharing an
+ * address are not throttled as one; anonymous requests are held to max per IP
+ */
+export function perUserLimit({ max, timeWindow }) {
+  return {
+    max: (request, key) => (key.startsWith('ip:') && getVerifiedUser(request) ? max * config.rateLimit.ipMaxFactor : max),
+    timeWindow,
+  };
+}
+
+/**
+ * Trusted load-test clients skip rate limiting with the X-RateLimit-Bypass header
+ */
+export function isRateLimitBypassed(request) {
+  return authService.isValidRateLimitBypassKey(request.headers['x-ratelimit-bypass']);
+}
+
+/**
+ * The per-user bucket skips bypassed and anonymous requests (the per-IP bucket covers those)
+ */
+export function isUserRateLimitSkipped(request) {
+  return isRateLimitBypassed(request) || !getVerifiedUser(request);
+}
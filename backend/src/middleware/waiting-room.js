@@ -0,0 +1,33 @@
+import * as waitingRoomService from '../services/waiting-room.js';
+import { config } from '../config/index.js';
+
+const admissionMessages = {
+  [waitingRoomService.AdmissionResult.ADMISSION_REQUIRED]: 'Join the waiting room and wait for your turn before purchasing',
+  [waitingRoomService.AdmissionResult.ADMISSION_INVALID]: 'Invalid admission token',
+  [waitingRoomService.AdmissionResult.ADMISSION_EXPIRED]: 'Your admission has expired, please join the waiting room again',
+};
+
+/**
+ * Require an admission token (X-Admission-Token) for the sale being purchased from
+ * Must run after requireUser(); does nothing while the waiting room is disabled
+ */
+export function requireAdmission() {
+  return async (request, reply) => {
+    if (!config.waitingRoom.enabled) {
+      return;
+    }
+    
+    const saleId = request.body?.saleId 
+      ? parseInt(request.body.saleId, 10) 
+      : config.sale.defaultSaleId;
+    
+    const result = waitingRoomService.verifyAdmission(request.headers['x-admission-token'], saleId, request.user.id);
+    if (result !== waitingRoomService.AdmissionResult.ADMITTED) {
+      return reply.status(403).send({
+        error: 'Forbidden',
+        result,
+        message: admissionMessages[result],
+      });
+    }
+  };
+}
@@ -0,0 +1,45 @@
+import * as auditService from '../services/audit.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { listAuditQuerySchema, validateQuery } from '../schemas/index.js';
+
+// Shape an audit_log row for the admin API
+function formatEntry(entry) {
+  return {
+    id: String(entry.id),
+    actor: entry.actor,
+    action: entry.action,
+    saleId: entry.sale_id,
+    targetType: entry.target_type,
+    targetId: entry.target_id,
+    before: entry.before,
+    after: entry.after,
+    requestMeta: entry.request_meta,
+    createdAt: entry.created_at,
+  };
+}
+
+/**
+ * Admin audit log
+ */
+export async function auditRoutes(fastify) {
+  /**
+   * GET /audit?actor=...&action=sale.reset,sale.delete&saleId=1&targetType=webhook&targetId=3&from=...&to=...
+   * Admin mutations, newest first; follow nextCursor for the next page
+   */
+  fastify.get('/audit', {
+    preHandler: [requireAdmin(), validateQuery(listAuditQuerySchema)],
+  }, async (request, reply) => {
+    const { actor, action, saleId, targetType, targetId, from, to, limit, cursor } = request.validatedQuery;
+
+    const { entries, total, nextCursor } = await auditService.listAuditEntries(
+      { actor, actions: action, saleId, targetType, targetId, from, to },
+      { limit, cursor }
+    );
+
+    return reply.send({
+      entries: entries.map(formatEntry),
+      total,
+      nextCursor,
+    });
+  });
+}
@@ -0,0 +1,32 @@
+import * as authService from '../services/auth.js';
+import { authTokenSchema, validateBody } from '../schemas/index.js';
+import { perUserLimit } from '../middleware/rate-limit.js';
+import { config } from '../config/index.js';
+
+export async function authRoutes(fastify) {
+  /**
+   * POST /auth/token
+   * Issue a shopper token for any user ID (local demos and load tests only)
+   * In production shopper tokens come from the identity provider that shares JWT_SECRET
+   * Body: { "userId": "user123" }
+   */
+  fastify.post('/auth/token', {
+    config: { rateLimit: perUserLimit(config.rateLimit.routes.authToken) },
+    preHandler: validateBody(authTokenSchema),
+  }, async (request, reply) => {
+    if (!config.auth.devTokens) {
+      return reply.status(404).send({
+        error: 'Not Found',
+        message: 'Dev tokens are disabled',
+      });
+    }
+    
+    const { userId } = request.validatedBody;
+    
+    return reply.send({
+      token: authService.issueShopperToken(userId),
+      tokenType: 'Bearer',
+      expiresIn: config.auth.tokenExpiry,
+    });
+  });
+}
@@ -0,0 +1,54 @@
+import * as saleService from '../services/sale.js';
+import * as metrics from '../services/metrics.js';
+import { getPoolStats } from '../db/postgres.js';
+
+// Scrapes only need the sales that are selling right now
+const MAX_ACTIVE_SALES = 100;
+
+/**
+ * Refresh the gauges that are read on demand rather than updated as things happen
+ */
+async function refreshGauges() {
+  const pool = getPoolStats();
+  for (const [state, value] of Object.entries(pool)) {
+    metrics.dbPoolConnections.set({ state }, value);
+  }
+
+  // Reset first so sales that ended since the last scrape drop out
+  metrics.saleStockRemaining.reset();
+  metrics.saleStockTotal.reset();
+  metrics.itemStockRemaining.reset();
+
+  const { sales } = await saleService.listSales({ status: 'ACTIVE', pageSize: MAX_ACTIVE_SALES });
+  for (const sale of sales) {
+    const status = await saleService.getSaleStatusResponse(sale.id);
+    const saleId = String(sale.id);
+
+    metrics.saleStockRemaining.set({ sale_id: saleId }, status.remainingStock);
+    metrics.saleStockTotal.set({ sale_id: saleId }, status.totalStock);
+    for (const item of status.items) {
+      metrics.itemStockRemaining.set({ sale_id: saleId, item_id: String(item.itemId) }, item.remainingStock);
+    }
+  }
+}
+
+export async function metricsRoutes(fastify) {
+  /**
+   * GET /metrics
+   * Prometheus text format. Not rate limited, so scrapes keep working during a launch.
+   */
+  fastify.get('/metrics', {
+    config: { rateLimit: false },
+  }, async (request, reply) => {
+    try {
+      await refreshGauges();
+    } catch (error) {
+      // Serve the counters and histograms even when stock cannot be read
+      console.error('Failed to refresh metrics gauges:', error.message);
+    }
+
+    return reply
+      .header('Content-Type', metrics.register.contentType)
+      .send(await metrics.register.metrics());
+  });
+}
@@ -0,0 +1,244 @@
+import * as orderService from '../services/order.js';
+import * as orderQueue from '../services/order-queue.js';
+import * as auditService from '../services/audit.js';
+import { requireUser, requireAdmin, requireUserOrAdmin, isAdmin } from '../middleware/auth.js';
+import { 
+  cancelOrderSchema,
+  listOrdersQuerySchema,
+  orderIdParamSchema,
+  orderReferenceParamSchema,
+  validateBody,
+  validateParams,
+  validateQuery
+} from '../schemas/index.js';
+
+// Shape an orders row for the search and detail APIs
+function formatOrder(order) {
+  return {
+    id: order.id,
+    reference: order.order_ref,
+    userId: order.user_id,
+    saleId: order.sale_id,
+    itemId: order.item_id,
+    quantity: order.quantity,
+    status: order.status,
+    expiresAt: order.expires_at,
+    paidAt: order.paid_at,
+    cancelledAt: order.cancelled_at,
+    cancelledBy: order.cancelled_by,
+    cancelReason: order.cancel_reason,
+    createdAt: order.created_at,
+  };
+}
+
+export async function orderRoutes(fastify) {
+  /**
+   * GET /orders
+   * Search orders across sales and users (admin only)
+   * Filters: saleId, itemId, userId, status (comma-separated), from / to (created_at)
+   * Sorting: sort=createdAt|id|quantity, order=asc|desc. Pages are keyset based: pass nextCursor as cursor.
+   */
+  fastify.get('/orders', {
+    preHandler: [requireAdmin(), validateQuery(listOrdersQuerySchema)],
+  }, async (request, reply) => {
+    const { saleId, itemId, userId, status, from, to, sort, order, limit, cursor } = request.validatedQuery;
+    
+    const decodedCursor = cursor ? orderService.decodeOrderCursor(cursor, sort, order) : null;
+    if (cursor && !decodedCursor) {
+      return reply.status(400).send({
+        error: 'Validation Error',
+        message: 'cursor: Invalid cursor, or it was issued for a different sort or order',
+      });
+    }
+    
+    const { orders, total, nextCursor } = await orderService.searchOrders(
+      { saleId, itemId, userId, statuses: status, from, to },
+      { sort, order, limit, cursor: decodedCursor }
+    );
+    
+    return reply.send({
+      orders: orders.map(formatOrder),
+      pagination: {
+        limit,
+        total,
+        nextCursor,
+      },
+    });
+  });
+
+  /**
+   * GET /orders/:orderId
+   * Full order details with the related sale and item
+   * Buyers can read their own orders, admins any order
+   */
+  fastify.get('/orders/:orderId', {
+    preHandler: [requireUserOrAdmin(), validateParams(orderIdParamSchema)],
+  }, async (request, reply) => {
+    const { orderId } = request.validatedParams;
+    
+    const order = await orderService.getOrderDetails(orderId);
+    
+    // Other users' orders look exactly like unknown ones
+    if (!order || (order.user_id !== request.user.id && !isAdmin(request))) {
+      return reply.status(404).send({
+        error: 'Not Found',
+        message: 'Order not found',
+      });
+    }
+    
+    return reply.send({
+      ...formatOrder(order),
+      sale: {
+        saleId: order.sale_id,
+        name: order.sale_name,
+        startTime: order.sale_start_time,
+        endTime: order.sale_end_time,
+        totalStock: order.sale_total_stock,
+        maxPerUser: order.sale_max_per_user,
+      },
+      item: order.item_id ? {
+        itemId: order.item_id,
+        sku: order.item_sku,
+        name: order.item_name,
+        maxPerUser: order.item_max_per_user,
+      } : null,
+    });
+  });
+
+  /**
+   * POST /orders/:orderId/confirm
+   * Confirm payment for a reserved order (RESERVED -> PAID)
+   * Only the buyer named in the bearer token can confirm their own order
+   */
+  fastify.post('/orders/:orderId/confirm', {
+    preHandler: [requireUser(), validateParams(orderIdParamSchema)],
+  }, async (request, reply) => {
+    const { orderId } = request.validatedParams;
+    
+    const confirmation = await orderService.confirmOrder(orderId, request.user.id);
+    
+    const statusCodes = {
+      [orderService.ConfirmResult.PAID]: 200,
+      [orderService.ConfirmResult.ALREADY_PAID]: 409,
+      [orderService.ConfirmResult.RESERVATION_EXPIRED]: 410,
+      [orderService.ConfirmResult.NOT_RESERVED]: 409,
+      [orderService.ConfirmResult.ORDER_NOT_FOUND]: 404,
+    };
+    
+    const messages = {
+      [orderService.ConfirmResult.PAID]: 'Payment confirmed!',
+      [orderService.ConfirmResult.ALREADY_PAID]: 'This order has already been paid',
+      [orderService.ConfirmResult.RESERVATION_EXPIRED]: 'Your reservation has expired and the stock was released',
+      [orderService.ConfirmResult.NOT_RESERVED]: 'This order does not need payment confirmation',
+      [orderService.ConfirmResult.ORDER_NOT_FOUND]: 'Order not found',
+    };
+    
+    const { result, order } = confirmation;
+    
+    return reply.status(statusCodes[result]).send({
+      result,
+      message: messages[result],
+      order: order ? {
+        id: order.id,
+        userId: order.user_id,
+        saleId: order.sale_id,
+        itemId: order.item_id,
+        quantity: order.quantity,
+        status: order.status,
+        expiresAt: order.expires_at,
+        paidAt: order.paid_at,
+        createdAt: order.created_at,
+      } : undefined,
+    });
+  });
+
+  /**
+   * POST /orders/:orderId/cancel
+   * Cancel an order and return its units to the sale (CANCELLED)
+   * Buyers can cancel their own orders within the grace period, admins at any time
+   * Body: { "reason": "Ordered the wrong size" } (optional)
+   */
+  fastify.post('/orders/:orderId/cancel', {
+    preHandler: [requireUserOrAdmin(), validateParams(orderIdParamSchema), validateBody(cancelOrderSchema)],
+  }, async (request, reply) => {
+    const { orderId } = request.validatedParams;
+    const admin = isAdmin(request);
+    const reason = request.validatedBody.reason || (admin ? 'Cancelled by admin' : 'Cancelled by customer');
+    
+    // Admin cancellations are audited, buyers cancelling their own orders are not
+    const before = admin ? await orderService.getOrderById(orderId) : null;
+    const cancellation = await orderService.cancelOrder(orderId, {
+      userId: request.user.id,
+      admin,
+      reason,
+    });
+    
+    if (admin && cancellation.result === orderService.CancelResult.CANCELLED) {
+      await auditService.recordAudit(request, {
+        action: auditService.AuditAction.ORDER_CANCEL,
+        saleId: cancellation.order.sale_id,
+        targetType: 'order',
+        targetId: orderId,
+        before,
+        after: cancellation.order,
+      });
+    }
+    
+    const statusCodes = {
+      [orderService.CancelResult.CANCELLED]: 200,
+      [orderService.CancelResult.ALREADY_CANCELLED]: 409,
+      [orderService.CancelResult.GRACE_PERIOD_OVER]: 403,
+      [orderService.CancelResult.NOT_CANCELLABLE]: 409,
+      [orderService.CancelResult.ORDER_NOT_FOUND]: 404,
+    };
+    
+    const messages = {
+      [orderService.CancelResult.CANCELLED]: 'Order cancelled, the stock was returned to the sale',
+      [orderService.CancelResult.ALREADY_CANCELLED]: 'This order has already been cancelled',
+      [orderService.CancelResult.GRACE_PERIOD_OVER]: 'This order can no longer be cancelled, please contact support',
+      [orderService.CancelResult.NOT_CANCELLABLE]: 'This order no longer holds stock and cannot be cancelled',
+      [orderService.CancelResult.ORDER_NOT_FOUND]: 'Order not found',
+    };
+    
+    const { result, order } = cancellation;
+    
+    return reply.status(statusCodes[result]).send({
+      result,
+      message: messages[result],
+      order: order ? {
+        id: order.id,
+        userId: order.user_id,
+        saleId: order.sale_id,
+        itemId: order.item_id,
+        quantity: order.quantity,
+        status: order.status,
+        cancelledAt: order.cancelled_at,
+        cancelledBy: order.cancelled_by,
+        cancelReason: order.cancel_reason,
+        createdAt: order.created_at,
+      } : undefined,
+    });
+  });
+
+  /**
+   * GET /orders/pending/:reference
+   * Poll a purchase accepted in stream mode until the worker has saved it
+   */
+  fastify.get('/orders/pending/:reference', {
+    preHandler: [requireUser(), validateParams(orderReferenceParamSchema)],
+  }, async (request, reply) => {
+    const { reference } = request.validatedParams;
+    
+    const pending = await orderQueue.getPendingOrder(reference);
+    
+    // Other users' references look exactly like unknown ones
+    if (!pending || (pending.userId !== request.user.id && !isAdmin(request))) {
+      return reply.status(404).send({
+        error: 'Not Found',
+        message: 'Unknown order reference',
+      });
+    }
+    
+    return reply.send(pending);
+  });
+}
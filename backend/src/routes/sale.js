@@ -1,22 +1,49 @@
 import * as saleService from '../services/sale.js';
 import * as purchaseService from '../services/purchase.js';
+import * as idempotencyService from '../services/idempotency.js';
+import * as saleEvents from '../services/sale-events.js';
+import * as auditService from '../services/audit.js';
+import * as metrics from '../services/metrics.js';
+import { requireUser, requireAdmin, isAdmin, sendForbidden } from '../middleware/auth.js';
+import { requireAdmission } from '../middleware/waiting-room.js';
+import { perUserLimit } from '../middleware/rate-limit.js';
 import { 
   purchaseSchema, 
+  idempotencyHeaderSchema,
   userIdParamSchema,
   resetSaleSchema,
   updateSaleTimesSchema,
   saleIdSchema,
   validateBody, 
-  validateParams 
+  validateParams,
+  validateHeaders
 } from '../schemas/index.js';
 import { config } from '../config/index.js';
 
+// HTTP status for each purchase result
+const purchaseStatusCodes = {
+  [purchaseService.PurchaseResult.SUCCESS]: 200,
+  [purchaseService.PurchaseResult.PENDING]: 202,
+  [purchaseService.PurchaseResult.ALREADY_PURCHASED]: 409,
+  [purchaseService.PurchaseResult.LIMIT_EXCEEDED]: 409,
+  [purchaseService.PurchaseResult.SOLD_OUT]: 410,
+  [purchaseService.PurchaseResult.INSUFFICIENT_STOCK]: 409,
+  [purchaseService.PurchaseResult.SALE_NOT_ACTIVE]: 403,
+  [purchaseService.PurchaseResult.SALE_NOT_FOUND]: 404,
+  [purchaseService.PurchaseResult.ITEM_NOT_FOUND]: 404,
+  [purchaseService.PurchaseResult.ITEM_REQUIRED]: 400,
+  [purchaseService.PurchaseResult.STOCK_UNAVAILABLE]: 503,
+  [purchaseService.PurchaseResult.ERROR]: 500,
+};
+
 export async function saleRoutes(fastify) {
   /**
    * GET /sale/status
    * Get current flash sale status including remaining stock
    */
-  fastify.get('/sale/status', async (request, reply) => {
+  fastify.get('/sale/status', {
+    config: { rateLimit: perUserLimit(config.rateLimit.routes.saleStatus) },
+  }, async (request, reply) => {
     const saleId = request.query.saleId 
       ? parseInt(request.query.saleId, 10) 
       : config.sale.defaultSaleId;
@@ -25,57 +52,162 @@ export async function saleRoutes(fastify) {
     return reply.send(status);
   });
 
+  /**
+   * GET /sale/:saleId/events
+   * Server-Sent Events stream: a snapshot on connect, then throttled stock changes,
+   * status transitions (UPCOMING -> ACTIVE -> ENDED) and a sold-out event
+   */
+  fastify.get('/sale/:saleId/events', {
+    config: { rateLimit: perUserLimit(config.rateLimit.routes.saleEvents) },
+    preHandler: validateParams(saleIdSchema),
+  }, async (request, reply) => {
+    const { saleId } = request.validatedParams;
+    
+    const snapshot = await saleService.getSaleStatusResponse(saleId);
+    if (snapshot.status === 'NOT_FOUND') {
+      return reply.status(404).send(snapshot);
+    }
+    
+    // The stream outlives the handler, so take over the raw response (keeping headers set by hooks such as CORS)
+    reply.hijack();
+    reply.raw.writeHead(200, {
+      ...reply.getHeaders(),
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    
+    // Listen for the disconnect before subscribing: a client gone during the subscribe round-trip
+    // must still detach, or its watcher (and the sale's subscription) would stay behind
+    let closed = false;
+    let unwatch = null;
+    request.raw.on('close', () => {
+      closed = true;
+      if (unwatch) {
+        unwatch();
+      }
+    });
+    
+    try {
+      unwatch = await saleEvents.watchSale(saleId, reply.raw, snapshot);
+    } catch (error) {
+      // The 200 is out already, so the stream is just ended; EventSource clients reconnect after a pause
+      console.error(`Failed to watch sale ${saleId} events:`, error.message);
+      reply.raw.end();
+      return;
+    }
+    if (closed || reply.raw.destroyed) {
+      unwatch();
+    }
+  });
+
   /**
    * POST /purchase
-   * Process a purchase request
-   * Body: { "userId": "user123" }
+   * Process a purchase request for the buyer named in the bearer token
+   * Body: { "quantity": 1, "itemId": 2 }
+   * itemId is required for sales with items (SKUs / variants)
+   * Optional Idempotency-Key header: retries with the same key get the first response back
+   * With the waiting room enabled an X-Admission-Token header is required
    */
   fastify.post('/purchase', {
-    preHandler: validateBody(purchaseSchema),
+    config: { rateLimit: perUserLimit(config.rateLimit.routes.purchase) },
+    preHandler: [requireUser(), requireAdmission(), validateHeaders(idempotencyHeaderSchema), validateBody(purchaseSchema)],
   }, async (request, reply) => {
-    const { userId } = request.validatedBody;
+    const userId = request.user.id;
+    const { quantity, itemId } = request.validatedBody;
+    const idempotencyKey = request.validatedHeaders['idempotency-key'];
     const saleId = request.body.saleId 
       ? parseInt(request.body.saleId, 10) 
       : config.sale.defaultSaleId;
     
-    const result = await purchaseService.processPurchase(userId, saleId);
-    
-    // Set appropriate HTTP status based on result
-    const statusCodes = {
-      [purchaseService.PurchaseResult.SUCCESS]: 200,
-      [purchaseService.PurchaseResult.ALREADY_PURCHASED]: 409,
-      [purchaseService.PurchaseResult.SOLD_OUT]: 410,
-      [purchaseService.PurchaseResult.SALE_NOT_ACTIVE]: 403,
-      [purchaseService.PurchaseResult.SALE_NOT_FOUND]: 404,
-      [purchaseService.PurchaseResult.ERROR]: 500,
+    const runPurchase = async () => {
+      const endTimer = metrics.purchaseDuration.startTimer();
+      const result = await purchaseService.processPurchase(userId, saleId, { quantity, itemId });
+      endTimer({ result: result.result });
+      metrics.purchaseOutcomes.inc({ result: result.result });
+      return {
+        statusCode: purchaseStatusCodes[result.result] || 500,
+        body: result,
+      };
     };
     
-    const statusCode = statusCodes[result.result] || 500;
-    return reply.status(statusCode).send(result);
+    if (!idempotencyKey) {
+      const { statusCode, body } = await runPurchase();
+      if (body.result === purchaseService.PurchaseResult.STOCK_UNAVAILABLE) {
+        reply.header('Retry-After', 1);
+      }
+      return reply.status(statusCode).send(body);
+    }
+    
+    // Keys are scoped per user, so two users can never see each other's responses
+    const outcome = await idempotencyService.withIdempotency(
+      `purchase:${userId}`,
+      idempotencyKey,
+      { userId, saleId, quantity, itemId },
+      runPurchase
+    );
+    
+    if (outcome.result === idempotencyService.IdempotencyResult.KEY_MISMATCH) {
+      return reply.status(422).send({
+        error: 'Unprocessable Entity',
+        message: 'This Idempotency-Key was already used with a different request body',
+      });
+    }
+    
+    if (outcome.result === idempotencyService.IdempotencyResult.IN_PROGRESS) {
+      return reply.status(409).header('Retry-After', 1).send({
+        error: 'Conflict',
+        result: idempotencyService.IdempotencyResult.IN_PROGRESS,
+        message: 'A request with this Idempotency-Key is still being processed. Please retry shortly.',
+      });
+    }
+    
+    if (outcome.result === idempotencyService.IdempotencyResult.REPLAYED) {
+      reply.header('Idempotent-Replayed', 'true');
+    }
+    if (outcome.body.result === purchaseService.PurchaseResult.STOCK_UNAVAILABLE) {
+      reply.header('Retry-After', 1);
+    }
+    
+    return reply.status(outcome.statusCode).send(outcome.body);
   });
 
   /**
    * GET /purchase/:userId
-   * Check if a user has purchased
+   * Check if a user has purchased (own purchases only, unless admin)
    */
   fastify.get('/purchase/:userId', {
-    preHandler: validateParams(userIdParamSchema),
+    preHandler: [requireUser(), validateParams(userIdParamSchema)],
   }, async (request, reply) => {
     const { userId } = request.validatedParams;
+    
+    if (userId !== request.user.id && !isAdmin(request)) {
+      return sendForbidden(reply, 'You can only check your own purchases');
+    }
+    
     const saleId = request.query.saleId 
       ? parseInt(request.query.saleId, 10) 
       : config.sale.defaultSaleId;
     
-    const purchase = await purchaseService.getUserPurchase(saleId, userId);
+    const [purchase, totalQuantity] = await Promise.all([
+      purchaseService.getUserPurchase(saleId, userId),
+      purchaseService.getUserPurchasedQuantity(saleId, userId),
+    ]);
     
     if (purchase) {
       return reply.send({
         purchased: true,
+        totalQuantity,
         order: {
           id: purchase.id,
           userId: purchase.user_id,
           saleId: purchase.sale_id,
+          itemId: purchase.item_id,
+          quantity: purchase.quantity,
           status: purchase.status,
+          expiresAt: purchase.expires_at,
+          paidAt: purchase.paid_at,
           createdAt: purchase.created_at,
         },
       });
@@ -88,7 +220,7 @@ export async function saleRoutes(fastify) {
 
   /**
    * GET /sale/stats
-   * Get purchase statistics (for monitoring/testing)
+   * Get purchase statistics (for monitoring/testing), with remaining stock per item
    */
   fastify.get('/sale/stats', async (request, reply) => {
     const saleId = request.query.saleId 
@@ -108,17 +240,21 @@ export async function saleRoutes(fastify) {
 
   /**
    * POST /sale/reset
-   * Reset sale for testing (should be protected in production)
+   * Reset sale for testing (admin only)
+   * The sale's orders are moved to orders_archive, tied to the reset's audit entry
    */
   fastify.post('/sale/reset', {
-    preHandler: validateBody(resetSaleSchema),
+    preHandler: [requireAdmin(), validateBody(resetSaleSchema)],
   }, async (request, reply) => {
-    const { stock } = request.validatedBody;
+    const { stock, maxPerUser, items } = request.validatedBody;
     const saleId = request.body.saleId 
       ? parseInt(request.body.saleId, 10) 
       : config.sale.defaultSaleId;
     
-    await saleService.resetSale(saleId, stock);
+    await saleService.resetSale(saleId, stock, maxPerUser, items, {
+      audit: auditService.getAuditContext(request),
+    });
+    await saleEvents.publishSaleUpdated(saleId);
     
     return reply.send({
       success: true,
@@ -128,16 +264,24 @@ export async function saleRoutes(fastify) {
 
   /**
    * PUT /sale/:saleId/times
-   * Update sale start and end times
+   * Update sale start and end times (admin only)
    */
   fastify.put('/sale/:saleId/times', {
-    preHandler: [validateParams(saleIdSchema), validateBody(updateSaleTimesSchema)]
+    preHandler: [requireAdmin(), validateParams(saleIdSchema), validateBody(updateSaleTimesSchema)]
   }, async (request, reply) => {
     const { saleId } = request.validatedParams;
     const { startTime, endTime } = request.validatedBody;
 
     try {
+      const before = await saleService.getSaleById(saleId);
       const updatedSale = await saleService.updateSaleTimes(saleId, startTime, endTime);
+      await saleEvents.publishSaleUpdated(saleId);
+      await auditService.recordAudit(request, {
+        action: auditService.AuditAction.SALE_TIMES_UPDATE,
+        saleId,
+        before,
+        after: updatedSale,
+      });
       
       return reply.send({
         success: true,
@@ -162,14 +306,22 @@ export async function saleRoutes(fastify) {
 
   /**
    * POST /sale/init-stock
-   * Initialize Redis stock from DB (useful after restart)
+   * Initialize Redis stock from DB (useful after restart, admin only)
    */
-  fastify.post('/sale/init-stock', async (request, reply) => {
+  fastify.post('/sale/init-stock', {
+    preHandler: requireAdmin(),
+  }, async (request, reply) => {
     const saleId = (request.body && request.body.saleId) 
       ? parseInt(request.body.saleId, 10) 
       : config.sale.defaultSaleId;
     
     const stock = await saleService.initializeRedisStock(saleId);
+    await saleEvents.publishSaleUpdated(saleId);
+    await auditService.recordAudit(request, {
+      action: auditService.AuditAction.SALE_STOCK_INIT,
+      saleId,
+      after: { initializedStock: stock },
+    });
     
     return reply.send({
       success: true,
@@ -180,14 +332,21 @@ export async function saleRoutes(fastify) {
 
   /**
    * POST /sale/recovery
-   * Complete Redis recovery from DB (stock + user purchases)
+   * Complete Redis recovery from DB (stock + user purchases, admin only)
    */
-  fastify.post('/sale/recovery', async (request, reply) => {
+  fastify.post('/sale/recovery', {
+    preHandler: requireAdmin(),
+  }, async (request, reply) => {
     const saleId = (request.body && request.body.saleId) 
       ? parseInt(request.body.saleId, 10) 
       : config.sale.defaultSaleId;
     
     const recovery = await saleService.completeRedisRecovery(saleId);
+    await auditService.recordAudit(request, {
+      action: auditService.AuditAction.SALE_RECOVERY,
+      saleId,
+      after: { restoredUsers: recovery.restoredUsers },
+    });
     
     return reply.send({
       success: true,
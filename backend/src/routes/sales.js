@@ -0,0 +1,270 @@
+import * as saleService from '../services/sale.js';
+import * as purchaseService from '../services/purchase.js';
+import * as saleEvents from '../services/sale-events.js';
+import * as orderExport from '../services/order-export.js';
+import * as auditService from '../services/audit.js';
+import * as reconciler from '../services/reconciler.js';
+import { requireAdmin } from '../middleware/auth.js';
+import {
+  createSaleSchema,
+  exportOrdersQuerySchema,
+  updateSaleSchema,
+  listSalesQuerySchema,
+  saleIdSchema,
+  validateBody,
+  validateParams,
+  validateQuery
+} from '../schemas/index.js';
+
+// HTTP status for each admin change result
+const changeStatusCodes = {
+  [saleService.SaleChangeResult.OK]: 200,
+  [saleService.SaleChangeResult.NOT_FOUND]: 404,
+  [saleService.SaleChangeResult.SALE_LOCKED]: 409,
+  [saleService.SaleChangeResult.INVALID]: 400,
+};
+
+// Shape a flash_sale row for the admin API
+function formatSale(sale) {
+  return {
+    saleId: sale.id,
+    name: sale.name,
+    status: saleService.getSaleStatus(sale),
+    totalStock: sale.total_stock,
+    maxPerUser: sale.max_per_user,
+    stockShards: sale.stock_shards,
+    itemCount: sale.item_count,
+    startTime: sale.start_time,
+    endTime: sale.end_time,
+    createdAt: sale.created_at,
+    updatedAt: sale.updated_at,
+    prewarmedAt: sale.prewarmed_at,
+    closedAt: sale.closed_at,
+    finalStock: sale.final_stock,
+    soldOutAt: sale.sold_out_at,
+  };
+}
+
+/**
+ * Admin CRUD for flash sales
+ * Every route requires admin credentials
+ */
+export async function salesRoutes(fastify) {
+  /**
+   * POST /sales
+   * Create a sale and seed its Redis stock
+   */
+  fastify.post('/sales', {
+    preHandler: [requireAdmin(), validateBody(createSaleSchema)],
+  }, async (request, reply) => {
+    const { name, startTime, endTime, totalStock, maxPerUser, items, stockShards } = request.validatedBody;
+
+    const sale = await saleService.createSale(name, startTime, endTime, totalStock, maxPerUser, items, { stockShards });
+    await auditService.recordAudit(request, {
+      action: auditService.AuditAction.SALE_CREATE,
+      saleId: sale.id,
+      after: sale,
+    });
+
+    return reply.status(201).send({
+      success: true,
+      sale: {
+        ...formatSale(sale),
+        itemCount: sale.items.length,
+        items: sale.items.map((item) => ({
+          itemId: item.id,
+          sku: item.sku,
+          name: item.name,
+          totalStock: item.total_stock,
+          maxPerUser: item.max_per_user,
+        })),
+      },
+    });
+  });
+
+  /**
+   * GET /sales
+   * List sales, filterable by status (UPCOMING, ACTIVE, ENDED) and paginated
+   */
+  fastify.get('/sales', {
+    preHandler: [requireAdmin(), validateQuery(listSalesQuerySchema)],
+  }, async (request, reply) => {
+    const { status, page, pageSize } = request.validatedQuery;
+
+    const { sales, total } = await saleService.listSales({ status, page, pageSize });
+
+    return reply.send({
+      sales: sales.map(formatSale),
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+      },
+    });
+  });
+
+  /**
+   * GET /sales/:saleId
+   * Sale details with live stock and order counts
+   */
+  fastify.get('/sales/:saleId', {
+    preHandler: [requireAdmin(), validateParams(saleIdSchema)],
+  }, async (request, reply) => {
+    const { saleId } = request.validatedParams;
+
+    const sale = await saleService.getSaleStatusResponse(saleId);
+    if (sale.status === 'NOT_FOUND') {
+      return reply.status(404).send({
+        success: false,
+        message: `Sale ${saleId} not found`,
+      });
+    }
+
+    const stats = await purchaseService.getPurchaseStats(saleId);
+
+    return reply.send({ ...sale, stats });
+  });
+
+  /**
+   * GET /sales/:saleId/reconcile
+   * Compare the sale's Redis stock and user purchase counts with its orders, without changing anything
+   */
+  fastify.get('/sales/:saleId/reconcile', {
+    preHandler: [requireAdmin(), validateParams(saleIdSchema)],
+  }, async (request, reply) => {
+    const { saleId } = request.validatedParams;
+
+    const report = await reconciler.reconcileSale(saleId);
+    if (!report) {
+      return reply.status(404).send({
+        success: false,
+        message: `Sale ${saleId} not found`,
+      });
+    }
+
+    return reply.send({ ...report, summary: reconciler.summarizeReport(report) });
+  });
+
+  /**
+   * POST /sales/:saleId/reconcile
+   * Compare like GET, then fix the confirmed differences in Redis from the orders
+   */
+  fastify.post('/sales/:saleId/reconcile', {
+    preHandler: [requireAdmin(), validateParams(saleIdSchema)],
+  }, async (request, reply) => {
+    const { saleId } = request.validatedParams;
+
+    const report = await reconciler.reconcileSale(saleId, { repair: true });
+    if (!report) {
+      return reply.status(404).send({
+        success: false,
+        message: `Sale ${saleId} not found`,
+      });
+    }
+
+    if (report.repairs.length > 0) {
+      saleEvents.markStockChanged(saleId);
+      await auditService.recordAudit(request, {
+        action: auditService.AuditAction.SALE_RECONCILE,
+        saleId,
+        before: { stock: report.stock, users: report.users },
+        after: { repairs: report.repairs },
+      });
+    }
+
+    return reply.send({ ...report, summary: reconciler.summarizeReport(report) });
+  });
+
+  /**
+   * GET /sales/:saleId/orders/export?format=csv|ndjson&status=SUCCESS,PAID&from=...&to=...
+   * Stream the sale's orders from a DB cursor, so exports of any size use constant memory
+   */
+  fastify.get('/sales/:saleId/orders/export', {
+    preHandler: [requireAdmin(), validateParams(saleIdSchema), validateQuery(exportOrdersQuerySchema)],
+  }, async (request, reply) => {
+    const { saleId } = request.validatedParams;
+    const { format, status, from, to } = request.validatedQuery;
+
+    const sale = await saleService.getSaleById(saleId);
+    if (!sale) {
+      return reply.status(404).send({
+        success: false,
+        message: `Sale ${saleId} not found`,
+      });
+    }
+
+    return reply
+      .header('Content-Type', orderExport.exportContentTypes[format])
+      .header('Content-Disposition', `attachment; filename="sale-${saleId}-orders.${format}"`)
+      .send(orderExport.exportSaleOrders(sale, { status, from, to }, format));
+  });
+
+  /**
+   * PATCH /sales/:saleId
+   * Update a sale. Stock and purchase limits can only change before the sale starts and has orders.
+   */
+  fastify.patch('/sales/:saleId', {
+    preHandler: [requireAdmin(), validateParams(saleIdSchema), validateBody(updateSaleSchema)],
+  }, async (request, reply) => {
+    const { saleId } = request.validatedParams;
+
+    const before = await saleService.getSaleSnapshot(saleId);
+    const { result, sale, message } = await saleService.updateSale(saleId, request.validatedBody);
+
+    if (result !== saleService.SaleChangeResult.OK) {
+      return reply.status(changeStatusCodes[result]).send({
+        success: false,
+        result,
+        message: message || `Sale ${saleId} not found`,
+      });
+    }
+
+    await saleEvents.publishSaleUpdated(saleId);
+    await auditService.recordAudit(request, {
+      action: auditService.AuditAction.SALE_UPDATE,
+      saleId,
+      before,
+      after: await saleService.getSaleSnapshot(saleId),
+    });
+
+    return reply.send({
+      success: true,
+      message: `Sale ${saleId} updated successfully`,
+      sale: formatSale(sale),
+    });
+  });
+
+  /**
+   * DELETE /sales/:saleId
+   * Delete a sale that is not active and has no orders
+   */
+  fastify.delete('/sales/:saleId', {
+    preHandler: [requireAdmin(), validateParams(saleIdSchema)],
+  }, async (request, reply) => {
+    const { saleId } = request.validatedParams;
+
+    const before = await saleService.getSaleSnapshot(saleId);
+    const { result, message } = await saleService.deleteSale(saleId);
+
+    if (result !== saleService.SaleChangeResult.OK) {
+      return reply.status(changeStatusCodes[result]).send({
+        success: false,
+        result,
+        message: message || `Sale ${saleId} not found`,
+      });
+    }
+
+    await saleEvents.publishSaleUpdated(saleId);
+    await auditService.recordAudit(request, {
+      action: auditService.AuditAction.SALE_DELETE,
+      saleId,
+      before,
+    });
+
+    return reply.send({
+      success: true,
+      message: `Sale ${saleId} deleted successfully`,
+    });
+  });
+}
@@ -0,0 +1,117 @@
+import * as saleService from '../services/sale.js';
+import * as waitingRoomService from '../services/waiting-room.js';
+import * as auditService from '../services/audit.js';
+import { requireUser, requireAdmin } from '../middleware/auth.js';
+import {
+  admissionRateSchema,
+  saleIdSchema,
+  validateBody,
+  validateParams
+} from '../schemas/index.js';
+import { config } from '../config/index.js';
+
+/**
+ * Waiting room routes are only served while the waiting room is enabled
+ */
+function requireWaitingRoom() {
+  return async (request, reply) => {
+    if (!config.waitingRoom.enabled) {
+      return reply.status(404).send({
+        error: 'Not Found',
+        message: 'The waiting room is not enabled',
+      });
+    }
+  };
+}
+
+export async function waitingRoomRoutes(fastify) {
+  /**
+   * POST /sale/:saleId/waiting-room
+   * Join the queue for a sale (UPCOMING or ACTIVE); joining again keeps the original place
+   * Returns the position and estimated wait, or an admission token once admitted
+   */
+  fastify.post('/sale/:saleId/waiting-room', {
+    preHandler: [requireWaitingRoom(), requireUser(), validateParams(saleIdSchema)],
+  }, async (request, reply) => {
+    const { saleId } = request.validatedParams;
+
+    const sale = await saleService.getSaleById(saleId);
+    if (!sale) {
+      return reply.status(404).send({
+        error: 'Not Found',
+        message: `Sale ${saleId} not found`,
+      });
+    }
+    if (saleService.getSaleStatus(sale) === 'ENDED') {
+      return reply.status(403).send({
+        error: 'Forbidden',
+        message: 'This sale has ended',
+      });
+    }
+
+    const state = await waitingRoomService.joinQueue(sale, request.user.id);
+    return reply.send(state);
+  });
+
+  /**
+   * GET /sale/:saleId/waiting-room
+   * Poll the caller's place in the queue
+   */
+  fastify.get('/sale/:saleId/waiting-room', {
+    preHandler: [requireWaitingRoom(), requireUser(), validateParams(saleIdSchema)],
+  }, async (request, reply) => {
+    const { saleId } = request.validatedParams;
+
+    const sale = await saleService.getSaleById(saleId);
+    if (!sale) {
+      return reply.status(404).send({
+        error: 'Not Found',
+        message: `Sale ${saleId} not found`,
+      });
+    }
+
+    const state = await waitingRoomService.getQueueState(sale, request.user.id);
+    return reply.send(state);
+  });
+
+  /**
+   * GET /sale/:saleId/waiting-room/stats
+   * Queue length and admission rate (admin only)
+   */
+  fastify.get('/sale/:saleId/waiting-room/stats', {
+    preHandler: [requireWaitingRoom(), requireAdmin(), validateParams(saleIdSchema)],
+  }, async (request, reply) => {
+    const { saleId } = request.validatedParams;
+
+    const stats = await waitingRoomService.getQueueStats(saleId);
+    return reply.send({ saleId, ...stats });
+  });
+
+  /**
+   * PUT /sale/:saleId/waiting-room/rate
+   * Change how many buyers are admitted per second, live on every instance (admin only)
+   * Body: { "admissionsPerSecond": 100 } - 0 pauses admission
+   */
+  fastify.put('/sale/:saleId/waiting-room/rate', {
+    preHandler: [requireWaitingRoom(), requireAdmin(), validateParams(saleIdSchema), validateBody(admissionRateSchema)],
+  }, async (request, reply) => {
+    const { saleId } = request.validatedParams;
+    const { admissionsPerSecond } = request.validatedBody;
+
+    const previousRate = await waitingRoomService.getAdmissionRate(saleId);
+    await waitingRoomService.setAdmissionRate(saleId, admissionsPerSecond);
+    await auditService.recordAudit(request, {
+      action: auditService.AuditAction.WAITING_ROOM_RATE_UPDATE,
+      saleId,
+      before: { admissionsPerSecond: previousRate },
+      after: { admissionsPerSecond },
+    });
+
+    return reply.send({
+      success: true,
+      message: `Sale ${saleId} now admits ${admissionsPerSecond} buyers per second`,
+      saleId,
+      admissionsPerSecond,
+    });
+  });
+}
@@ -0,0 +1,117 @@
+import * as saleService from '../services/sale.js';
+import * as waitlistService from '../services/waitlist.js';
+import { requireUser } from '../middleware/auth.js';
+import {
+  joinWaitlistSchema,
+  waitlistQuerySchema,
+  saleIdSchema,
+  validateBody,
+  validateParams,
+  validateQuery
+} from '../schemas/index.js';
+
+/**
+ * Load the sale a waitlist request names, checking the item for sales with items
+ * Sends the error reply and returns null when the sale or item is missing
+ */
+async function loadWaitlistSale(reply, saleId, itemId) {
+  const sale = await saleService.getSaleById(saleId);
+  if (!sale) {
+    reply.status(404).send({
+      error: 'Not Found',
+      message: `Sale ${saleId} not found`,
+    });
+    return null;
+  }
+
+  if (!itemId && sale.item_count > 0) {
+    reply.status(400).send({
+      error: 'Bad Request',
+      message: 'This sale has several items, please choose one',
+    });
+    return null;
+  }
+
+  if (itemId && !(await saleService.getSaleItem(saleId, itemId))) {
+    reply.status(404).send({
+      error: 'Not Found',
+      message: 'Item not found in this sale',
+    });
+    return null;
+  }
+
+  return sale;
+}
+
+export async function waitlistRoutes(fastify) {
+  /**
+   * POST /sale/:saleId/waitlist
+   * Join the waitlist of a sold-out sale (or item, for sales with items)
+   * Body: { "itemId": 2 } - optional for sales without items
+   * Returned units are offered to the waitlist in order as claims that expire after WAITLIST_CLAIM_SECONDS
+   */
+  fastify.post('/sale/:saleId/waitlist', {
+    preHandler: [requireUser(), validateParams(saleIdSchema), validateBody(joinWaitlistSchema)],
+  }, async (request, reply) => {
+    const { saleId } = request.validatedParams;
+    const { itemId } = request.validatedBody;
+
+    const sale = await loadWaitlistSale(reply, saleId, itemId);
+    if (!sale) {
+      return reply;
+    }
+
+    if (!saleService.isSaleActive(sale)) {
+      return reply.status(403).send({
+        error: 'Forbidden',
+        message: 'The waitlist is only open while the sale is active',
+        saleStatus: saleService.getSaleStatus(sale),
+      });
+    }
+
+    const state = await waitlistService.joinWaitlist(saleId, request.user.id, itemId, { shards: sale.stock_shards });
+    return reply.send({ saleId, itemId: itemId || null, ...state });
+  });
+
+  /**
+   * GET /sale/:saleId/waitlist?itemId=2
+   * Poll the caller's waitlist position, or the claim they were promoted to
+   */
+  fastify.get('/sale/:saleId/waitlist', {
+    preHandler: [requireUser(), validateParams(saleIdSchema), validateQuery(waitlistQuerySchema)],
+  }, async (request, reply) => {
+    const { saleId } = request.validatedParams;
+    const { itemId } = request.validatedQuery;
+
+    if (!(await loadWaitlistSale(reply, saleId, itemId))) {
+      return reply;
+    }
+
+    const state = await waitlistService.getWaitlistState(saleId, request.user.id, itemId);
+    return reply.send({ saleId, itemId: itemId || null, ...state });
+  });
+
+  /**
+   * DELETE /sale/:saleId/waitlist?itemId=2
+   * Leave the waitlist
+   */
+  fastify.delete('/sale/:saleId/waitlist', {
+    preHandler: [requireUser(), validateParams(saleIdSchema), validateQuery(waitlistQuerySchema)],
+  }, async (request, reply) => {
+    const { saleId } = request.validatedParams;
+    const { itemId } = request.validatedQuery;
+
+    const removed = await waitlistService.leaveWaitlist(saleId, request.user.id, itemId);
+    if (!removed) {
+      return reply.status(404).send({
+        error: 'Not Found',
+        message: 'You are not on this waitlist',
+      });
+    }
+
+    return reply.send({
+      success: true,
+      message: 'You have left the waitlist',
+    });
+  });
+}
@@ -0,0 +1,258 @@
+import * as webhookService from '../services/webhook.js';
+import * as auditService from '../services/audit.js';
+import { requireAdmin } from '../middleware/auth.js';
+import {
+  createWebhookSchema,
+  updateWebhookSchema,
+  listDeliveriesQuerySchema,
+  webhookIdParamSchema,
+  webhookDeliveryParamsSchema,
+  validateBody,
+  validateParams,
+  validateQuery
+} from '../schemas/index.js';
+
+// HTTP status for each redelivery result
+const redeliverStatusCodes = {
+  [webhookService.RedeliverResult.QUEUED]: 202,
+  [webhookService.RedeliverResult.ALREADY_PENDING]: 409,
+  [webhookService.RedeliverResult.NOT_FOUND]: 404,
+};
+
+// Shape a webhook_endpoints row for the admin API
+// The secret is only returned when the endpoint is created or its secret is changed
+function formatEndpoint(endpoint, { includeSecret = false } = {}) {
+  return {
+    webhookId: endpoint.id,
+    url: endpoint.url,
+    description: endpoint.description,
+    events: endpoint.events,
+    active: endpoint.active,
+    ...(includeSecret && { secret: endpoint.secret }),
+    pendingDeliveries: endpoint.pending_count,
+    failedDeliveries: endpoint.failed_count,
+    createdAt: endpoint.created_at,
+    updatedAt: endpoint.updated_at,
+  };
+}
+
+// Endpoint fields kept in the audit log; the signing secret is never recorded
+function auditSnapshot(endpoint) {
+  if (!endpoint) {
+    return null;
+  }
+  return {
+    url: endpoint.url,
+    description: endpoint.description,
+    events: endpoint.events,
+    active: endpoint.active,
+  };
+}
+
+// Shape a webhook_deliveries row for the delivery log
+function formatDelivery(delivery) {
+  return {
+    deliveryId: Number(delivery.id),
+    eventId: delivery.event_id,
+    eventType: delivery.event_type,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.status === webhookService.DeliveryStatus.PENDING ? delivery.next_attempt_at : null,
+    lastStatusCode: delivery.last_status_code,
+    lastError: delivery.last_error,
+    deliveredAt: delivery.delivered_at,
+    createdAt: delivery.created_at,
+  };
+}
+
+function sendNotFound(reply, message) {
+  return reply.status(404).send({
+    success: false,
+    message,
+  });
+}
+
+/**
+ * Admin API for outbound webhooks
+ * Every route requires admin credentials. Deliveries are made by the webhook dispatcher worker.
+ */
+export async function webhookRoutes(fastify) {
+  /**
+   * POST /webhooks
+   * Register an endpoint for some event types; the response carries the signing secret
+   */
+  fastify.post('/webhooks', {
+    preHandler: [requireAdmin(), validateBody(createWebhookSchema)],
+  }, async (request, reply) => {
+    const endpoint = await webhookService.createEndpoint(request.validatedBody);
+    await auditService.recordAudit(request, {
+      action: auditService.AuditAction.WEBHOOK_CREATE,
+      targetType: 'webhook',
+      targetId: endpoint.id,
+      after: auditSnapshot(endpoint),
+    });
+
+    return reply.status(201).send({
+      success: true,
+      webhook: formatEndpoint({ ...endpoint, pending_count: 0, failed_count: 0 }, { includeSecret: true }),
+    });
+  });
+
+  /**
+   * GET /webhooks
+   * List endpoints with their pending and failed delivery counts
+   */
+  fastify.get('/webhooks', {
+    preHandler: [requireAdmin()],
+  }, async (request, reply) => {
+    const endpoints = await webhookService.listEndpoints();
+    return reply.send({ webhooks: endpoints.map((endpoint) => formatEndpoint(endpoint)) });
+  });
+
+  /**
+   * PATCH /webhooks/:webhookId
+   * Change the URL, event filter, secret or description, or pause an endpoint (active: false)
+   */
+  fastify.patch('/webhooks/:webhookId', {
+    preHandler: [requireAdmin(), validateParams(webhookIdParamSchema), validateBody(updateWebhookSchema)],
+  }, async (request, reply) => {
+    const { webhookId } = request.validatedParams;
+
+    const before = await webhookService.getEndpoint(webhookId);
+    const { result, endpoint } = await webhookService.updateEndpoint(webhookId, request.validatedBody);
+    if (result !== webhookService.WebhookChangeResult.OK) {
+      return sendNotFound(reply, `Webhook ${webhookId} not found`);
+    }
+
+    await auditService.recordAudit(request, {
+      action: auditService.AuditAction.WEBHOOK_UPDATE,
+      targetType: 'webhook',
+      targetId: webhookId,
+      before: auditSnapshot(before),
+      after: { ...auditSnapshot(endpoint), secretRotated: request.validatedBody.secret !== undefined },
+    });
+
+    return reply.send({
+      success: true,
+      message: `Webhook ${webhookId} updated successfully`,
+      webhook: formatEndpoint(endpoint, { includeSecret: request.validatedBody.secret !== undefined }),
+    });
+  });
+
+  /**
+   * DELETE /webhooks/:webhookId
+   * Remove an endpoint and its delivery log
+   */
+  fastify.delete('/webhooks/:webhookId', {
+    preHandler: [requireAdmin(), validateParams(webhookIdParamSchema)],
+  }, async (request, reply) => {
+    const { webhookId } = request.validatedParams;
+
+    const before = await webhookService.getEndpoint(webhookId);
+    const result = await webhookService.deleteEndpoint(webhookId);
+    if (result !== webhookService.WebhookChangeResult.OK) {
+      return sendNotFound(reply, `Webhook ${webhookId} not found`);
+    }
+
+    await auditService.recordAudit(request, {
+      action: auditService.AuditAction.WEBHOOK_DELETE,
+      targetType: 'webhook',
+      targetId: webhookId,
+      before: auditSnapshot(before),
+    });
+
+    return reply.send({
+      success: true,
+      message: `Webhook ${webhookId} deleted successfully`,
+    });
+  });
+
+  /**
+   * GET /webhooks/:webhookId/deliveries
+   * Delivery log of an endpoint, newest first, filterable by status (PENDING, DELIVERED, FAILED)
+   */
+  fastify.get('/webhooks/:webhookId/deliveries', {
+    preHandler: [requireAdmin(), validateParams(webhookIdParamSchema), validateQuery(listDeliveriesQuerySchema)],
+  }, async (request, reply) => {
+    const { webhookId } = request.validatedParams;
+    const { status, page, pageSize } = request.validatedQuery;
+
+    if (!(await webhookService.getEndpoint(webhookId))) {
+      return sendNotFound(reply, `Webhook ${webhookId} not found`);
+    }
+
+    const { deliveries, total } = await webhookService.listDeliveries(webhookId, { status, page, pageSize });
+
+    return reply.send({
+      deliveries: deliveries.map(formatDelivery),
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+      },
+    });
+  });
+
+  /**
+   * GET /webhooks/:webhookId/deliveries/:deliveryId
+   * One delivery with its payload and every attempt made
+   */
+  fastify.get('/webhooks/:webhookId/deliveries/:deliveryId', {
+    preHandler: [requireAdmin(), validateParams(webhookDeliveryParamsSchema)],
+  }, async (request, reply) => {
+    const { webhookId, deliveryId } = request.validatedParams;
+
+    const delivery = await webhookService.getDelivery(webhookId, deliveryId);
+    if (!delivery) {
+      return sendNotFound(reply, `Delivery ${deliveryId} not found`);
+    }
+
+    return reply.send({
+      ...formatDelivery(delivery),
+      payload: delivery.payload,
+      attemptLog: delivery.attempt_log.map((attempt) => ({
+        statusCode: attempt.status_code,
+        error: attempt.error,
+        durationMs: attempt.duration_ms,
+        attemptedAt: attempt.attempted_at,
+      })),
+    });
+  });
+
+  /**
+   * POST /webhooks/:webhookId/deliveries/:deliveryId/redeliver
+   * Send a delivered or failed delivery again, with a fresh set of retries
+   */
+  fastify.post('/webhooks/:webhookId/deliveries/:deliveryId/redeliver', {
+    preHandler: [requireAdmin(), validateParams(webhookDeliveryParamsSchema)],
+  }, async (request, reply) => {
+    const { webhookId, deliveryId } = request.validatedParams;
+
+    const { result, delivery } = await webhookService.redeliver(webhookId, deliveryId);
+
+    if (result !== webhookService.RedeliverResult.QUEUED) {
+      return reply.status(redeliverStatusCodes[result]).send({
+        success: false,
+        result,
+        message: result === webhookService.RedeliverResult.ALREADY_PENDING
+          ? 'This delivery is already waiting to be sent'
+          : `Delivery ${deliveryId} not found`,
+      });
+    }
+
+    await auditService.recordAudit(request, {
+      action: auditService.AuditAction.WEBHOOK_REDELIVER,
+      targetType: 'webhook_delivery',
+      targetId: deliveryId,
+      after: { webhookId, eventId: delivery.event_id },
+    });
+
+    return reply.status(redeliverStatusCodes[result]).send({
+      success: true,
+      result,
+      message: `Delivery ${deliveryId} queued for redelivery`,
+      delivery: formatDelivery(delivery),
+    });
+  });
+}
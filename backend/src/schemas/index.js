@@ -1,7 +1,7 @@
 import { z } from 'zod';
 
-// Purchase request validation schema
-export const purchaseSchema = z.object({
+// Dev token request validation (the user ID becomes the token subject)
+export const authTokenSchema = z.object({
   userId: z
     .string()
     .min(1, 'User ID is required')
@@ -9,6 +9,27 @@ export const purchaseSchema = z.object({
     .regex(/^[a-zA-Z0-9_-]+$/, 'User ID can only contain letters, numbers, underscores, and hyphens'),
 });
 
+// Purchase request validation schema (the buyer comes from the bearer token)
+export const purchaseSchema = z.object({
+  quantity: z
+    .number()
+    .int('Quantity must be an integer')
+    .min(1, 'Quantity must be at least 1')
+    .max(100, 'Quantity is too large')
+    .default(1),
+  itemId: z.number().int().positive('Item ID must be a positive integer').optional(),
+});
+
+// Idempotency-Key header validation (header names are lower-cased by Node)
+export const idempotencyHeaderSchema = z.object({
+  'idempotency-key': z
+    .string()
+    .min(1, 'Idempotency-Key must not be empty')
+    .max(255, 'Idempotency-Key is too long')
+    .regex(/^[a-zA-Z0-9_:-]+$/, 'Idempotency-Key can only contain letters, numbers, underscores, colons, and hyphens')
+    .optional(),
+});
+
 // Sale ID parameter validation
 export const saleIdSchema = z.object({
   saleId: z
@@ -17,6 +38,24 @@ export const saleIdSchema = z.object({
     .transform((val) => parseInt(val, 10)),
 });
 
+// Order ID parameter validation
+export const orderIdParamSchema = z.object({
+  orderId: z
+    .string()
+    .regex(/^\d+$/, 'Order ID must be a number')
+    .transform((val) => parseInt(val, 10)),
+});
+
+// Order cancellation request validation
+export const cancelOrderSchema = z.object({
+  reason: z.string().trim().min(1, 'Reason cannot be empty').max(500, 'Reason is too long').optional(),
+}).default({}); // the body itself is optional
+
+// Pending order reference parameter validation
+export const orderReferenceParamSchema = z.object({
+  reference: z.string().uuid('Invalid order reference'),
+});
+
 // User ID parameter validation
 export const userIdParamSchema = z.object({
   userId: z
@@ -25,12 +64,38 @@ export const userIdParamSchema = z.object({
     .max(255, 'User ID is too long'),
 });
 
+// Sale item (SKU / variant) validation
+export const saleItemSchema = z.object({
+  sku: z
+    .string()
+    .min(1, 'SKU is required')
+    .max(100, 'SKU is too long')
+    .regex(/^[a-zA-Z0-9_-]+$/, 'SKU can only contain letters, numbers, underscores, and hyphens'),
+  name: z.string().min(1, 'Item name is required').max(255, 'Item name is too long'),
+  totalStock: z.number().int().min(1, 'Item stock must be at least 1'),
+  maxPerUser: z.number().int().min(1, 'Item max per user must be at least 1').optional(),
+});
+
 // Create sale request validation
+// Either totalStock (single product) or items (one stock per item) must be given
 export const createSaleSchema = z.object({
   name: z.string().min(1, 'Name is required').max(255, 'Name is too long'),
   startTime: z.string().datetime('Invalid start time format'),
   endTime: z.string().datetime('Invalid end time format'),
-  totalStock: z.number().int().min(1, 'Total stock must be at least 1'),
+  totalStock: z.number().int().min(1, 'Total stock must be at least 1').optional(),
+  maxPerUser: z.number().int().min(1, 'Max per user must be at least 1').default(1),
+  items: z.array(saleItemSchema).min(1, 'At least one item is required').optional(),
+  // Redis stock keys for a hot sale (default STOCK_SHARDS); fixed once the sale is created
+  stockShards: z.number().int().min(1, 'Stock shards must be at least 1').max(64, 'Stock shards must be at most 64').optional(),
+}).refine((data) => data.totalStock !== undefined || data.items !== undefined, {
+  message: 'Either totalStock or items must be provided',
+}).refine((data) => {
+  if (!data.items) {
+    return true;
+  }
+  return new Set(data.items.map((item) => item.sku)).size === data.items.length;
+}, {
+  message: 'Item SKUs must be unique within a sale',
 });
 
 // Update sale times validation
@@ -46,9 +111,174 @@ export const updateSaleTimesSchema = z.object({
   message: 'Start time must be before end time',
 });
 
+// Sale list query validation
+export const listSalesQuerySchema = z.object({
+  status: z.enum(['UPCOMING', 'ACTIVE', 'ENDED']).optional(),
+  page: z.coerce.number().int().min(1, 'Page must be at least 1').default(1),
+  pageSize: z.coerce.number().int().min(1, 'Page size must be at least 1').max(100, 'Page size is too large').default(20),
+});
+
+// Comma-separated order status filter, e.g. status=SUCCESS,PAID
+const orderStatusListSchema = z
+  .string()
+  .transform((value) => [...new Set(value.split(',').map((status) => status.trim().toUpperCase()))])
+  .pipe(z.array(z.enum(['SUCCESS', 'RESERVED', 'PAID', 'EXPIRED', 'FAILED', 'CANCELLED'])));
+
+// from / to bound created_at as [from, to)
+const createdAtRangeRefinement = [
+  (data) => !data.from || !data.to || new Date(data.from) < new Date(data.to),
+  { message: 'from must be before to' },
+];
+
+// Order export query validation
+export const exportOrdersQuerySchema = z.object({
+  format: z.enum(['csv', 'ndjson']).default('csv'),
+  status: orderStatusListSchema.optional(),
+  from: z.string().datetime('Invalid from time format').optional(),
+  to: z.string().datetime('Invalid to time format').optional(),
+}).refine(...createdAtRangeRefinement);
+
+// Order search query validation (GET /orders)
+// cursor is the nextCursor of the previous page and only works with the same sort and order
+export const listOrdersQuerySchema = z.object({
+  saleId: z.coerce.number().int().positive('Sale ID must be a positive integer').optional(),
+  itemId: z.coerce.number().int().positive('Item ID must be a positive integer').optional(),
+  userId: z.string().min(1, 'User ID cannot be empty').max(255, 'User ID is too long').optional(),
+  status: orderStatusListSchema.optional(),
+  from: z.string().datetime('Invalid from time format').optional(),
+  to: z.string().datetime('Invalid to time format').optional(),
+  sort: z.enum(['createdAt', 'id', 'quantity']).default('createdAt'),
+  order: z.enum(['asc', 'desc']).default('desc'),
+  limit: z.coerce.number().int().min(1, 'Limit must be at least 1').max(100, 'Limit is too large').default(20),
+  cursor: z.string().max(512, 'Cursor is too long').optional(),
+}).refine(...createdAtRangeRefinement);
+
+// Audit log query validation (GET /audit)
+// action is a comma-separated list, e.g. sale.reset,sale.delete; cursor is the nextCursor of the previous page
+export const listAuditQuerySchema = z.object({
+  actor: z.string().min(1, 'Actor cannot be empty').max(255, 'Actor is too long').optional(),
+  action: z
+    .string()
+    .transform((value) => [...new Set(value.split(',').map((action) => action.trim().toLowerCase()))])
+    .pipe(z.array(z.string().regex(/^[a-z_]+\.[a-z_]+$/, 'Invalid action')))
+    .optional(),
+  saleId: z.coerce.number().int().positive('Sale ID must be a positive integer').optional(),
+  targetType: z.string().min(1, 'Target type cannot be empty').max(50, 'Target type is too long').optional(),
+  targetId: z.string().min(1, 'Target ID cannot be empty').max(255, 'Target ID is too long').optional(),
+  from: z.string().datetime('Invalid from time format').optional(),
+  to: z.string().datetime('Invalid to time format').optional(),
+  limit: z.coerce.number().int().min(1, 'Limit must be at least 1').max(100, 'Limit is too large').default(50),
+  cursor: z.string().regex(/^\d{1,19}$/, 'Invalid cursor').optional(),
+}).refine(...createdAtRangeRefinement);
+
+// Update sale request validation
+// Items are matched by itemId; new items cannot be added to an existing sale
+export const updateSaleSchema = z.object({
+  name: z.string().min(1, 'Name is required').max(255, 'Name is too long').optional(),
+  startTime: z.string().datetime('Invalid start time format').optional(),
+  endTime: z.string().datetime('Invalid end time format').optional(),
+  totalStock: z.number().int().min(1, 'Total stock must be at least 1').optional(),
+  maxPerUser: z.number().int().min(1, 'Max per user must be at least 1').optional(),
+  items: z.array(z.object({
+    itemId: z.number().int().positive('Item ID must be a positive integer'),
+    name: z.string().min(1, 'Item name is required').max(255, 'Item name is too long').optional(),
+    totalStock: z.number().int().min(1, 'Item stock must be at least 1').optional(),
+    maxPerUser: z.number().int().min(1, 'Item max per user must be at least 1').nullable().optional(),
+  })).optional(),
+}).refine((data) => Object.values(data).some((value) => value !== undefined), {
+  message: 'At least one field must be provided',
+}).refine((data) => {
+  if (data.startTime && data.endTime) {
+    return new Date(data.startTime) < new Date(data.endTime);
+  }
+  return true;
+}, {
+  message: 'Start time must be before end time',
+});
+
+// Waiting room admission rate update validation (0 pauses admission)
+export const admissionRateSchema = z.object({
+  admissionsPerSecond: z
+    .number()
+    .int('Admissions per second must be an integer')
+    .min(0, 'Admissions per second cannot be negative')
+    .max(100000, 'Admissions per second is too large'),
+});
+
+// Waitlist join validation (itemId is required for sales with items)
+export const joinWaitlistSchema = z.object({
+  itemId: z.number().int().positive('Item ID must be a positive integer').optional(),
+}).default({}); // the body itself is optional
+
+// Waitlist lookup / leave query validation
+export const waitlistQuerySchema = z.object({
+  itemId: z.coerce.number().int().positive('Item ID must be a positive integer').optional(),
+});
+
+// Webhook event types an endpoint can subscribe to (see WebhookEventType)
+const webhookEventsSchema = z
+  .array(z.enum(['order.succeeded', 'sale.started', 'sale.ended', 'sale.sold_out']))
+  .min(1, 'At least one event type is required')
+  .transform((events) => [...new Set(events)]);
+
+const webhookUrlSchema = z
+  .string()
+  .url('Invalid URL')
+  .max(2048, 'URL is too long')
+  .refine((url) => /^https?:\/\//.test(url), 'URL must use http or https');
+
+const webhookSecretSchema = z.string().min(16, 'Secret must be at least 16 characters').max(255, 'Secret is too long');
+
+// Webhook endpoint registration validation (a secret is generated when none is given)
+export const createWebhookSchema = z.object({
+  url: webhookUrlSchema,
+  description: z.string().max(255, 'Description is too long').optional(),
+  events: webhookEventsSchema,
+  secret: webhookSecretSchema.optional(),
+});
+
+// Webhook endpoint update validation
+export const updateWebhookSchema = z.object({
+  url: webhookUrlSchema.optional(),
+  description: z.string().max(255, 'Description is too long').nullable().optional(),
+  events: webhookEventsSchema.optional(),
+  secret: webhookSecretSchema.optional(),
+  active: z.boolean().optional(),
+}).refine((data) => Object.values(data).some((value) => value !== undefined), {
+  message: 'At least one field must be provided',
+});
+
+// Webhook endpoint ID parameter validation
+export const webhookIdParamSchema = z.object({
+  webhookId: z
+    .string()
+    .regex(/^\d+$/, 'Webhook ID must be a number')
+    .transform((val) => parseInt(val, 10)),
+});
+
+// Webhook delivery parameters validation
+export const webhookDeliveryParamsSchema = webhookIdParamSchema.extend({
+  deliveryId: z
+    .string()
+    .regex(/^\d+$/, 'Delivery ID must be a number')
+    .transform((val) => parseInt(val, 10)),
+});
+
+// Webhook delivery log query validation
+export const listDeliveriesQuerySchema = z.object({
+  status: z.enum(['PENDING', 'DELIVERED', 'FAILED']).optional(),
+  page: z.coerce.number().int().min(1, 'Page must be at least 1').default(1),
+  pageSize: z.coerce.number().int().min(1, 'Page size must be at least 1').max(100, 'Page size is too large').default(20),
+});
+
 // Reset sale request validation
 export const resetSaleSchema = z.object({
   stock: z.number().int().positive('Stock must be a positive integer'),
+  maxPerUser: z.number().int().min(1, 'Max per user must be at least 1').optional(),
+  items: z.array(z.object({
+    itemId: z.number().int().positive('Item ID must be a positive integer'),
+    stock: z.number().int().positive('Stock must be a positive integer'),
+  })).optional(),
 });
 
 /**
@@ -92,3 +322,45 @@ export function validateParams(schema) {
     }
   };
 }
+
+/**
+ * Validate request headers with Zod schema
+ */
+export function validateHeaders(schema) {
+  return async (request, reply) => {
+    try {
+      request.validatedHeaders = schema.parse(request.headers);
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        reply.status(400).send({
+          error: 'Validation Error',
+          message: error.errors.map((e) => `${e.path.join('.')}: ${e.message}`).join(', '),
+          details: error.errors,
+        });
+        return;
+      }
+      throw error;
+    }
+  };
+}
+
+/**
+ * Validate request query string with Zod schema
+ */
+export function validateQuery(schema) {
+  return async (request, reply) => {
+    try {
+      request.validatedQuery = schema.parse(request.query);
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        reply.status(400).send({
+          error: 'Validation Error',
+          message: error.errors.map((e) => `${e.path.join('.')}: ${e.message}`).join(', '),
+          details: error.errors,
+        });
+        return;
+      }
+      throw error;
+    }
+  };
+}
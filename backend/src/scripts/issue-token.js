@@ -0,0 +1,15 @@
+import { signToken, Role } from '../services/auth.js';
+
+/**
+ * Issue a signed token from the command line
+ * Usage: npm run auth:token -- <userId> [shopper|admin] [expirySeconds]
+ */
+const [userId, role = Role.SHOPPER, expiresIn] = process.argv.slice(2);
+
+if (!userId || !Object.values(Role).includes(role)) {
+  console.error('Usage: npm run auth:token -- <userId> [shopper|admin] [expirySeconds]');
+  process.exit(1);
+}
+
+const options = expiresIn ? { expiresIn: parseInt(expiresIn, 10) } : {};
+console.log(signToken({ sub: userId, role }, options));
@@ -0,0 +1,135 @@
+import { query } from '../db/postgres.js';
+
+// Admin mutations recorded in audit_log
+export const AuditAction = {
+  SALE_CREATE: 'sale.create',
+  SALE_UPDATE: 'sale.update',
+  SALE_DELETE: 'sale.delete',
+  SALE_RESET: 'sale.reset',
+  SALE_TIMES_UPDATE: 'sale.times_update',
+  SALE_STOCK_INIT: 'sale.stock_init',
+  SALE_RECOVERY: 'sale.recovery',
+  SALE_RECONCILE: 'sale.reconcile',
+  WAITING_ROOM_RATE_UPDATE: 'waiting_room.rate_update',
+  ORDER_CANCEL: 'order.cancel',
+  WEBHOOK_CREATE: 'webhook.create',
+  WEBHOOK_UPDATE: 'webhook.update',
+  WEBHOOK_DELETE: 'webhook.delete',
+  WEBHOOK_REDELIVER: 'webhook.redeliver',
+};
+
+const AUDIT_COLUMNS = 'id, actor, action, sale_id, target_type, target_id, before, after, request_meta, created_at';
+
+/**
+ * Who made an admin request and the request metadata to keep with the entry
+ * Must run after requireAdmin, which sets request.user
+ */
+export function getAuditContext(request) {
+  return {
+    actor: request.user.id,
+    requestMeta: {
+      requestId: request.id,
+      method: request.method,
+      url: request.url,
+      ip: request.ip,
+      userAgent: request.headers['user-agent'] || null,
+    },
+  };
+}
+
+/**
+ * Append an audit entry; pass a transaction client to commit it with the change itself
+ * Returns the entry id
+ */
+export async function insertAuditEntry(context, { action, saleId = null, targetType = null, targetId = null, before = null, after = null }, { client = null } = {}) {
+  const executor = client || { query };
+  const result = await executor.query(
+    `INSERT INTO audit_log (actor, action, sale_id, target_type, target_id, before, after, request_meta)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING id`,
+    [
+      context.actor,
+      action,
+      saleId,
+      targetType,
+      targetId === null ? null : String(targetId),
+      before === null ? null : JSON.stringify(before),
+      after === null ? null : JSON.stringify(after),
+      JSON.stringify(context.requestMeta),
+    ]
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Audit an admin change that has already been applied
+ * A failed audit write must not turn a successful change into an error response,
+ * so the entry is logged in full instead
+ */
+export async function recordAudit(request, entry) {
+  const context = getAuditContext(request);
+  try {
+    await insertAuditEntry(context, entry);
+  } catch (error) {
+    console.error(`Failed to write audit entry, logging it instead: ${JSON.stringify({ ...context, ...entry })}`, error.message);
+  }
+}
+
+/**
+ * Search the audit log, newest first
+ * Filters: actor, actions, saleId, targetType / targetId, created_at in [from, to).
+ * Pages are keyset based on id; returns { entries, total, nextCursor }
+ */
+export async function listAuditEntries(
+  { actor = null, actions = null, saleId = null, targetType = null, targetId = null, from = null, to = null } = {},
+  { limit = 50, cursor = null } = {}
+) {
+  const filters = [
+    ['actor = $?', actor],
+    ['action = ANY($?)', actions],
+    ['sale_id = $?', saleId],
+    ['target_type = $?', targetType],
+    ['target_id = $?', targetId],
+    ['created_at >= $?', from],
+    ['created_at < $?', to],
+  ];
+
+  const conditions = [];
+  const values = [];
+  let paramIndex = 1;
+
+  for (const [condition, value] of filters) {
+    if (value) {
+      conditions.push(condition.replace('$?', `$${paramIndex++}`));
+      values.push(value);
+    }
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const countValues = [...values];
+
+  if (cursor) {
+    conditions.push(`id < $${paramIndex++}`);
+    values.push(cursor);
+  }
+  const pageWhere = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  // One extra row tells whether there is a next page
+  values.push(limit + 1);
+  const [result, countResult] = await Promise.all([
+    query(
+      `SELECT ${AUDIT_COLUMNS} FROM audit_log ${pageWhere} ORDER BY id DESC LIMIT $${paramIndex}`,
+      values
+    ),
+    query(`SELECT COUNT(*) as total FROM audit_log ${where}`, countValues),
+  ]);
+
+  const hasMore = result.rows.length > limit;
+  const entries = hasMore ? result.rows.slice(0, limit) : result.rows;
+
+  return {
+    entries,
+    total: parseInt(countResult.rows[0].total, 10),
+    nextCursor: hasMore ? String(entries[entries.length - 1].id) : null,
+  };
+}
@@ -0,0 +1,119 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { config } from '../config/index.js';
+
+// Token roles
+export const Role = {
+  SHOPPER: 'shopper',
+  ADMIN: 'admin',
+};
+
+// Token verification errors
+export const TokenError = {
+  INVALID: 'TOKEN_INVALID',
+  EXPIRED: 'TOKEN_EXPIRED',
+};
+
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function base64UrlDecodeJson(value) {
+  return JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+}
+
+// JSON.parse also accepts null, numbers, strings and arrays, which are not a JWT header or claims set
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function sign(data, secret) {
+  return createHmac('sha256', secret).update(data).digest();
+}
+
+/**
+ * Sign a JWT (HS256) with the local secret
+ */
+export function signToken(claims, { expiresIn = config.auth.tokenExpiry, secret = config.auth.jwtSecret } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64UrlEncode(JSON.stringify({ ...claims, iat: now, exp: now + expiresIn }));
+  const signature = sign(`${header}.${payload}`, secret).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Verify a JWT (HS256) signed with the local secret
+ * Returns { payload } or { error: TokenError.* }
+ */
+export function verifyToken(token, { secret = config.auth.jwtSecret } = {}) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    return { error: TokenError.INVALID };
+  }
+  
+  const [header, payload, signature] = parts;
+  
+  let decodedHeader;
+  let decodedPayload;
+  try {
+    decodedHeader = base64UrlDecodeJson(header);
+    decodedPayload = base64UrlDecodeJson(payload);
+  } catch (error) {
+    return { error: TokenError.INVALID };
+  }
+  if (!isPlainObject(decodedHeader) || !isPlainObject(decodedPayload)) {
+    return { error: TokenError.INVALID };
+  }
+  
+  // Only accept the algorithm we sign with (no "none", no algorithm switching)
+  if (decodedHeader.alg !== 'HS256') {
+    return { error: TokenError.INVALID };
+  }
+  
+  const expected = sign(`${header}.${payload}`, secret);
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return { error: TokenError.INVALID };
+  }
+  
+  if (typeof decodedPayload.exp !== 'number' || decodedPayload.exp <= Math.floor(Date.now() / 1000)) {
+    return { error: TokenError.EXPIRED };
+  }
+  
+  if (typeof decodedPayload.sub !== 'string' || decodedPayload.sub.length === 0) {
+    return { error: TokenError.INVALID };
+  }
+  
+  return { payload: decodedPayload };
+}
+
+/**
+ * Issue a shopper token for a user
+ */
+export function issueShopperToken(userId) {
+  return signToken({ sub: userId, role: Role.SHOPPER });
+}
+
+// Constant-time comparison of a presented secret against a configured one (unset never matches)
+function secretMatches(configured, presented) {
+  if (!configured || typeof presented !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(configured);
+  const actual = Buffer.from(presented);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Check an admin API key against the configured one
+ */
+export function isValidAdminApiKey(apiKey) {
+  return secretMatches(config.auth.adminApiKey, apiKey);
+}
+
+/**
+ * Check a rate-limit bypass key (trusted load-test clients) against the configured one
+ */
+export function isValidRateLimitBypassKey(bypassKey) {
+  return secretMatches(config.rateLimit.bypassKey, bypassKey);
+}
@@ -0,0 +1,139 @@
+import { createHash, randomUUID } from 'node:crypto';
+import * as redisService from './redis.js';
+import { config } from '../config/index.js';
+
+// Idempotency outcomes
+export const IdempotencyResult = {
+  EXECUTED: 'EXECUTED',
+  REPLAYED: 'REPLAYED',
+  KEY_MISMATCH: 'KEY_MISMATCH',
+  IN_PROGRESS: 'IN_PROGRESS',
+};
+
+const RecordState = {
+  IN_PROGRESS: 'IN_PROGRESS',
+  COMPLETED: 'COMPLETED',
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function getIdempotencyKey(scope, key) {
+  return `${config.idempotency.keyPrefix}${scope}:${key}`;
+}
+
+/**
+ * Hash of the request payload, so a key reused with a different payload is detected
+ */
+export function fingerprintPayload(payload) {
+  return createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+async function readRecord(client, redisKey) {
+  const raw = await client.get(redisKey);
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Wait for the first request with the same key to finish
+ */
+async function waitForCompletion(client, redisKey) {
+  const deadline = Date.now() + config.idempotency.waitMs;
+  
+  while (Date.now() < deadline) {
+    await sleep(config.idempotency.pollIntervalMs);
+    const record = await readRecord(client, redisKey);
+    if (!record || record.state === RecordState.COMPLETED) {
+      return record;
+    }
+  }
+  return null;
+}
+
+/**
+ * Keep an in-flight marker alive while its request runs, so a slow request is not run twice
+ * Returns a function that stops the refresh
+ */
+function keepMarkerAlive(client, redisKey, marker) {
+  const timer = setInterval(() => {
+    client.extendLock(redisKey, marker, config.idempotency.lockExpiry * 1000)
+      .then((extended) => {
+        if (!extended) {
+          console.warn(`Idempotency marker ${redisKey} was lost while its request ran`);
+        }
+      })
+      .catch((error) => {
+        console.error(`Failed to extend idempotency marker ${redisKey}:`, error.message);
+      });
+  }, config.idempotency.lockRefreshMs);
+  return () => clearInterval(timer);
+}
+
+/**
+ * Run `execute` at most once per idempotency key
+ * `execute` returns { statusCode, body }; responses below 500 are stored and replayed
+ * for later requests with the same key and payload. Server errors are not stored,
+ * so the client can retry them with the same key.
+ * The in-flight marker carries a token, and the response replaces it (or it is deleted) only while it
+ * still holds that token, so a request whose marker was lost never overwrites another request's record
+ */
+export async function withIdempotency(scope, key, payload, execute) {
+  const client = redisService.getRedisClient();
+  const redisKey = getIdempotencyKey(scope, key);
+  const fingerprint = fingerprintPayload(payload);
+  const marker = JSON.stringify({ state: RecordState.IN_PROGRESS, fingerprint, token: randomUUID() });
+  
+  const acquired = await client.set(redisKey, marker, 'EX', config.idempotency.lockExpiry, 'NX');
+  
+  if (!acquired) {
+    let record = await readRecord(client, redisKey);
+    
+    if (record && record.fingerprint !== fingerprint) {
+      return { result: IdempotencyResult.KEY_MISMATCH };
+    }
+    
+    if (record && record.state === RecordState.IN_PROGRESS) {
+      record = await waitForCompletion(client, redisKey);
+      if (!record) {
+        return { result: IdempotencyResult.IN_PROGRESS };
+      }
+    }
+    
+    if (record) {
+      return {
+        result: IdempotencyResult.REPLAYED,
+        statusCode: record.statusCode,
+        body: record.body,
+      };
+    }
+    
+    // The first request failed and released the key in the meantime, run this one instead
+    return withIdempotency(scope, key, payload, execute);
+  }
+  
+  let response;
+  const stopRefresh = keepMarkerAlive(client, redisKey, marker);
+  try {
+    response = await execute();
+  } catch (error) {
+    stopRefresh();
+    await client.releaseLock(redisKey, marker);
+    throw error;
+  }
+  stopRefresh();
+  
+  if (response.statusCode >= 500) {
+    await client.releaseLock(redisKey, marker);
+  } else {
+    const record = JSON.stringify({
+      state: RecordState.COMPLETED,
+      fingerprint,
+      statusCode: response.statusCode,
+      body: response.body,
+    });
+    if (!(await client.replaceLock(redisKey, marker, record, config.idempotency.responseExpiry))) {
+      console.warn(`Idempotency marker ${redisKey} was lost before its response was stored`);
+    }
+  }
+  
+  return { result: IdempotencyResult.EXECUTED, ...response };
+}
@@ -0,0 +1,101 @@
+import client from 'prom-client';
+
+// Prometheus registry served on GET /metrics
+export const register = new client.Registry();
+
+client.collectDefaultMetrics({ register, prefix: 'flash_sale_' });
+
+// Latency buckets in seconds, from sub-millisecond Redis calls up to slow DB transactions
+const LATENCY_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+export const purchaseOutcomes = new client.Counter({
+  name: 'flash_sale_purchase_outcomes_total',
+  help: 'Purchase attempts by PurchaseResult',
+  labelNames: ['result'],
+  registers: [register],
+});
+
+export const purchaseDuration = new client.Histogram({
+  name: 'flash_sale_purchase_duration_seconds',
+  help: 'Time to process a purchase, by PurchaseResult',
+  labelNames: ['result'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register],
+});
+
+export const redisDuration = new client.Histogram({
+  name: 'flash_sale_redis_duration_seconds',
+  help: 'Latency of Redis calls on the purchase path, by operation',
+  labelNames: ['operation'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register],
+});
+
+export const dbDuration = new client.Histogram({
+  name: 'flash_sale_db_duration_seconds',
+  help: 'Latency of Postgres calls, by source (pool query, transaction client query, connection checkout)',
+  labelNames: ['source'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register],
+});
+
+export const dbPoolConnections = new client.Gauge({
+  name: 'flash_sale_db_pool_connections',
+  help: 'Postgres pool connections by state (total, idle, waiting clients, max)',
+  labelNames: ['state'],
+  registers: [register],
+});
+
+export const saleStockRemaining = new client.Gauge({
+  name: 'flash_sale_stock_remaining',
+  help: 'Remaining stock per active sale',
+  labelNames: ['sale_id'],
+  registers: [register],
+});
+
+export const saleStockTotal = new client.Gauge({
+  name: 'flash_sale_stock_total',
+  help: 'Total stock per active sale',
+  labelNames: ['sale_id'],
+  registers: [register],
+});
+
+export const itemStockRemaining = new client.Gauge({
+  name: 'flash_sale_item_stock_remaining',
+  help: 'Remaining stock per item of an active sale',
+  labelNames: ['sale_id', 'item_id'],
+  registers: [register],
+});
+
+export const redisBreakerState = new client.Gauge({
+  name: 'flash_sale_redis_breaker_state',
+  help: 'Redis circuit breaker state: 0 closed, 1 half-open (re-seeding), 2 open (purchases use Postgres only)',
+  registers: [register],
+});
+
+export const consistencyDrift = new client.Gauge({
+  name: 'flash_sale_consistency_drift',
+  help: 'Confirmed Redis / Postgres differences per open sale at the last reconciler run: stock units Redis is missing (negative: units it has too many), user counts without an order, orders without a user count, mismatched user counts',
+  labelNames: ['sale_id', 'kind'],
+  registers: [register],
+});
+
+export const rateLimitRejections = new client.Counter({
+  name: 'flash_sale_rate_limit_rejections_total',
+  help: 'Requests rejected by the rate limiter, by route',
+  labelNames: ['route'],
+  registers: [register],
+});
+
+/**
+ * Time an async call into a histogram
+ * The observation is recorded whether the call resolves or throws
+ */
+export async function observe(histogram, labels, fn) {
+  const end = histogram.startTimer(labels);
+  try {
+    return await fn();
+  } finally {
+    end();
+  }
+}
@@ -0,0 +1,169 @@
+import { Readable } from 'node:stream';
+import { getClient } from '../db/postgres.js';
+import { config } from '../config/index.js';
+
+export const ExportFormat = {
+  CSV: 'csv',
+  NDJSON: 'ndjson',
+};
+
+export const exportContentTypes = {
+  [ExportFormat.CSV]: 'text/csv; charset=utf-8',
+  [ExportFormat.NDJSON]: 'application/x-ndjson; charset=utf-8',
+};
+
+const CSV_COLUMNS = [
+  'order_id',
+  'user_id',
+  'item_id',
+  'sku',
+  'item_name',
+  'quantity',
+  'status',
+  'created_at',
+  'paid_at',
+  'cancelled_at',
+];
+
+// The cursor is scoped to the export's transaction, so the fixed name cannot clash with another export
+const CURSOR_NAME = 'order_export';
+
+function toIsoString(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// RFC 4180: quote fields containing a delimiter, quote or line break, doubling inner quotes
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+  return `${values.map(csvField).join(',')}\r\n`;
+}
+
+function formatOrder(row) {
+  return {
+    orderId: row.id,
+    userId: row.user_id,
+    itemId: row.item_id,
+    sku: row.sku,
+    itemName: row.item_name,
+    quantity: row.quantity,
+    status: row.status,
+    createdAt: toIsoString(row.created_at),
+    paidAt: toIsoString(row.paid_at),
+    cancelledAt: toIsoString(row.cancelled_at),
+  };
+}
+
+/**
+ * Sale metadata and the filters used, written before the orders
+ */
+function formatSaleHeader(sale, filters) {
+  return {
+    saleId: sale.id,
+    name: sale.name,
+    startTime: toIsoString(sale.start_time),
+    endTime: toIsoString(sale.end_time),
+    totalStock: sale.total_stock,
+    maxPerUser: sale.max_per_user,
+    filters: {
+      status: filters.status || null,
+      from: filters.from || null,
+      to: filters.to || null,
+    },
+    exportedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Read a sale's orders through a server-side cursor, one batch at a time
+ * Only one batch is in memory, and the next FETCH waits until the consumer has taken the last one
+ */
+async function* fetchOrders(saleId, { status, from, to }) {
+  const client = await getClient();
+  let inTransaction = false;
+  try {
+    await client.query('BEGIN READ ONLY');
+    inTransaction = true;
+    await client.query(
+      `DECLARE ${CURSOR_NAME} NO SCROLL CURSOR FOR
+       SELECT o.id, o.user_id, o.item_id, si.sku, si.name as item_name, o.quantity, o.status,
+         o.created_at, o.paid_at, o.cancelled_at
+       FROM orders o
+       LEFT JOIN sale_items si ON si.id = o.item_id
+       WHERE o.sale_id = $1
+         AND ($2::text[] IS NULL OR o.status = ANY($2))
+         AND ($3::timestamptz IS NULL OR o.created_at >= $3)
+         AND ($4::timestamptz IS NULL OR o.created_at < $4)
+       ORDER BY o.id`,
+      [saleId, status || null, from || null, to || null]
+    );
+
+    while (true) {
+      const result = await client.query(`FETCH ${config.orderExport.batchSize} FROM ${CURSOR_NAME}`);
+      if (result.rows.length === 0) {
+        break;
+      }
+      yield result.rows;
+    }
+
+    await client.query('COMMIT');
+    inTransaction = false;
+  } finally {
+    // Also runs when the client disconnects mid-export and the stream is destroyed. The read-only
+    // transaction is still open then, and must not go back to the pool with the connection:
+    // roll it back, or destroy the connection when even that fails
+    let releaseError;
+    if (inTransaction) {
+      releaseError = await client.query('ROLLBACK').then(() => undefined, (error) => error);
+    }
+    client.release(releaseError);
+  }
+}
+
+async function* generateExport(sale, filters, format) {
+  const header = formatSaleHeader(sale, filters);
+
+  if (format === ExportFormat.CSV) {
+    // Sale metadata goes in a leading comment line (e.g. pandas read_csv(comment='#'))
+    yield `# ${JSON.stringify(header)}\r\n`;
+    yield csvRow(CSV_COLUMNS);
+  } else {
+    yield `${JSON.stringify({ type: 'sale', ...header })}\n`;
+  }
+
+  for await (const rows of fetchOrders(sale.id, filters)) {
+    let chunk = '';
+    for (const row of rows) {
+      const order = formatOrder(row);
+      chunk += format === ExportFormat.CSV
+        ? csvRow([
+          order.orderId,
+          order.userId,
+          order.itemId,
+          order.sku,
+          order.itemName,
+          order.quantity,
+          order.status,
+          order.createdAt,
+          order.paidAt,
+          order.cancelledAt,
+        ])
+        : `${JSON.stringify({ type: 'order', ...order })}\n`;
+    }
+    yield chunk;
+  }
+}
+
+/**
+ * Stream a sale's orders as CSV or NDJSON, optionally filtered by status and created_at range ([from, to))
+ * The first line carries the sale metadata: a # comment in CSV, a { type: 'sale' } record in NDJSON
+ */
+export function exportSaleOrders(sale, { status = null, from = null, to = null } = {}, format = ExportFormat.CSV) {
+  return Readable.from(generateExport(sale, { status, from, to }, format), { objectMode: false });
+}
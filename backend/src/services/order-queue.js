@@ -0,0 +1,258 @@
+import { randomUUID } from 'node:crypto';
+import { query } from '../db/postgres.js';
+import * as redisService from './redis.js';
+import * as saleEvents from './sale-events.js';
+import * as webhookService from './webhook.js';
+import { config } from '../config/index.js';
+
+// Pending order states (stored in the {orders}:pending:<reference> hash)
+export const PendingOrderStatus = {
+  PENDING: 'PENDING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED',
+};
+
+const streamConfig = config.orderPersistence;
+
+export function isStreamMode() {
+  return streamConfig.mode === 'stream';
+}
+
+export function getPendingOrderKey(reference) {
+  return `${streamConfig.pendingKeyPrefix}${reference}`;
+}
+
+/**
+ * Append a winning purchase to the order stream
+ * The pending status hash and the stream entry are written in one MULTI,
+ * so a client never gets a reference the worker will not see
+ */
+export async function enqueueOrder({ saleId, itemId, userId, quantity, status, expiresAt }) {
+  const client = redisService.getRedisClient();
+  const reference = randomUUID();
+  const createdAt = new Date().toISOString();
+  const pendingKey = getPendingOrderKey(reference);
+  
+  await client
+    .multi()
+    .hset(pendingKey, {
+      status: PendingOrderStatus.PENDING,
+      saleId,
+      userId,
+      createdAt,
+    })
+    .expire(pendingKey, streamConfig.pendingExpiry)
+    .xadd(
+      streamConfig.streamKey,
+      '*',
+      'reference', reference,
+      'saleId', saleId,
+      'itemId', itemId ?? '',
+      'userId', userId,
+      'quantity', quantity,
+      'status', status,
+      'expiresAt', expiresAt ?? '',
+      'createdAt', createdAt
+    )
+    .exec();
+  
+  return { reference, createdAt };
+}
+
+/**
+ * Get the state of a pending order - Redis first, then DB for references whose hash expired
+ */
+export async function getPendingOrder(reference) {
+  const client = redisService.getRedisClient();
+  const pending = await client.hgetall(getPendingOrderKey(reference));
+  
+  if (pending && pending.status) {
+    return {
+      reference,
+      status: pending.status,
+      orderId: pending.orderId ? parseInt(pending.orderId, 10) : null,
+      saleId: parseInt(pending.saleId, 10),
+      userId: pending.userId,
+      error: pending.error || undefined,
+      createdAt: pending.createdAt,
+    };
+  }
+  
+  const result = await query(
+    'SELECT id, sale_id, user_id, created_at FROM orders WHERE order_ref = $1',
+    [reference]
+  );
+  
+  if (!result.rows[0]) {
+    return null;
+  }
+  
+  const order = result.rows[0];
+  return {
+    reference,
+    status: PendingOrderStatus.COMPLETED,
+    orderId: order.id,
+    saleId: order.sale_id,
+    userId: order.user_id,
+    createdAt: order.created_at,
+  };
+}
+
+// XINFO replies are flat [field, value, field, value, ...] lists
+function pairsToObject(reply) {
+  const data = {};
+  for (let i = 0; i < reply.length; i += 2) {
+    data[reply[i]] = reply[i + 1];
+  }
+  return data;
+}
+
+/**
+ * Whether the order stream has entries the order writer has not saved yet (unread or unacknowledged)
+ */
+export async function hasUnwrittenOrders() {
+  const client = redisService.getRedisClient();
+  if (!(await client.exists(streamConfig.streamKey))) {
+    return false;
+  }
+  
+  const groups = (await client.xinfo('GROUPS', streamConfig.streamKey)).map(pairsToObject);
+  const group = groups.find((entry) => entry.name === streamConfig.consumerGroup);
+  if (!group) {
+    return (await client.xlen(streamConfig.streamKey)) > 0;
+  }
+  if (group.pending > 0) {
+    return true;
+  }
+  // lag is reported from Redis 7 (null when deleted entries make it unknown); otherwise compare the last ids
+  if (group.lag !== undefined && group.lag !== null) {
+    return group.lag > 0;
+  }
+  const stream = pairsToObject(await client.xinfo('STREAM', streamConfig.streamKey));
+  return stream['last-generated-id'] !== group['last-delivered-id'];
+}
+
+/**
+ * Turn raw XREADGROUP / XAUTOCLAIM entries into order messages
+ */
+export function parseStreamEntries(entries) {
+  return entries
+    .filter(([, fields]) => fields)
+    .map(([id, fields]) => {
+      const data = {};
+      for (let i = 0; i < fields.length; i += 2) {
+        data[fields[i]] = fields[i + 1];
+      }
+      return {
+        id,
+        reference: data.reference,
+        saleId: parseInt(data.saleId, 10),
+        itemId: data.itemId ? parseInt(data.itemId, 10) : null,
+        userId: data.userId,
+        quantity: parseInt(data.quantity, 10),
+        status: data.status,
+        expiresAt: data.expiresAt || null,
+        createdAt: data.createdAt,
+      };
+    });
+}
+
+/**
+ * Insert a batch of orders in one statement
+ * ON CONFLICT (order_ref) makes redelivered entries harmless
+ * Returns a map of reference -> order id
+ */
+export async function insertOrders(messages) {
+  await query(
+    `INSERT INTO orders (order_ref, sale_id, item_id, user_id, quantity, status, expires_at, created_at)
+     SELECT * FROM unnest(
+       $1::varchar[], $2::int[], $3::int[], $4::varchar[], $5::int[], $6::varchar[], $7::timestamptz[], $8::timestamptz[]
+     )
+     ON CONFLICT (order_ref) DO NOTHING`,
+    [
+      messages.map((m) => m.reference),
+      messages.map((m) => m.saleId),
+      messages.map((m) => m.itemId),
+      messages.map((m) => m.userId),
+      messages.map((m) => m.quantity),
+      messages.map((m) => m.status),
+      messages.map((m) => m.expiresAt),
+      messages.map((m) => m.createdAt),
+    ]
+  );
+  
+  const result = await query(
+    'SELECT id, order_ref FROM orders WHERE order_ref = ANY($1)',
+    [messages.map((m) => m.reference)]
+  );
+  
+  return new Map(result.rows.map((row) => [row.order_ref, row.id]));
+}
+
+/**
+ * Mark entries as written: record the order ids, acknowledge them and delete them from the stream
+ * (a saved order lives on in Postgres, so nothing else needs the entry and the stream stays small)
+ */
+export async function completeOrders(messages, orderIds) {
+  const client = redisService.getRedisClient();
+  const pipeline = client.pipeline();
+  
+  for (const message of messages) {
+    pipeline.hset(getPendingOrderKey(message.reference), {
+      status: PendingOrderStatus.COMPLETED,
+      orderId: orderIds.get(message.reference),
+    });
+  }
+  pipeline.xack(streamConfig.streamKey, streamConfig.consumerGroup, ...messages.map((m) => m.id));
+  pipeline.xdel(streamConfig.streamKey, ...messages.map((m) => m.id));
+  
+  await pipeline.exec();
+  
+  // A redelivered entry emits again, but the event id (the order id) is the same, so it is delivered once
+  for (const message of messages) {
+    if (message.status === 'SUCCESS') {
+      webhookService.emitOrderSucceeded({
+        id: orderIds.get(message.reference),
+        sale_id: message.saleId,
+        item_id: message.itemId,
+        user_id: message.userId,
+        quantity: message.quantity,
+        status: message.status,
+        created_at: message.createdAt,
+      });
+    }
+  }
+}
+
+/**
+ * Give up on an entry: move it to the dead-letter stream (deleting it from the order stream), mark the reference FAILED
+ * and give the units back to stock and to the user's allowance
+ */
+export async function deadLetterOrder(message, error) {
+  const client = redisService.getRedisClient();
+  
+  await client
+    .multi()
+    .xadd(
+      streamConfig.deadLetterStreamKey,
+      '*',
+      'sourceId', message.id,
+      'reference', message.reference,
+      'saleId', message.saleId,
+      'itemId', message.itemId ?? '',
+      'userId', message.userId,
+      'quantity', message.quantity,
+      'error', error.message,
+      'failedAt', new Date().toISOString()
+    )
+    .hset(getPendingOrderKey(message.reference), {
+      status: PendingOrderStatus.FAILED,
+      error: 'Order could not be saved, the units were released',
+    })
+    .xack(streamConfig.streamKey, streamConfig.consumerGroup, message.id)
+    .xdel(streamConfig.streamKey, message.id)
+    .exec();
+  
+  await redisService.releasePurchase(message.saleId, message.userId, message.quantity, { itemId: message.itemId });
+  saleEvents.markStockChanged(message.saleId);
+}
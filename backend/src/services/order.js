@@ -0,0 +1,334 @@
+import { query } from '../db/postgres.js';
+import * as redisService from './redis.js';
+import * as saleEvents from './sale-events.js';
+import * as webhookService from './webhook.js';
+import { config } from '../config/index.js';
+
+// Order status values (must match the orders.status CHECK constraint)
+export const OrderStatus = {
+  SUCCESS: 'SUCCESS',
+  RESERVED: 'RESERVED',
+  PAID: 'PAID',
+  EXPIRED: 'EXPIRED',
+  FAILED: 'FAILED',
+  CANCELLED: 'CANCELLED',
+};
+
+// Statuses that hold stock and count against the user's allowance
+export const HOLDING_STATUSES = [OrderStatus.SUCCESS, OrderStatus.RESERVED, OrderStatus.PAID];
+
+// Order confirmation result types
+export const ConfirmResult = {
+  PAID: 'PAID',
+  ALREADY_PAID: 'ALREADY_PAID',
+  RESERVATION_EXPIRED: 'RESERVATION_EXPIRED',
+  NOT_RESERVED: 'NOT_RESERVED',
+  ORDER_NOT_FOUND: 'ORDER_NOT_FOUND',
+};
+
+// Order cancellation result types
+export const CancelResult = {
+  CANCELLED: 'CANCELLED',
+  ALREADY_CANCELLED: 'ALREADY_CANCELLED',
+  GRACE_PERIOD_OVER: 'GRACE_PERIOD_OVER',
+  NOT_CANCELLABLE: 'NOT_CANCELLABLE',
+  ORDER_NOT_FOUND: 'ORDER_NOT_FOUND',
+};
+
+let sweepTimer = null;
+let sweepInProgress = false;
+
+/**
+ * Get order by ID
+ */
+export async function getOrderById(orderId) {
+  const result = await query(
+    `SELECT id, user_id, sale_id, item_id, quantity, status, expires_at, paid_at,
+       cancelled_at, cancelled_by, cancel_reason, created_at
+     FROM orders
+     WHERE id = $1`,
+    [orderId]
+  );
+  return result.rows[0] || null;
+}
+
+// Sortable columns for order search; every sort is tie-broken by id so keyset pages are stable
+const ORDER_SORT_COLUMNS = {
+  createdAt: { column: 'o.created_at', type: 'timestamptz' },
+  id: { column: 'o.id', type: 'int' },
+  quantity: { column: 'o.quantity', type: 'int' },
+};
+
+const ORDER_SEARCH_COLUMNS = `o.id, o.order_ref, o.user_id, o.sale_id, o.item_id, o.quantity, o.status,
+  o.expires_at, o.paid_at, o.cancelled_at, o.cancelled_by, o.cancel_reason, o.created_at`;
+
+/**
+ * Opaque keyset cursor: the sort it was issued for and the last row's sort value and id
+ * The sort value is read as text from Postgres, so timestamps keep their microseconds
+ */
+function encodeOrderCursor(sort, order, row) {
+  return Buffer.from(JSON.stringify({ sort, order, value: row.sort_value, id: row.id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor from GET /orders; null when it is malformed or was issued for another sort
+ */
+export function decodeOrderCursor(cursor, sort, order) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded.sort !== sort || decoded.order !== order || !Number.isInteger(decoded.id) || typeof decoded.value !== 'string') {
+      return null;
+    }
+    return decoded;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Search orders across sales and users with keyset pagination
+ * Filters: saleId, itemId, userId, statuses, created_at in [from, to). total counts every match, ignoring the cursor.
+ * Returns { orders, total, nextCursor } - nextCursor is null on the last page
+ */
+export async function searchOrders(
+  { saleId = null, itemId = null, userId = null, statuses = null, from = null, to = null } = {},
+  { sort = 'createdAt', order = 'desc', limit = 20, cursor = null } = {}
+) {
+  const filters = [
+    ['o.sale_id = $?', saleId],
+    ['o.item_id = $?', itemId],
+    ['o.user_id = $?', userId],
+    ['o.status = ANY($?)', statuses],
+    ['o.created_at >= $?', from],
+    ['o.created_at < $?', to],
+  ];
+
+  const conditions = [];
+  const values = [];
+  let paramIndex = 1;
+
+  for (const [condition, value] of filters) {
+    if (value) {
+      conditions.push(condition.replace('$?', `$${paramIndex++}`));
+      values.push(value);
+    }
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const countValues = [...values];
+
+  const { column, type } = ORDER_SORT_COLUMNS[sort];
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  if (cursor) {
+    // Row comparison continues after the last row of the previous page
+    conditions.push(`(${column}, o.id) ${order === 'asc' ? '>' : '<'} ($${paramIndex++}::${type}, $${paramIndex++}::int)`);
+    values.push(cursor.value, cursor.id);
+  }
+  const pageWhere = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  // One extra row tells whether there is a next page
+  values.push(limit + 1);
+  const [result, countResult] = await Promise.all([
+    query(
+      `SELECT ${ORDER_SEARCH_COLUMNS}, ${column}::text as sort_value
+       FROM orders o
+       ${pageWhere}
+       ORDER BY ${column} ${direction}, o.id ${direction}
+       LIMIT $${paramIndex}`,
+      values
+    ),
+    query(`SELECT COUNT(*) as total FROM orders o ${where}`, countValues),
+  ]);
+
+  const hasMore = result.rows.length > limit;
+  const orders = hasMore ? result.rows.slice(0, limit) : result.rows;
+
+  return {
+    orders,
+    total: parseInt(countResult.rows[0].total, 10),
+    nextCursor: hasMore ? encodeOrderCursor(sort, order, orders[orders.length - 1]) : null,
+  };
+}
+
+/**
+ * Get an order with its sale and item, for GET /orders/:orderId
+ */
+export async function getOrderDetails(orderId) {
+  const result = await query(
+    `SELECT ${ORDER_SEARCH_COLUMNS},
+       s.name as sale_name, s.start_time as sale_start_time, s.end_time as sale_end_time,
+       s.total_stock as sale_total_stock, s.max_per_user as sale_max_per_user,
+       si.sku as item_sku, si.name as item_name, si.max_per_user as item_max_per_user
+     FROM orders o
+     JOIN flash_sale s ON s.id = o.sale_id
+     LEFT JOIN sale_items si ON si.id = o.item_id
+     WHERE o.id = $1`,
+    [orderId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Confirm payment for a reserved order (RESERVED -> PAID)
+ * The update only matches unexpired reservations, so it cannot race the sweeper
+ */
+export async function confirmOrder(orderId, userId) {
+  const result = await query(
+    `UPDATE orders
+     SET status = $1, paid_at = CURRENT_TIMESTAMP
+     WHERE id = $2 AND user_id = $3 AND status = $4 AND expires_at > CURRENT_TIMESTAMP
+     RETURNING id, user_id, sale_id, item_id, quantity, status, expires_at, paid_at, created_at`,
+    [OrderStatus.PAID, orderId, userId, OrderStatus.RESERVED]
+  );
+  
+  if (result.rows[0]) {
+    webhookService.emitOrderSucceeded(result.rows[0]);
+    return { result: ConfirmResult.PAID, order: result.rows[0] };
+  }
+  
+  // Work out why the order could not be confirmed
+  const order = await getOrderById(orderId);
+  
+  if (!order || order.user_id !== userId) {
+    return { result: ConfirmResult.ORDER_NOT_FOUND };
+  }
+  if (order.status === OrderStatus.PAID) {
+    return { result: ConfirmResult.ALREADY_PAID, order };
+  }
+  if (order.status === OrderStatus.EXPIRED || order.status === OrderStatus.RESERVED) {
+    return { result: ConfirmResult.RESERVATION_EXPIRED, order };
+  }
+  return { result: ConfirmResult.NOT_RESERVED, order };
+}
+
+/**
+ * Cancel an order that still holds stock and give its units back
+ * Buyers can cancel their own orders within the grace period, admins at any time.
+ * The update only matches holding orders, so a cancel cannot race the sweeper or another cancel.
+ */
+export async function cancelOrder(orderId, { userId, admin = false, reason }) {
+  const result = await query(
+    `UPDATE orders
+     SET status = $1, cancelled_at = CURRENT_TIMESTAMP, cancelled_by = $2, cancel_reason = $3
+     WHERE id = $4 AND status = ANY($5)
+       AND ($6 OR (user_id = $2 AND created_at > CURRENT_TIMESTAMP - make_interval(secs => $7)))
+     RETURNING id, user_id, sale_id, item_id, quantity, status, expires_at, paid_at,
+       cancelled_at, cancelled_by, cancel_reason, created_at`,
+    [
+      OrderStatus.CANCELLED,
+      userId,
+      reason,
+      orderId,
+      HOLDING_STATUSES,
+      admin,
+      config.orderCancellation.gracePeriodSeconds,
+    ]
+  );
+  
+  const cancelled = result.rows[0];
+  if (cancelled) {
+    try {
+      // Return the units to stock and clear the buyer's purchase count in one step, so they may buy again
+      await redisService.releasePurchase(cancelled.sale_id, cancelled.user_id, cancelled.quantity, {
+        itemId: cancelled.item_id,
+      });
+      saleEvents.markStockChanged(cancelled.sale_id);
+    } catch (error) {
+      // The order is already CANCELLED in the DB, so stock can be rebuilt with /sale/init-stock
+      console.error(`Failed to release cancelled order ${cancelled.id}:`, error.message);
+    }
+    
+    console.log(`Order CANCELLED: orderId=${cancelled.id}, userId=${cancelled.user_id}, by=${userId}, reason=${reason}`);
+    return { result: CancelResult.CANCELLED, order: cancelled };
+  }
+  
+  // Work out why the order could not be cancelled
+  const order = await getOrderById(orderId);
+  
+  if (!order || (!admin && order.user_id !== userId)) {
+    return { result: CancelResult.ORDER_NOT_FOUND };
+  }
+  if (order.status === OrderStatus.CANCELLED) {
+    return { result: CancelResult.ALREADY_CANCELLED, order };
+  }
+  if (!HOLDING_STATUSES.includes(order.status)) {
+    return { result: CancelResult.NOT_CANCELLABLE, order };
+  }
+  return { result: CancelResult.GRACE_PERIOD_OVER, order };
+}
+
+/**
+ * Expire unpaid reservations and give their units back
+ * FOR UPDATE SKIP LOCKED lets several backend instances sweep at once without
+ * expiring (and returning stock for) the same order twice
+ */
+export async function expireReservations(limit = config.reservation.sweepBatchSize) {
+  const result = await query(
+    `WITH expired AS (
+       SELECT id FROM orders
+       WHERE status = $1 AND expires_at <= CURRENT_TIMESTAMP
+       ORDER BY expires_at
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )
+     UPDATE orders o
+     SET status = $3
+     FROM expired
+     WHERE o.id = expired.id
+     RETURNING o.id, o.user_id, o.sale_id, o.item_id, o.quantity`,
+    [OrderStatus.RESERVED, limit, OrderStatus.EXPIRED]
+  );
+  
+  for (const order of result.rows) {
+    try {
+      // Return the units to stock and clear the user's purchase count in one step
+      await redisService.releasePurchase(order.sale_id, order.user_id, order.quantity, {
+        itemId: order.item_id,
+      });
+      saleEvents.markStockChanged(order.sale_id);
+    } catch (error) {
+      // The order is already EXPIRED in the DB, so stock can be rebuilt with /sale/init-stock
+      console.error(`Failed to release expired reservation ${order.id}:`, error.message);
+    }
+  }
+  
+  if (result.rows.length > 0) {
+    console.log(`Expired ${result.rows.length} unpaid reservations`);
+  }
+  
+  return result.rows.length;
+}
+
+/**
+ * Start the background sweeper for unpaid reservations
+ */
+export function startReservationSweeper() {
+  if (sweepTimer) {
+    return;
+  }
+  
+  sweepTimer = setInterval(async () => {
+    // Skip a tick rather than overlapping a slow sweep
+    if (sweepInProgress) {
+      return;
+    }
+    sweepInProgress = true;
+    try {
+      await expireReservations();
+    } catch (error) {
+      console.error('Reservation sweep failed:', error.message);
+    } finally {
+      sweepInProgress = false;
+    }
+  }, config.reservation.sweepIntervalMs);
+}
+
+/**
+ * Stop the background sweeper
+ */
+export function stopReservationSweeper() {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
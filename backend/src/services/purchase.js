@@ -1,15 +1,28 @@
+import { randomUUID } from 'node:crypto';
 import { query, getClient } from '../db/postgres.js';
 import * as redisService from './redis.js';
+import * as redisBreaker from './redis-breaker.js';
 import * as saleService from './sale.js';
+import { OrderStatus, HOLDING_STATUSES } from './order.js';
+import * as orderQueue from './order-queue.js';
+import * as saleEvents from './sale-events.js';
+import * as waitlistService from './waitlist.js';
+import * as webhookService from './webhook.js';
 import { config } from '../config/index.js';
 
 // Purchase result types
 export const PurchaseResult = {
   SUCCESS: 'SUCCESS',
+  PENDING: 'PENDING',
   ALREADY_PURCHASED: 'ALREADY_PURCHASED',
+  LIMIT_EXCEEDED: 'LIMIT_EXCEEDED',
   SOLD_OUT: 'SOLD_OUT',
+  INSUFFICIENT_STOCK: 'INSUFFICIENT_STOCK',
   SALE_NOT_ACTIVE: 'SALE_NOT_ACTIVE',
   SALE_NOT_FOUND: 'SALE_NOT_FOUND',
+  ITEM_NOT_FOUND: 'ITEM_NOT_FOUND',
+  ITEM_REQUIRED: 'ITEM_REQUIRED',
+  STOCK_UNAVAILABLE: 'STOCK_UNAVAILABLE',
   ERROR: 'ERROR',
 };
 
@@ -17,20 +30,22 @@ export const PurchaseResult = {
  * Check if user has already purchased - checks Redis first, then DB
  */
 export async function hasUserPurchased(saleId, userId) {
-  // Fast check in Redis
-  try {
-    const redisPurchased = await redisService.hasUserPurchased(saleId, userId);
-    if (redisPurchased) {
-      return true;
+  // Fast check in Redis, unless the circuit breaker has moved the sale to the DB
+  if (!redisBreaker.usesDatabase(saleId)) {
+    try {
+      const redisPurchased = await redisService.hasUserPurchased(saleId, userId);
+      if (redisPurchased) {
+        return true;
+      }
+    } catch (error) {
+      console.warn('Redis check failed, falling back to DB:', error.message);
     }
-  } catch (error) {
-    console.warn('Redis check failed, falling back to DB:', error.message);
   }
   
   // DB check (source of truth)
   const result = await query(
-    'SELECT id FROM orders WHERE sale_id = $1 AND user_id = $2 AND status = $3 LIMIT 1',
-    [saleId, userId, 'SUCCESS']
+    'SELECT id FROM orders WHERE sale_id = $1 AND user_id = $2 AND status = ANY($3) LIMIT 1',
+    [saleId, userId, HOLDING_STATUSES]
   );
   
   return result.rows.length > 0;
@@ -41,7 +56,7 @@ export async function hasUserPurchased(saleId, userId) {
  */
 export async function getUserPurchase(saleId, userId) {
   const result = await query(
-    `SELECT id, user_id, sale_id, status, created_at 
+    `SELECT id, user_id, sale_id, item_id, quantity, status, expires_at, paid_at, created_at 
      FROM orders 
      WHERE sale_id = $1 AND user_id = $2 
      ORDER BY created_at DESC 
@@ -52,34 +67,271 @@ export async function getUserPurchase(saleId, userId) {
   return result.rows[0] || null;
 }
 
+/**
+ * Get total units a user holds in a sale, or of one item (from DB)
+ * Reserved and paid orders count as well as plain successful ones
+ */
+export async function getUserPurchasedQuantity(saleId, userId, { itemId = null, client = null } = {}) {
+  const executor = client || { query };
+  const result = await executor.query(
+    `SELECT COALESCE(SUM(quantity), 0) as total_quantity
+     FROM orders
+     WHERE sale_id = $1 AND user_id = $2 AND status = ANY($3)
+       AND ($4::int IS NULL OR item_id = $4)`,
+    [saleId, userId, HOLDING_STATUSES, itemId]
+  );
+  
+  return parseInt(result.rows[0].total_quantity, 10);
+}
+
 /**
  * Create order in database
+ * With reservations enabled the order is RESERVED until paid, otherwise it is final
  */
-async function createOrder(client, saleId, userId, status = 'SUCCESS') {
+async function createOrder(client, saleId, itemId, userId, quantity) {
+  const reserved = config.reservation.enabled;
   const result = await client.query(
-    `INSERT INTO orders (sale_id, user_id, status)
-     VALUES ($1, $2, $3)
-     RETURNING id, user_id, sale_id, status, created_at`,
-    [saleId, userId, status]
+    `INSERT INTO orders (sale_id, item_id, user_id, quantity, status, expires_at)
+     VALUES ($1, $2, $3, $4, $5,
+       CASE WHEN $6::int IS NULL THEN NULL ELSE CURRENT_TIMESTAMP + make_interval(secs => $6) END)
+     RETURNING id, user_id, sale_id, item_id, quantity, status, expires_at, created_at`,
+    [
+      saleId,
+      itemId,
+      userId,
+      quantity,
+      reserved ? OrderStatus.RESERVED : OrderStatus.SUCCESS,
+      reserved ? config.reservation.holdSeconds : null,
+    ]
   );
   return result.rows[0];
 }
 
+/**
+ * Re-check the user's remaining allowance against the DB (source of truth)
+ * Must run inside the order transaction, after the per-user lock is taken
+ */
+async function getRemainingAllowanceFromDB(client, sale, item, userId) {
+  const saleQuantity = await getUserPurchasedQuantity(sale.id, userId, { client });
+  let allowance = sale.max_per_user - saleQuantity;
+  
+  if (item && item.max_per_user) {
+    const itemQuantity = await getUserPurchasedQuantity(sale.id, userId, { itemId: item.id, client });
+    allowance = Math.min(allowance, item.max_per_user - itemQuantity);
+  }
+  
+  return Math.max(0, allowance);
+}
+
+/**
+ * Hand a winning purchase to the order writer worker (stream mode)
+ * The Redis gate has already enforced stock and the per-user limit; the worker
+ * inserts idempotently by reference, so the user gets a reference to poll right away
+ */
+async function enqueuePurchase(saleId, itemId, userId, quantity, remainingStock) {
+  const reserved = config.reservation.enabled;
+  const expiresAt = reserved
+    ? new Date(Date.now() + config.reservation.holdSeconds * 1000).toISOString()
+    : null;
+  
+  const { reference, createdAt } = await orderQueue.enqueueOrder({
+    saleId,
+    itemId,
+    userId,
+    quantity,
+    status: reserved ? OrderStatus.RESERVED : OrderStatus.SUCCESS,
+    expiresAt,
+  });
+  
+  return {
+    result: PurchaseResult.PENDING,
+    message: 'Purchase accepted! Your order is being saved',
+    order: {
+      reference,
+      userId,
+      saleId,
+      itemId,
+      quantity,
+      status: orderQueue.PendingOrderStatus.PENDING,
+      expiresAt,
+      createdAt,
+    },
+    remainingStock,
+  };
+}
+
+/**
+ * Purchase without Redis, while the circuit breaker is open
+ * The sale row lock serializes the sale's purchases, so the stock and allowance checks below
+ * cannot race. The breaker's shared state is read again under that lock: returns null when the
+ * sale is back on Redis (the purchase must then go through the Redis gate, which now counts every
+ * DB order), and asks to retry while another instance may still sell the sale from Redis
+ */
+async function purchaseFromDatabase(sale, item, userId, quantity) {
+  const itemId = item ? item.id : null;
+  const dbClient = await getClient();
+  try {
+    await dbClient.query('BEGIN');
+    await dbClient.query('SELECT id FROM flash_sale WHERE id = $1 FOR UPDATE', [sale.id]);
+    
+    const mode = await redisBreaker.getSaleMode(sale.id, { client: dbClient });
+    if (mode === redisBreaker.SaleMode.REDIS) {
+      await dbClient.query('ROLLBACK');
+      return null;
+    }
+    if (mode === redisBreaker.SaleMode.WAIT) {
+      await dbClient.query('ROLLBACK');
+      return gateRejection({ result: redisService.GateResult.UNAVAILABLE }, sale, item, quantity);
+    }
+    
+    // Orders still being saved from the Redis path take only the per-user lock
+    await dbClient.query('SELECT pg_advisory_xact_lock($1, hashtext($2))', [sale.id, userId]);
+    
+    const remainingAllowance = await getRemainingAllowanceFromDB(dbClient, sale, item, userId);
+    if (quantity > remainingAllowance) {
+      await dbClient.query('ROLLBACK');
+      return gateRejection({
+        result: remainingAllowance === 0
+          ? redisService.GateResult.ALREADY_PURCHASED
+          : redisService.GateResult.LIMIT_EXCEEDED,
+        remainingAllowance,
+      }, sale, item, quantity);
+    }
+    
+    const remainingStock = await saleService.calculateRemainingStockFromDB(sale.id, itemId, { client: dbClient });
+    if (remainingStock < quantity) {
+      await dbClient.query('ROLLBACK');
+      return gateRejection({
+        result: remainingStock === 0
+          ? redisService.GateResult.SOLD_OUT
+          : redisService.GateResult.INSUFFICIENT_STOCK,
+        remainingStock,
+      }, sale, item, quantity);
+    }
+    
+    const order = await createOrder(dbClient, sale.id, itemId, userId, quantity);
+    
+    await dbClient.query('COMMIT');
+    
+    if (order.status === OrderStatus.SUCCESS) {
+      webhookService.emitOrderSucceeded(order);
+    }
+    saleEvents.markStockChanged(sale.id);
+    
+    console.log(`Purchase SUCCESS (DB only): userId=${userId}, saleId=${sale.id}, itemId=${itemId}, quantity=${quantity}, orderId=${order.id}`);
+    
+    return {
+      result: PurchaseResult.SUCCESS,
+      message: order.status === OrderStatus.RESERVED
+        ? 'Reserved! Please complete payment before the reservation expires'
+        : 'Purchase successful!',
+      order: {
+        id: order.id,
+        userId: order.user_id,
+        saleId: order.sale_id,
+        itemId: order.item_id,
+        quantity: order.quantity,
+        status: order.status,
+        expiresAt: order.expires_at,
+        createdAt: order.created_at,
+      },
+      remainingStock: remainingStock - quantity,
+    };
+  } catch (error) {
+    await dbClient.query('ROLLBACK');
+    throw error;
+  } finally {
+    dbClient.release();
+  }
+}
+
+/**
+ * Map a rejected gate outcome to a purchase response
+ */
+function gateRejection(gate, sale, item, quantity) {
+  const limited = sale.max_per_user > 1 || Boolean(item && item.max_per_user);
+  
+  switch (gate.result) {
+    case redisService.GateResult.ALREADY_PURCHASED:
+      return {
+        result: PurchaseResult.ALREADY_PURCHASED,
+        message: limited
+          ? 'You have already bought the maximum number of units allowed'
+          : 'You have already purchased in this sale',
+      };
+    case redisService.GateResult.LIMIT_EXCEEDED:
+      return {
+        result: PurchaseResult.LIMIT_EXCEEDED,
+        message: `You can buy at most ${gate.remainingAllowance} more unit(s)`,
+        remainingAllowance: gate.remainingAllowance,
+      };
+    case redisService.GateResult.INSUFFICIENT_STOCK:
+      return {
+        result: PurchaseResult.INSUFFICIENT_STOCK,
+        message: `Only ${gate.remainingStock} unit(s) left, cannot buy ${quantity}`,
+        remainingStock: gate.remainingStock,
+      };
+    case redisService.GateResult.UNAVAILABLE:
+      return {
+        result: PurchaseResult.STOCK_UNAVAILABLE,
+        message: 'This sale is being restored, please try again in a moment',
+      };
+    default:
+      return {
+        result: PurchaseResult.SOLD_OUT,
+        message: 'Sorry, this item is sold out',
+      };
+  }
+}
+
+/**
+ * Resolve the item a purchase names
+ * Sales with items require one, sales without items must not name one
+ */
+async function resolvePurchaseItem(sale, itemId) {
+  if (!itemId) {
+    if (sale.item_count > 0) {
+      return {
+        rejection: {
+          result: PurchaseResult.ITEM_REQUIRED,
+          message: 'This sale has several items, please choose one',
+        },
+      };
+    }
+    return { item: null };
+  }
+  
+  const item = await saleService.getSaleItem(sale.id, itemId);
+  if (!item) {
+    return {
+      rejection: {
+        result: PurchaseResult.ITEM_NOT_FOUND,
+        message: 'Item not found in this sale',
+      },
+    };
+  }
+  return { item };
+}
+
 /**
  * MAIN PURCHASE LOGIC - Handles high concurrency
  * 
  * Flow:
- * 1. Validate sale is active
- * 2. Check if user already purchased (Redis fast check)
- * 3. Atomic stock decrement in Redis
- * 4. Mark user as purchased in Redis
- * 5. Save order to DB
- * 6. Rollback Redis if DB fails
+ * 1. Validate sale is active and resolve the item (for sales with items)
+ * 2. Atomic purchase gate in Redis (per-user limit + stock check + decrement + user count)
+ * 3. Save order to DB (RESERVED with a payment deadline when reservations are enabled),
+ *    re-checking the user's running total under a per-user lock
+ * 4. Release the units in Redis if DB fails
+ *
+ * In stream mode step 3 is replaced by appending the order to a Redis Stream,
+ * which the order writer worker batch-inserts into the DB
+ *
+ * While the Redis circuit breaker is open, steps 2-4 are replaced by purchaseFromDatabase
  */
-export async function processPurchase(userId, saleId = config.sale.defaultSaleId) {
+export async function processPurchase(userId, saleId = config.sale.defaultSaleId, { quantity = 1, itemId = null } = {}) {
   const startTime = Date.now();
-  let stockDecremented = false;
-  let userMarked = false;
+  let unitsTaken = false;
+  const breakerTicket = redisBreaker.beginPurchase();
   
   try {
     // Step 1: Get sale and validate it's active
@@ -103,75 +355,120 @@ export async function processPurchase(userId, saleId = config.sale.defaultSaleId
       };
     }
     
-    // Step 2: Fast rejection - check if user already purchased (Redis)
-    const alreadyPurchased = await hasUserPurchased(saleId, userId);
-    if (alreadyPurchased) {
-      return {
-        result: PurchaseResult.ALREADY_PURCHASED,
-        message: 'You have already purchased in this sale',
-      };
+    const { item, rejection } = await resolvePurchaseItem(sale, itemId);
+    if (rejection) {
+      return rejection;
+    }
+    
+    if (redisBreaker.usesDatabase(saleId)) {
+      const dbResult = await purchaseFromDatabase(sale, item, userId, quantity);
+      if (dbResult) {
+        return dbResult;
+      }
     }
     
-    // Step 3: Atomic stock decrement in Redis
+    // Step 2: Atomic purchase gate in Redis
     // This is the CRITICAL operation for preventing overselling
-    const newStock = await redisService.decrementStock(saleId);
-    stockDecremented = true;
+    let gate;
+    const gateToken = randomUUID();
+    try {
+      gate = await redisBreaker.callRedis(() => redisService.attemptPurchase(saleId, userId, quantity, {
+        maxPerUser: sale.max_per_user,
+        itemId,
+        itemMaxPerUser: item?.max_per_user,
+        shards: sale.stock_shards,
+        gateToken,
+      }));
+    } catch (error) {
+      // A failed or timed out gate call may still have taken the units, so it is cancelled by its token
+      await redisBreaker.cancelUnknownGate(() => redisService.cancelPurchaseGate(saleId, userId, gateToken, { itemId }));
+      if (!redisBreaker.usesDatabase(saleId)) {
+        throw error;
+      }
+      // This failure opened the breaker
+      console.warn(`Redis purchase gate failed, retrying from the DB: userId=${userId}, saleId=${saleId}, error=${error.message}`);
+      const dbResult = await purchaseFromDatabase(sale, item, userId, quantity);
+      if (!dbResult) {
+        throw error;
+      }
+      return dbResult;
+    }
     
-    // If stock went negative, rollback and reject
-    if (newStock < 0) {
-      await redisService.incrementStock(saleId);
-      stockDecremented = false;
-      return {
-        result: PurchaseResult.SOLD_OUT,
-        message: 'Sorry, this item is sold out',
-      };
+    if (gate.result !== redisService.GateResult.SUCCESS) {
+      const rejection = gateRejection(gate, sale, item, quantity);
+      if (gate.result === redisService.GateResult.SOLD_OUT || gate.result === redisService.GateResult.INSUFFICIENT_STOCK) {
+        // null when not waitlisted; POST /sale/:saleId/waitlist joins
+        rejection.waitlistPosition = await waitlistService.getWaitlistPosition(saleId, userId, itemId);
+      }
+      return rejection;
     }
     
-    // Step 4: Mark user as purchased in Redis (before DB to prevent race)
-    await redisService.markUserPurchased(saleId, userId);
-    userMarked = true;
+    unitsTaken = true;
+    saleEvents.markStockChanged(saleId);
+    
+    if (orderQueue.isStreamMode()) {
+      const pending = await enqueuePurchase(saleId, itemId, userId, quantity, gate.remainingStock);
+      console.log(`Purchase PENDING: userId=${userId}, saleId=${saleId}, reference=${pending.order.reference}, duration=${Date.now() - startTime}ms`);
+      return pending;
+    }
     
-    // Step 5: Save order to database
+    // Step 3: Save order to database
     const dbClient = await getClient();
     try {
       await dbClient.query('BEGIN');
       
-      const order = await createOrder(dbClient, saleId, userId, 'SUCCESS');
+      // Serialize writes per user so the running total check below cannot race
+      await dbClient.query('SELECT pg_advisory_xact_lock($1, hashtext($2))', [saleId, userId]);
+      
+      const remainingAllowance = await getRemainingAllowanceFromDB(dbClient, sale, item, userId);
+      if (quantity > remainingAllowance) {
+        // The DB (source of truth) has more orders than the Redis count knew about
+        // Return the units but keep the user count, since it is now closer to correct
+        await dbClient.query('ROLLBACK');
+        unitsTaken = false;
+        await redisService.releasePurchase(saleId, userId, quantity, { itemId, restoreAllowance: false });
+        saleEvents.markStockChanged(saleId);
+        
+        return gateRejection({
+          result: remainingAllowance === 0
+            ? redisService.GateResult.ALREADY_PURCHASED
+            : redisService.GateResult.LIMIT_EXCEEDED,
+          remainingAllowance,
+        }, sale, item, quantity);
+      }
+      
+      const order = await createOrder(dbClient, saleId, itemId, userId, quantity);
       
       await dbClient.query('COMMIT');
       
+      // Reservations are announced once they are paid
+      if (order.status === OrderStatus.SUCCESS) {
+        webhookService.emitOrderSucceeded(order);
+      }
+      
       const duration = Date.now() - startTime;
-      console.log(`Purchase SUCCESS: userId=${userId}, saleId=${saleId}, orderId=${order.id}, duration=${duration}ms`);
+      console.log(`Purchase SUCCESS: userId=${userId}, saleId=${saleId}, itemId=${itemId}, quantity=${quantity}, claimedUnits=${gate.claimedUnits}, orderId=${order.id}, duration=${duration}ms`);
       
       return {
         result: PurchaseResult.SUCCESS,
-        message: 'Purchase successful!',
+        message: order.status === OrderStatus.RESERVED
+          ? 'Reserved! Please complete payment before the reservation expires'
+          : 'Purchase successful!',
         order: {
           id: order.id,
           userId: order.user_id,
           saleId: order.sale_id,
+          itemId: order.item_id,
+          quantity: order.quantity,
+          status: order.status,
+          expiresAt: order.expires_at,
           createdAt: order.created_at,
         },
-        remainingStock: newStock,
+        remainingStock: gate.remainingStock,
       };
       
     } catch (dbError) {
       await dbClient.query('ROLLBACK');
-      
-      // Check if it's a unique constraint violation (duplicate purchase)
-      if (dbError.code === '23505') {
-        // Unique constraint violation - user already purchased
-        // Rollback Redis stock since we didn't actually sell
-        if (stockDecremented) {
-          await redisService.incrementStock(saleId);
-        }
-        
-        return {
-          result: PurchaseResult.ALREADY_PURCHASED,
-          message: 'You have already purchased in this sale',
-        };
-      }
-      
       throw dbError;
       
     } finally {
@@ -181,20 +478,13 @@ export async function processPurchase(userId, saleId = config.sale.defaultSaleId
   } catch (error) {
     console.error(`Purchase ERROR: userId=${userId}, saleId=${saleId}, error=${error.message}`);
     
-    // Rollback Redis operations if needed
-    if (stockDecremented) {
-      try {
-        await redisService.incrementStock(saleId);
-      } catch (rollbackError) {
-        console.error('Failed to rollback stock:', rollbackError.message);
-      }
-    }
-    
-    if (userMarked) {
+    // Give the units back to stock and to the user's allowance in one atomic step
+    if (unitsTaken) {
       try {
-        await redisService.removeUserPurchaseMark(saleId, userId);
+        await redisService.releasePurchase(saleId, userId, quantity, { itemId });
+        saleEvents.markStockChanged(saleId);
       } catch (rollbackError) {
-        console.error('Failed to remove user purchase mark:', rollbackError.message);
+        console.error('Failed to release purchase:', rollbackError.message);
       }
     }
     
@@ -203,28 +493,59 @@ export async function processPurchase(userId, saleId = config.sale.defaultSaleId
       message: 'An error occurred while processing your purchase. Please try again.',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined,
     };
+  } finally {
+    redisBreaker.endPurchase(breakerTicket);
   }
 }
 
 /**
- * Get purchase statistics for a sale
+ * Get purchase statistics for a sale (units sold are broken down per item for sales with items)
+ * Units sold include reserved and paid orders, since they hold stock
  */
 export async function getPurchaseStats(saleId) {
-  const result = await query(
-    `SELECT 
-       COUNT(*) FILTER (WHERE status = 'SUCCESS') as success_count,
-       COUNT(*) FILTER (WHERE status = 'FAILED') as failed_count,
-       COUNT(*) as total_count
-     FROM orders 
-     WHERE sale_id = $1`,
-    [saleId]
-  );
+  const [result, itemResult] = await Promise.all([
+    query(
+      `SELECT 
+         COUNT(*) FILTER (WHERE status = 'SUCCESS') as success_count,
+         COUNT(*) FILTER (WHERE status = 'RESERVED') as reserved_count,
+         COUNT(*) FILTER (WHERE status = 'PAID') as paid_count,
+         COUNT(*) FILTER (WHERE status = 'EXPIRED') as expired_count,
+         COUNT(*) FILTER (WHERE status = 'FAILED') as failed_count,
+         COUNT(*) FILTER (WHERE status = 'CANCELLED') as cancelled_count,
+         COUNT(*) as total_count,
+         COALESCE(SUM(quantity) FILTER (WHERE status = ANY($2)), 0) as units_sold
+       FROM orders 
+       WHERE sale_id = $1`,
+      [saleId, HOLDING_STATUSES]
+    ),
+    query(
+      `SELECT 
+         item_id,
+         COUNT(*) as success_count,
+         SUM(quantity) as units_sold
+       FROM orders 
+       WHERE sale_id = $1 AND status = ANY($2) AND item_id IS NOT NULL
+       GROUP BY item_id
+       ORDER BY item_id`,
+      [saleId, HOLDING_STATUSES]
+    ),
+  ]);
   
   const stats = result.rows[0];
   
   return {
     successCount: parseInt(stats.success_count, 10),
+    reservedCount: parseInt(stats.reserved_count, 10),
+    paidCount: parseInt(stats.paid_count, 10),
+    expiredCount: parseInt(stats.expired_count, 10),
     failedCount: parseInt(stats.failed_count, 10),
+    cancelledCount: parseInt(stats.cancelled_count, 10),
     totalCount: parseInt(stats.total_count, 10),
+    unitsSold: parseInt(stats.units_sold, 10),
+    items: itemResult.rows.map((row) => ({
+      itemId: row.item_id,
+      successCount: parseInt(row.success_count, 10),
+      unitsSold: parseInt(row.units_sold, 10),
+    })),
   };
 }
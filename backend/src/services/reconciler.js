@@ -0,0 +1,336 @@
+import { query } from '../db/postgres.js';
+import * as redisService from './redis.js';
+import * as saleService from './sale.js';
+import * as orderQueue from './order-queue.js';
+import * as redisBreaker from './redis-breaker.js';
+import * as auditService from './audit.js';
+import * as saleEvents from './sale-events.js';
+import { consistencyDrift } from './metrics.js';
+import { config } from '../config/index.js';
+
+const RECONCILER_LOCK = 'reconciler';
+
+// Audit context of repairs made by the periodic run, which has no admin request
+const JOB_AUDIT_CONTEXT = { actor: 'system:reconciler', requestMeta: { job: 'reconciler' } };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// How a user's purchase count in Redis differs from the user's orders
+export const UserDrift = {
+  FLAG_WITHOUT_ORDER: 'FLAG_WITHOUT_ORDER', // counted in Redis, no order (e.g. a crash between the gate and the order write)
+  ORDER_WITHOUT_FLAG: 'ORDER_WITHOUT_FLAG', // ordered, not counted in Redis, so the per-user limit is not enforced
+  COUNT_MISMATCH: 'COUNT_MISMATCH',
+};
+
+let runTimer = null;
+let runInProgress = false;
+
+/**
+ * Why a sale's Redis state cannot be compared with its orders, or null
+ * A closed sale is still compared while its Redis keys have not expired
+ */
+async function getSkipReason(sale, items) {
+  if (redisBreaker.usesDatabase(sale.id)) {
+    return 'Redis circuit breaker is not closed, purchases of the sale use Postgres only';
+  }
+  if (sale.closed_at && !(await redisService.hasStockKeys(sale.id, items.map((item) => item.id), { shards: sale.stock_shards }))) {
+    return 'Sale is closed and its Redis keys have expired';
+  }
+  return null;
+}
+
+function getUserDriftKind(redisCount, dbCount) {
+  if (dbCount === 0) {
+    return UserDrift.FLAG_WITHOUT_ORDER;
+  }
+  if (redisCount === 0) {
+    return UserDrift.ORDER_WITHOUT_FLAG;
+  }
+  return UserDrift.COUNT_MISMATCH;
+}
+
+function getUserScopeId(userId, itemId) {
+  return itemId ? `${userId}:item:${itemId}` : userId;
+}
+
+/**
+ * Read a sale's Redis stock and user counts and what its orders say they should be
+ * Stock drift is the units Redis is missing: positive when units were taken but never ordered,
+ * negative when Redis could sell units the orders say are gone. Claimed waitlist units are out of
+ * the stock without being ordered, so they are not drift
+ */
+async function readSnapshot(sale, items) {
+  const scopes = items.length > 0 ? items.map((item) => item.id) : [null];
+  const stock = [];
+
+  for (const itemId of scopes) {
+    const [redisStock, claimedUnits, dbRemaining] = await Promise.all([
+      redisService.getStock(sale.id, itemId, { shards: sale.stock_shards }),
+      redisService.getClaimedUnits(sale.id, itemId),
+      saleService.calculateRemainingStockFromDB(sale.id, itemId),
+    ]);
+    stock.push({
+      itemId,
+      redisStock,
+      claimedUnits,
+      dbRemaining,
+      drift: redisStock === null ? null : dbRemaining - claimedUnits - redisStock,
+    });
+  }
+
+  const [redisCounts, userPurchases, userItemPurchases] = await Promise.all([
+    redisService.getUserPurchaseCounts(sale.id),
+    saleService.getSuccessfulUserPurchases(sale.id),
+    saleService.getSuccessfulUserItemPurchases(sale.id),
+  ]);
+
+  const counts = new Map();
+  for (const { userId, itemId, quantity } of redisCounts) {
+    counts.set(getUserScopeId(userId, itemId), { userId, itemId, redisCount: quantity, dbCount: 0 });
+  }
+  const dbCounts = [
+    ...userPurchases.map((purchase) => ({ userId: purchase.user_id, itemId: null, quantity: purchase.quantity })),
+    ...userItemPurchases.map((purchase) => ({ userId: purchase.user_id, itemId: purchase.item_id, quantity: purchase.quantity })),
+  ];
+  for (const { userId, itemId, quantity } of dbCounts) {
+    const scopeId = getUserScopeId(userId, itemId);
+    const entry = counts.get(scopeId) || { userId, itemId, redisCount: 0, dbCount: 0 };
+    entry.dbCount = quantity;
+    counts.set(scopeId, entry);
+  }
+
+  const users = [...counts.values()]
+    .filter((entry) => entry.redisCount !== entry.dbCount)
+    .map((entry) => ({ ...entry, kind: getUserDriftKind(entry.redisCount, entry.dbCount) }));
+
+  return { stock, users };
+}
+
+function isSnapshotConsistent(snapshot) {
+  return snapshot.stock.every((scope) => scope.drift === 0) && snapshot.users.length === 0;
+}
+
+/**
+ * Apply the confirmed differences of a report to Redis, logging every change
+ * Stock is corrected by a relative amount, and user counts only while they still hold the value
+ * that was read, so purchases made meanwhile are never overwritten
+ */
+async function applyRepairs(saleId, report) {
+  const repairs = [];
+
+  for (const scope of report.stock) {
+    if (!scope.confirmed || scope.drift === 0) {
+      continue;
+    }
+    const scopeName = scope.itemId ? `sale ${saleId} item ${scope.itemId}` : `sale ${saleId}`;
+    const adjusted = await redisService.adjustStock(saleId, scope.drift, scope.itemId);
+    if (!adjusted) {
+      console.warn(`Reconciler: ${scopeName} stock key disappeared, not repaired`);
+      continue;
+    }
+    repairs.push({ type: 'stock', itemId: scope.itemId, units: scope.drift, stock: adjusted.stock, promoted: adjusted.promoted });
+    console.log(`Reconciler: ${scopeName} stock ${scope.drift > 0 ? '+' : ''}${scope.drift} units (stock now ${adjusted.stock}, ${adjusted.promoted} unit(s) to the waitlist)`);
+  }
+
+  const applied = await redisService.setUserPurchaseCountsIfUnchanged(saleId, report.users.map((entry) => ({
+    userId: entry.userId,
+    itemId: entry.itemId,
+    from: entry.redisCount,
+    to: entry.dbCount,
+  })));
+  for (const { userId, itemId, from, to } of applied) {
+    repairs.push({ type: 'userCount', userId, itemId, from, to });
+    console.log(`Reconciler: sale ${saleId} user ${userId}${itemId ? ` item ${itemId}` : ''} purchase count ${from} -> ${to}`);
+  }
+  if (applied.length < report.users.length) {
+    console.log(`Reconciler: sale ${saleId} left ${report.users.length - applied.length} user count(s) alone, they changed since they were read`);
+  }
+
+  return repairs;
+}
+
+/**
+ * Compare a sale's Redis stock and user purchase counts with its orders in Postgres
+ * Differences are read twice, confirmDelayMs apart, and only those that show up unchanged both times
+ * are confirmed; the others are most likely purchases, cancellations or expiries in flight.
+ * With repair, confirmed differences are fixed in Redis (Postgres is the source of truth), unless the sale
+ * is active, stock keys are missing (rehydration rebuilds those) or the order stream still has orders to write.
+ * An active sale is never repaired: units of purchases not saved yet and of reserved orders being released
+ * look the same in both reads, and giving them back to the stock would oversell. Ended sales are, closed
+ * ones included, until their Redis keys expire.
+ * Returns the report, or null when the sale does not exist
+ */
+export async function reconcileSale(saleId, { repair = false } = {}) {
+  const [sale, items] = await Promise.all([saleService.getSaleById(saleId), saleService.getSaleItems(saleId)]);
+  if (!sale) {
+    return null;
+  }
+
+  const report = {
+    saleId,
+    checkedAt: new Date().toISOString(),
+    skipped: await getSkipReason(sale, items),
+    consistent: true,
+    stock: [],
+    users: [],
+    unconfirmedUsers: 0,
+    repairs: [],
+    repairSkipped: null,
+  };
+  if (report.skipped) {
+    return report;
+  }
+
+  const first = await readSnapshot(sale, items);
+  if (isSnapshotConsistent(first)) {
+    report.stock = first.stock.map((scope) => ({ ...scope, confirmed: true }));
+    return report;
+  }
+
+  await sleep(config.reconciler.confirmDelayMs);
+  const second = await readSnapshot(sale, items);
+
+  report.stock = second.stock.map((scope, index) => ({ ...scope, confirmed: scope.drift === first.stock[index].drift }));
+  const earlierUsers = new Map(first.users.map((entry) => [getUserScopeId(entry.userId, entry.itemId), entry]));
+  for (const entry of second.users) {
+    const earlier = earlierUsers.get(getUserScopeId(entry.userId, entry.itemId));
+    if (earlier && earlier.redisCount === entry.redisCount && earlier.dbCount === entry.dbCount) {
+      report.users.push(entry);
+    } else {
+      report.unconfirmedUsers++;
+    }
+  }
+  report.consistent = isSnapshotConsistent(report) && report.unconfirmedUsers === 0;
+
+  if (!repair || report.consistent) {
+    return report;
+  }
+
+  if (saleService.isSaleActive(sale)) {
+    report.repairSkipped = 'The sale is active, purchases in flight cannot be told from drift; it is repaired once it has ended';
+  } else if (report.stock.some((scope) => scope.redisStock === null)) {
+    report.repairSkipped = 'Stock keys are missing, rehydration rebuilds the sale';
+  } else if (orderQueue.isStreamMode() && await orderQueue.hasUnwrittenOrders()) {
+    report.repairSkipped = 'The order stream has orders the order writer has not saved yet';
+  } else {
+    report.repairs = await applyRepairs(saleId, report);
+  }
+  return report;
+}
+
+/**
+ * Counts of the confirmed differences in a report
+ */
+export function summarizeReport(report) {
+  const countUsers = (kind) => report.users.filter((entry) => entry.kind === kind).length;
+  return {
+    stockDrift: report.stock.reduce((sum, scope) => sum + (scope.confirmed && scope.drift ? scope.drift : 0), 0),
+    flagsWithoutOrder: countUsers(UserDrift.FLAG_WITHOUT_ORDER),
+    ordersWithoutFlag: countUsers(UserDrift.ORDER_WITHOUT_FLAG),
+    countMismatches: countUsers(UserDrift.COUNT_MISMATCH),
+  };
+}
+
+function recordDriftMetrics(report) {
+  const summary = summarizeReport(report);
+  const saleId = String(report.saleId);
+  consistencyDrift.set({ sale_id: saleId, kind: 'stock' }, summary.stockDrift);
+  consistencyDrift.set({ sale_id: saleId, kind: 'flag_without_order' }, summary.flagsWithoutOrder);
+  consistencyDrift.set({ sale_id: saleId, kind: 'order_without_flag' }, summary.ordersWithoutFlag);
+  consistencyDrift.set({ sale_id: saleId, kind: 'count_mismatch' }, summary.countMismatches);
+}
+
+async function auditJobRepairs(report) {
+  const entry = {
+    action: auditService.AuditAction.SALE_RECONCILE,
+    saleId: report.saleId,
+    before: { stock: report.stock, users: report.users },
+    after: { repairs: report.repairs },
+  };
+  try {
+    await auditService.insertAuditEntry(JOB_AUDIT_CONTEXT, entry);
+  } catch (error) {
+    console.error(`Failed to write audit entry, logging it instead: ${JSON.stringify({ ...JOB_AUDIT_CONTEXT, ...entry })}`, error.message);
+  }
+}
+
+/**
+ * Reconcile every sale that is not closed, or whose Redis keys are still there after it closed,
+ * on whichever instance holds the reconciler lock
+ * Repairs only when RECONCILE_AUTO_REPAIR is set; differences are logged and exported as metrics either way
+ */
+export async function runReconciler() {
+  const token = await redisService.acquireLock(RECONCILER_LOCK, config.reconciler.lockTtlMs);
+  if (!token) {
+    return;
+  }
+
+  try {
+    const sales = await query(
+      `SELECT id FROM flash_sale
+       WHERE closed_at IS NULL OR closed_at > NOW() - make_interval(secs => $1)
+       ORDER BY id`,
+      [config.saleLifecycle.closedKeyTtlSeconds]
+    );
+    consistencyDrift.reset();
+
+    for (const { id } of sales.rows) {
+      try {
+        const report = await reconcileSale(id, { repair: config.reconciler.autoRepair });
+        if (report && !report.skipped) {
+          recordDriftMetrics(report);
+          if (!report.consistent) {
+            const summary = summarizeReport(report);
+            console.warn(`Reconciler: sale ${id} differs from its orders: stock drift ${summary.stockDrift}, ${summary.flagsWithoutOrder} count(s) without an order, ${summary.ordersWithoutFlag} order(s) without a count, ${summary.countMismatches} mismatched count(s), ${report.unconfirmedUsers} unconfirmed${report.repairSkipped ? ` (not repaired: ${report.repairSkipped})` : ''}`);
+          }
+          if (report.repairs.length > 0) {
+            saleEvents.markStockChanged(id);
+            await auditJobRepairs(report);
+          }
+        }
+      } catch (error) {
+        console.error(`Reconciling sale ${id} failed:`, error.message);
+      }
+      if (!(await redisService.extendLock(RECONCILER_LOCK, token, config.reconciler.lockTtlMs))) {
+        console.warn('Reconciler lock expired, leaving the remaining sales to the next run');
+        return;
+      }
+    }
+  } finally {
+    await redisService.releaseLock(RECONCILER_LOCK, token);
+  }
+}
+
+/**
+ * Start the periodic reconciler
+ */
+export function startReconciler() {
+  if (runTimer) {
+    return;
+  }
+
+  runTimer = setInterval(async () => {
+    // Skip a run rather than overlapping a slow one
+    if (runInProgress) {
+      return;
+    }
+    runInProgress = true;
+    try {
+      await runReconciler();
+    } catch (error) {
+      console.error('Reconciler run failed:', error.message);
+    } finally {
+      runInProgress = false;
+    }
+  }, config.reconciler.intervalMs);
+}
+
+/**
+ * Stop the periodic reconciler
+ */
+export function stopReconciler() {
+  if (runTimer) {
+    clearInterval(runTimer);
+    runTimer = null;
+  }
+}
@@ -0,0 +1,456 @@
+import os from 'node:os';
+import { query } from '../db/postgres.js';
+import * as redisService from './redis.js';
+import * as saleService from './sale.js';
+import * as orderQueue from './order-queue.js';
+import { redisBreakerState } from './metrics.js';
+import { config } from '../config/index.js';
+
+// CLOSED: purchases go through Redis. OPEN: Redis is failing, purchases use Postgres only.
+// HALF_OPEN: Redis answers again and is being re-seeded from the DB, sale by sale
+export const BreakerState = {
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN',
+};
+
+// How a purchase may go right now, decided under the sale row lock (see getSaleMode)
+export const SaleMode = {
+  REDIS: 'REDIS',
+  DATABASE: 'DATABASE',
+  // The sale is off Redis, but some instance has not stopped using Redis yet
+  WAIT: 'WAIT',
+};
+
+const stateGaugeValues = {
+  [BreakerState.CLOSED]: 0,
+  [BreakerState.HALF_OPEN]: 1,
+  [BreakerState.OPEN]: 2,
+};
+
+const RESEED_LOCK = 'redis-breaker-reseed';
+const instanceId = `${os.hostname()}-${process.pid}`;
+
+// The breaker itself lives in Postgres (redis_breaker); this is the copy of the last sync
+let state = BreakerState.CLOSED;
+let epoch = 0;
+let openedAt = null;
+// Sales re-seeded in the current epoch; their purchases are back on Redis
+let reseededSales = new Set();
+let lastSyncAt = null;
+
+let consecutiveFailures = 0;
+let lastError = null;
+let syncTimer = null;
+let syncInProgress = false;
+let probeTimer = null;
+let probeInProgress = false;
+// Purchases in progress, by the epoch they started in; an epoch is drained once none are left from before it
+const purchasesInFlight = new Map();
+// Cancels of purchase gate calls that failed or timed out, until Redis has taken them (see cancelUnknownGate)
+const pendingGateCancels = new Set();
+let cancelRetryTimer = null;
+let cancelRetryInProgress = false;
+
+function setState(next) {
+  state = next;
+  redisBreakerState.set(stateGaugeValues[next]);
+}
+
+/**
+ * Breaker state for /health
+ */
+export function getBreakerStatus() {
+  return {
+    state,
+    epoch,
+    consecutiveFailures,
+    openedAt: openedAt ? openedAt.toISOString() : null,
+    lastError,
+  };
+}
+
+// An instance that cannot sync for half the instance TTL stops using Redis on its own, before the others stop waiting for it
+function isFenced() {
+  return lastSyncAt === null || Date.now() - lastSyncAt > config.redisBreaker.instanceTtlMs / 2;
+}
+
+/**
+ * Whether purchases (and stock reads) of a sale must use Postgres instead of Redis, as of the last sync
+ * Purchases confirm it under the sale row lock (getSaleMode) before selling from the DB
+ */
+export function usesDatabase(saleId) {
+  return isFenced() || (state !== BreakerState.CLOSED && !reseededSales.has(saleId));
+}
+
+function isDrained(ofEpoch) {
+  for (const [startedIn, count] of purchasesInFlight) {
+    if (startedIn < ofEpoch && count > 0) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Report this instance and read the shared breaker state
+ * The report acknowledges the epoch read on the previous sync, so other instances know when
+ * this one has stopped using Redis under it
+ */
+async function syncBreaker() {
+  const syncStartedAt = Date.now();
+  const result = await query(
+    `WITH report AS (
+       INSERT INTO redis_breaker_instances (instance_id, epoch, purchases_drained, pending_gate_cancels, synced_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       ON CONFLICT (instance_id) DO UPDATE SET
+         epoch = EXCLUDED.epoch,
+         purchases_drained = EXCLUDED.purchases_drained,
+         pending_gate_cancels = EXCLUDED.pending_gate_cancels,
+         synced_at = EXCLUDED.synced_at
+     )
+     SELECT b.state, b.epoch, b.opened_at,
+       ARRAY(SELECT r.sale_id FROM redis_breaker_reseeded r WHERE r.epoch = b.epoch) as reseeded_sales
+     FROM redis_breaker b`,
+    [instanceId, epoch, isDrained(epoch), pendingGateCancels.size]
+  );
+  const shared = result.rows[0];
+
+  if (shared.epoch !== epoch || shared.state !== state) {
+    console.log(`Redis circuit breaker is ${shared.state} (epoch ${shared.epoch})`);
+  }
+  epoch = shared.epoch;
+  openedAt = shared.opened_at;
+  reseededSales = new Set(shared.reseeded_sales);
+  lastSyncAt = syncStartedAt;
+  setState(shared.state);
+
+  if (state === BreakerState.CLOSED) {
+    stopProbe();
+  } else {
+    startProbe();
+  }
+}
+
+/**
+ * How a purchase of the sale may go, read from the shared state inside the caller's transaction,
+ * which must hold the sale row lock: re-seeding takes that lock too, so the answer holds until commit.
+ * DATABASE only once every live instance follows the current epoch and has finished the Redis
+ * purchases it started before it; otherwise WAIT
+ */
+export async function getSaleMode(saleId, { client = null } = {}) {
+  const executor = client || { query };
+  const result = await executor.query(
+    `SELECT b.state,
+       EXISTS (SELECT 1 FROM redis_breaker_reseeded r WHERE r.sale_id = $1 AND r.epoch = b.epoch) as reseeded,
+       (SELECT COUNT(*) FROM redis_breaker_instances i
+        WHERE i.synced_at > NOW() - make_interval(secs => $2)
+          AND (i.epoch < b.epoch OR NOT i.purchases_drained))::int as undrained_instances
+     FROM redis_breaker b`,
+    [saleId, config.redisBreaker.instanceTtlMs / 1000]
+  );
+  const shared = result.rows[0];
+
+  if (shared.state === BreakerState.CLOSED || shared.reseeded) {
+    return isFenced() ? SaleMode.WAIT : SaleMode.REDIS;
+  }
+  return shared.undrained_instances > 0 ? SaleMode.WAIT : SaleMode.DATABASE;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Redis call timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Open the breaker for every instance, starting a new epoch
+ * Also used while HALF_OPEN, which voids the sales re-seeded so far
+ */
+async function open() {
+  const result = await query(
+    `UPDATE redis_breaker SET state = $2, epoch = epoch + 1, opened_at = NOW(), last_error = $3
+     WHERE epoch = $1 AND state <> $2
+     RETURNING epoch`,
+    [epoch, BreakerState.OPEN, lastError]
+  );
+  if (result.rowCount > 0) {
+    console.error(`Redis circuit breaker OPEN after ${consecutiveFailures} failed call(s) (${lastError}), purchases switch to Postgres`);
+  }
+  await syncBreaker();
+}
+
+/**
+ * Run a Redis call of the purchase path through the breaker
+ * Errors and calls slower than callTimeoutMs count towards opening it, and are rethrown
+ */
+export async function callRedis(fn) {
+  try {
+    const result = await withTimeout(fn(), config.redisBreaker.callTimeoutMs);
+    consecutiveFailures = 0;
+    return result;
+  } catch (error) {
+    consecutiveFailures++;
+    lastError = error.message;
+    if (state !== BreakerState.OPEN && consecutiveFailures >= config.redisBreaker.failureThreshold) {
+      await open().catch((openError) => {
+        console.error('Opening the Redis circuit breaker failed:', openError.message);
+      });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Count a purchase from its start until its order is saved (or handed to the order stream)
+ * Returns the ticket to pass to endPurchase. Taken before the purchase picks Redis or the DB,
+ * so this instance only reports an epoch as drained once no purchase that may still use Redis under
+ * an older epoch is left
+ */
+export function beginPurchase() {
+  purchasesInFlight.set(epoch, (purchasesInFlight.get(epoch) || 0) + 1);
+  return epoch;
+}
+
+export function endPurchase(ticket) {
+  const count = purchasesInFlight.get(ticket) - 1;
+  if (count > 0) {
+    purchasesInFlight.set(ticket, count);
+  } else {
+    purchasesInFlight.delete(ticket);
+  }
+}
+
+async function tryGateCancel(cancel) {
+  try {
+    const units = await withTimeout(cancel(), config.redisBreaker.callTimeoutMs);
+    pendingGateCancels.delete(cancel);
+    if (units > 0) {
+      console.warn(`Released ${units} unit(s) taken by a purchase gate call that failed or timed out`);
+    }
+  } catch (error) {
+    console.warn(`Cancelling a purchase gate call failed, retrying: ${error.message}`);
+    startCancelRetry();
+  }
+}
+
+/**
+ * Settle a purchase gate call whose outcome is unknown: it failed or timed out here, but may have
+ * taken units in Redis, or still take them. cancel() cancels it by its gate token. While Redis does
+ * not take the cancel it is retried in the background, and re-seeding waits for it, so a late gate
+ * call cannot take units after the re-seed
+ */
+export async function cancelUnknownGate(cancel) {
+  pendingGateCancels.add(cancel);
+  await tryGateCancel(cancel);
+}
+
+function startCancelRetry() {
+  if (cancelRetryTimer) {
+    return;
+  }
+
+  cancelRetryTimer = setInterval(async () => {
+    if (cancelRetryInProgress) {
+      return;
+    }
+    cancelRetryInProgress = true;
+    try {
+      for (const cancel of pendingGateCancels) {
+        await tryGateCancel(cancel);
+      }
+      if (pendingGateCancels.size === 0) {
+        stopCancelRetry();
+      }
+    } finally {
+      cancelRetryInProgress = false;
+    }
+  }, config.redisBreaker.probeIntervalMs);
+}
+
+function stopCancelRetry() {
+  if (cancelRetryTimer) {
+    clearInterval(cancelRetryTimer);
+    cancelRetryTimer = null;
+  }
+}
+
+/**
+ * Record a sale as re-seeded in the epoch, inside the re-seed transaction (which holds the sale row lock)
+ * Locks the breaker row, so the breaker cannot re-open until the re-seed commits. Returns false when the
+ * sale was re-seeded in this epoch already; throws when the breaker has moved on from the epoch
+ */
+async function markReseeded(client, saleId, reseedEpoch) {
+  const current = await client.query(
+    'SELECT 1 FROM redis_breaker WHERE epoch = $1 AND state = $2 FOR SHARE',
+    [reseedEpoch, BreakerState.HALF_OPEN]
+  );
+  if (current.rowCount === 0) {
+    throw new Error(`the circuit breaker left epoch ${reseedEpoch} during the re-seed`);
+  }
+
+  const result = await client.query(
+    `INSERT INTO redis_breaker_reseeded (sale_id, epoch) VALUES ($1, $2)
+     ON CONFLICT (sale_id) DO UPDATE SET epoch = EXCLUDED.epoch
+     WHERE redis_breaker_reseeded.epoch <> EXCLUDED.epoch`,
+    [saleId, reseedEpoch]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Number of live instances that still use (or may use) Redis under an older epoch, or have gate cancels
+ * Redis has not taken yet; re-seeding waits for all of them. Instances gone for long are forgotten here
+ */
+async function countInstancesNotReady() {
+  await query(
+    'DELETE FROM redis_breaker_instances WHERE synced_at < NOW() - make_interval(secs => $1)',
+    [(config.redisBreaker.instanceTtlMs / 1000) * 10]
+  );
+  const result = await query(
+    `SELECT COUNT(*)::int as count FROM redis_breaker_instances
+     WHERE synced_at > NOW() - make_interval(secs => $2)
+       AND (epoch < $1 OR NOT purchases_drained OR pending_gate_cancels > 0)`,
+    [epoch, config.redisBreaker.instanceTtlMs / 1000]
+  );
+  return result.rows[0].count;
+}
+
+/**
+ * Rebuild Redis from the DB for every sale that has not ended, then close the breaker
+ * Each sale is re-seeded under its row lock and switches back to Redis as soon as it is; an instance
+ * that crashed half-way leaves the rest to the next one. The lock only keeps two instances from re-seeding at once
+ */
+async function reseedAndClose() {
+  const token = await redisService.acquireLock(RESEED_LOCK, config.redisBreaker.reseedLockTtlMs);
+  if (!token) {
+    return;
+  }
+
+  const reseedEpoch = epoch;
+  try {
+    await query(
+      'UPDATE redis_breaker SET state = $2 WHERE epoch = $1 AND state = $3',
+      [reseedEpoch, BreakerState.HALF_OPEN, BreakerState.OPEN]
+    );
+
+    const sales = await query('SELECT id FROM flash_sale WHERE end_time >= NOW() ORDER BY id');
+    for (const { id } of sales.rows) {
+      await saleService.reseedRedisFromDB(id, (client) => markReseeded(client, id, reseedEpoch));
+      if (!(await redisService.extendLock(RESEED_LOCK, token, config.redisBreaker.reseedLockTtlMs))) {
+        console.warn('Redis re-seed lock expired, leaving the remaining sales to the next probe');
+        return;
+      }
+    }
+
+    // Sales created while re-seeding are not re-seeded yet, so the breaker stays half-open for them
+    const closed = await query(
+      `UPDATE redis_breaker SET state = $2, opened_at = NULL
+       WHERE epoch = $1 AND state = $3
+         AND NOT EXISTS (
+           SELECT 1 FROM flash_sale f
+           WHERE f.end_time >= NOW()
+             AND NOT EXISTS (SELECT 1 FROM redis_breaker_reseeded r WHERE r.sale_id = f.id AND r.epoch = $1)
+         )`,
+      [reseedEpoch, BreakerState.CLOSED, BreakerState.HALF_OPEN]
+    );
+    if (closed.rowCount > 0) {
+      consecutiveFailures = 0;
+      console.log(`Redis circuit breaker CLOSED after ${Math.round((Date.now() - new Date(openedAt).getTime()) / 1000)}s, Redis re-seeded from Postgres`);
+    }
+  } catch (error) {
+    lastError = error.message;
+    console.error('Redis re-seed failed, circuit breaker re-opens:', error.message);
+    await open();
+  } finally {
+    await redisService.releaseLock(RESEED_LOCK, token).catch(() => {});
+    await syncBreaker();
+  }
+}
+
+async function probe() {
+  if (!(await withTimeout(redisService.healthCheck(), config.redisBreaker.callTimeoutMs).catch(() => false))) {
+    return;
+  }
+
+  const notReady = await countInstancesNotReady();
+  if (notReady > 0) {
+    console.log(`Redis is back, waiting for ${notReady} instance(s) to stop using Redis and finish their purchases before re-seeding`);
+    return;
+  }
+
+  // Orders accepted into the stream hold units the DB does not show yet
+  if (orderQueue.isStreamMode() && await orderQueue.hasUnwrittenOrders()) {
+    console.log('Redis is back, waiting for the order writer to drain the order stream before re-seeding');
+    return;
+  }
+
+  await reseedAndClose();
+}
+
+function startProbe() {
+  if (probeTimer) {
+    return;
+  }
+
+  probeTimer = setInterval(async () => {
+    // Skip a tick rather than overlapping a slow re-seed
+    if (probeInProgress) {
+      return;
+    }
+    probeInProgress = true;
+    try {
+      await probe();
+    } catch (error) {
+      console.error('Redis breaker probe failed:', error.message);
+    } finally {
+      probeInProgress = false;
+    }
+  }, config.redisBreaker.probeIntervalMs);
+}
+
+function stopProbe() {
+  if (probeTimer) {
+    clearInterval(probeTimer);
+    probeTimer = null;
+  }
+}
+
+/**
+ * Start following the shared breaker state
+ * The first sync runs before returning; until it succeeds the instance keeps purchases off Redis
+ */
+export async function startRedisBreaker() {
+  if (syncTimer) {
+    return;
+  }
+
+  syncTimer = setInterval(async () => {
+    if (syncInProgress) {
+      return;
+    }
+    syncInProgress = true;
+    try {
+      await syncBreaker();
+    } catch (error) {
+      console.error('Redis breaker sync failed:', error.message);
+    } finally {
+      syncInProgress = false;
+    }
+  }, config.redisBreaker.syncIntervalMs);
+  await syncBreaker();
+}
+
+/**
+ * Stop syncing and probing Redis (on shutdown)
+ */
+export function stopRedisBreaker() {
+  if (syncTimer) {
+    clearInterval(syncTimer);
+    syncTimer = null;
+  }
+  stopProbe();
+  stopCancelRetry();
+}
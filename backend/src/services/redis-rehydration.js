@@ -0,0 +1,149 @@
+import { query } from '../db/postgres.js';
+import * as redisService from './redis.js';
+import * as saleService from './sale.js';
+import * as orderQueue from './order-queue.js';
+import * as redisBreaker from './redis-breaker.js';
+import { config } from '../config/index.js';
+
+const REHYDRATION_LOCK = 'rehydration';
+
+let retryTimer = null;
+let rehydrationInProgress = false;
+let watchedClient = null;
+
+/**
+ * UPCOMING and ACTIVE sales, the ones purchases can still reach
+ */
+async function getLiveSaleIds() {
+  const result = await query('SELECT id FROM flash_sale WHERE end_time >= NOW() ORDER BY id');
+  return result.rows.map((row) => row.id);
+}
+
+function scheduleRetry(reason) {
+  if (retryTimer) {
+    return;
+  }
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    rehydrateIfNeeded(reason);
+  }, config.rehydration.retryMs);
+}
+
+/**
+ * Rebuild the live sales whose stock is missing from Redis
+ * Returns the ids rebuilt and the ids deferred because they sell from Postgres for now
+ */
+async function rebuildLiveSales(reason, token) {
+  const saleIds = await getLiveSaleIds();
+  console.log(`Rehydrating Redis (${reason}): ${saleIds.length} live sale(s)`);
+
+  const rebuilt = [];
+  const deferred = [];
+  for (const saleId of saleIds) {
+    // A sale whose stock is still in Redis is left alone: a missing marker alone does not mean
+    // Redis lost it, and rebuilding a selling sale would drop the units of purchases not saved yet
+    if (await saleService.hasRedisStock(saleId)) {
+      continue;
+    }
+    // A sale on the circuit breaker's DB path takes orders Redis does not see; the breaker re-seeds it
+    if (redisBreaker.usesDatabase(saleId)) {
+      deferred.push(saleId);
+      continue;
+    }
+    const stock = await saleService.rebuildRedisFromDB(saleId);
+    rebuilt.push(saleId);
+    console.log(`Rehydrated sale ${saleId}: stock ${stock}`);
+    if (!(await redisService.extendLock(REHYDRATION_LOCK, token, config.rehydration.lockTtlMs))) {
+      throw new Error('Rehydration lock expired before every sale was rebuilt');
+    }
+  }
+  console.log(`Rehydrated ${rebuilt.length} of ${saleIds.length} live sale(s), ${deferred.length} on the DB path, the others still had their stock in Redis`);
+  return { rebuilt, deferred };
+}
+
+/**
+ * Rebuild stock and user purchase counts of the UPCOMING and ACTIVE sales whose stock keys are missing
+ * when Redis may have lost them (no rehydration marker). One instance rebuilds under a lock;
+ * the others check back until the marker is set. Purchases of a sale wait until it is rebuilt.
+ * Nothing is rebuilt while the order stream holds unsaved orders, and sales on the circuit breaker's
+ * DB path are left to the breaker; either way the rehydration is retried.
+ * Returns the ids of the sales rebuilt by this instance, or null
+ */
+export async function rehydrateIfNeeded(reason) {
+  if (rehydrationInProgress) {
+    return null;
+  }
+  rehydrationInProgress = true;
+
+  try {
+    const client = redisService.getRedisClient();
+    if (await client.exists(config.rehydration.markerKey)) {
+      return null;
+    }
+
+    const token = await redisService.acquireLock(REHYDRATION_LOCK, config.rehydration.lockTtlMs);
+    if (!token) {
+      console.log('Redis rehydration is running on another instance');
+      scheduleRetry(reason);
+      return null;
+    }
+
+    try {
+      // The previous holder may have finished between our check and taking the lock
+      if (await client.exists(config.rehydration.markerKey)) {
+        return null;
+      }
+      // Orders still in the stream are not in Postgres yet, so stock rebuilt now would sell their units again
+      if (orderQueue.isStreamMode() && (await orderQueue.hasUnwrittenOrders())) {
+        console.log('Redis rehydration waits for the order writer to save the orders in the stream');
+        scheduleRetry(reason);
+        return null;
+      }
+      const { rebuilt, deferred } = await rebuildLiveSales(reason, token);
+      // The marker waits for the deferred sales, so they are checked again once they are back on Redis
+      if (deferred.length > 0) {
+        scheduleRetry(reason);
+      } else {
+        await client.set(config.rehydration.markerKey, new Date().toISOString());
+      }
+      return rebuilt;
+    } finally {
+      await redisService.releaseLock(REHYDRATION_LOCK, token);
+    }
+  } catch (error) {
+    console.error(`Redis rehydration (${reason}) failed:`, error.message);
+    scheduleRetry(reason);
+    return null;
+  } finally {
+    rehydrationInProgress = false;
+  }
+}
+
+function onRedisReady() {
+  rehydrateIfNeeded('reconnect');
+}
+
+/**
+ * Rehydrate again whenever ioredis reconnects, in case Redis came back without its data
+ */
+export function startRehydrationWatch() {
+  if (watchedClient) {
+    return;
+  }
+  watchedClient = redisService.getRedisClient();
+  watchedClient.on('ready', onRedisReady);
+}
+
+/**
+ * Stop watching for reconnects and cancel a pending retry
+ */
+export function stopRehydrationWatch() {
+  if (watchedClient) {
+    watchedClient.off('ready', onRedisReady);
+    watchedClient = null;
+  }
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+}
@@ -1,17 +1,452 @@
+import { randomUUID } from 'node:crypto';
 import Redis from 'ioredis';
 import { config } from '../config/index.js';
+import { redisDuration, observe } from './metrics.js';
 
 let redisClient = null;
 let isConnected = false;
 
-export function getRedisClient() {
-  if (!redisClient) {
-    redisClient = new Redis(config.redis.url, {
-      maxRetriesPerRequest: 3,
+// Purchase gate outcomes returned by the Lua script
+export const GateResult = {
+  SUCCESS: 'SUCCESS',
+  SOLD_OUT: 'SOLD_OUT',
+  INSUFFICIENT_STOCK: 'INSUFFICIENT_STOCK',
+  ALREADY_PURCHASED: 'ALREADY_PURCHASED',
+  LIMIT_EXCEEDED: 'LIMIT_EXCEEDED',
+  // The stock key is missing (Redis lost its data and the sale is not rebuilt yet)
+  UNAVAILABLE: 'UNAVAILABLE',
+  // The call's gate token was cancelled before the call reached Redis (see cancelPurchaseGate)
+  CANCELLED: 'CANCELLED',
+};
+
+/**
+ * Purchase gate - per-user limit check, stock check, decrement and user counts in one atomic step
+ * Units the user holds as an unexpired waitlist claim are used before the open stock
+ * The units taken are recorded under the call's gate token, so a caller that never got the answer can cancel it
+ * KEYS[1] = stock key (sale or item), KEYS[2] = waitlist claims hash, KEYS[3] = claim expiry zset
+ * KEYS[4] = gate token key, KEYS[5] = sale-level user purchase key (units bought so far)
+ * KEYS[6] = item-level user purchase key (optional, only for sales with items)
+ * ARGV[1] = quantity, ARGV[2] = sale max units per user, ARGV[3] = user purchase expiry in seconds
+ * ARGV[4] = item max units per user (0 = no item-level limit), ARGV[5] = user id, ARGV[6] = now in ms,
+ * ARGV[7] = gate token expiry in seconds
+ * Returns [result, remainingStock, remainingAllowance, claimedUnits]
+ */
+const PURCHASE_GATE_SCRIPT = `
+local quantity = tonumber(ARGV[1])
+local userId = ARGV[5]
+if redis.call('EXISTS', KEYS[4]) == 1 then
+  return { 'CANCELLED', 0, 0, 0 }
+end
+local stockValue = redis.call('GET', KEYS[1])
+if not stockValue then
+  return { 'UNAVAILABLE', 0, 0, 0 }
+end
+local stock = tonumber(stockValue)
+local allowance = tonumber(ARGV[2]) - tonumber(redis.call('GET', KEYS[5]) or '0')
+if KEYS[6] and tonumber(ARGV[4]) > 0 then
+  local itemAllowance = tonumber(ARGV[4]) - tonumber(redis.call('GET', KEYS[6]) or '0')
+  allowance = math.min(allowance, itemAllowance)
+end
+if allowance <= 0 then
+  return { 'ALREADY_PURCHASED', stock, 0, 0 }
+end
+if quantity > allowance then
+  return { 'LIMIT_EXCEEDED', stock, allowance, 0 }
+end
+local claimed = 0
+local claimExpiresAt = redis.call('ZSCORE', KEYS[3], userId)
+if claimExpiresAt and tonumber(claimExpiresAt) > tonumber(ARGV[6]) then
+  claimed = tonumber(redis.call('HGET', KEYS[2], userId) or '0')
+end
+local fromClaim = math.min(claimed, quantity)
+local fromStock = quantity - fromClaim
+if fromStock > 0 then
+  if stock <= 0 then
+    return { 'SOLD_OUT', 0, allowance, 0 }
+  end
+  if stock < fromStock then
+    return { 'INSUFFICIENT_STOCK', stock, allowance, 0 }
+  end
+  stock = redis.call('DECRBY', KEYS[1], fromStock)
+end
+if fromClaim > 0 and redis.call('HINCRBY', KEYS[2], userId, -fromClaim) <= 0 then
+  redis.call('HDEL', KEYS[2], userId)
+  redis.call('ZREM', KEYS[3], userId)
+end
+for i = 5, #KEYS do
+  redis.call('INCRBY', KEYS[i], quantity)
+  redis.call('EXPIRE', KEYS[i], ARGV[3])
+end
+redis.call('SET', KEYS[4], quantity, 'EX', ARGV[7])
+return { 'SUCCESS', stock, allowance - quantity, fromClaim }
+`;
+
+/**
+ * Return units to a stock scope (sale or item), shared by the release and claim expiry scripts
+ * Each unit goes to the next waitlisted user as a time-limited claim; only what is left
+ * when the waitlist is empty goes back to the open stock. Users who have already bought
+ * (or hold claims for) their max per user are dropped from the waitlist instead, since
+ * their claim could never be used.
+ * KEYS[1] = stock key, KEYS[2] = waitlist zset, KEYS[3] = claims hash, KEYS[4] = claim expiry zset,
+ * KEYS[5] = the sale's set of scopes with claims (for the sweeper), KEYS[6] = the sale's purchase limits hash
+ * ARGV[1] = now in ms, ARGV[2] = claim duration in ms, ARGV[3] = scope id,
+ * ARGV[4] = user purchase key prefix, ARGV[5] = item id ('' for a sale-level scope)
+ * User purchase keys are built from ARGV[4]; they carry the sale's hash tag, so they are in the script's slot
+ */
+const RETURN_UNITS_LUA = `
+local saleLimit = tonumber(redis.call('HGET', KEYS[6], 'sale') or '0')
+local itemLimit = 0
+if ARGV[5] ~= '' then
+  itemLimit = tonumber(redis.call('HGET', KEYS[6], 'item:' .. ARGV[5]) or '0')
+end
+
+local function hasAllowance(userId)
+  local held = tonumber(redis.call('HGET', KEYS[3], userId) or '0')
+  if saleLimit > 0 and tonumber(redis.call('GET', ARGV[4] .. userId) or '0') + held >= saleLimit then
+    return false
+  end
+  if itemLimit > 0 and tonumber(redis.call('GET', ARGV[4] .. userId .. ':item:' .. ARGV[5]) or '0') + held >= itemLimit then
+    return false
+  end
+  return true
+end
+
+local function returnUnits(units)
+  local promoted = 0
+  while units > 0 do
+    local nextInLine = redis.call('ZPOPMIN', KEYS[2])
+    if #nextInLine == 0 then
+      break
+    end
+    -- A user at the allowance is dropped: the claim could never become a purchase
+    if hasAllowance(nextInLine[1]) then
+      redis.call('HINCRBY', KEYS[3], nextInLine[1], 1)
+      redis.call('ZADD', KEYS[4], tonumber(ARGV[1]) + tonumber(ARGV[2]), nextInLine[1])
+      units = units - 1
+      promoted = promoted + 1
+    end
+  end
+  if promoted > 0 then
+    redis.call('SADD', KEYS[5], ARGV[3])
+  end
+  if units > 0 then
+    return redis.call('INCRBY', KEYS[1], units), promoted
+  end
+  return tonumber(redis.call('GET', KEYS[1]) or '0'), promoted
+end
+`;
+
+/**
+ * Release units taken by the purchase gate (through returnUnits, so the waitlist is served first)
+ * The user's allowance is given back first, so the user can be promoted like anyone else
+ * KEYS[1..6] as for returnUnits, KEYS[7..n] = user purchase keys the gate counted the units against
+ * ARGV[1..5] as for returnUnits, ARGV[6] = quantity, ARGV[7] = '1' to also give the units back to the user's allowance
+ * Returns [stock, promoted]
+ */
+const RELEASE_PURCHASE_SCRIPT = RETURN_UNITS_LUA + `
+if ARGV[7] == '1' then
+  for i = 7, #KEYS do
+    local bought = redis.call('DECRBY', KEYS[i], ARGV[6])
+    if bought <= 0 then
+      redis.call('DEL', KEYS[i])
+    end
+  end
+end
+local stock, promoted = returnUnits(tonumber(ARGV[6]))
+return { stock, promoted }
+`;
+
+/**
+ * Cancel a purchase gate call whose outcome the caller never learned (it failed or timed out)
+ * Units recorded under the token are released like RELEASE_PURCHASE_SCRIPT does, allowance included.
+ * Either way the token is marked cancelled, so a call still on its way is refused when it arrives
+ * KEYS[1..6] as for returnUnits, KEYS[7] = gate token key, KEYS[8..n] = user purchase keys
+ * ARGV[1..5] as for returnUnits, ARGV[6] = gate token expiry in seconds
+ * Returns [releasedUnits, promoted]
+ */
+const CANCEL_GATE_SCRIPT = RETURN_UNITS_LUA + `
+local taken = redis.call('GET', KEYS[7])
+redis.call('SET', KEYS[7], 'cancelled', 'EX', ARGV[6])
+if not taken or taken == 'cancelled' then
+  return { 0, 0 }
+end
+local units = tonumber(taken)
+for i = 8, #KEYS do
+  if redis.call('DECRBY', KEYS[i], units) <= 0 then
+    redis.call('DEL', KEYS[i])
+  end
+end
+local _, promoted = returnUnits(units)
+return { units, promoted }
+`;
+
+/**
+ * Take back expired waitlist claims and pass their units on (through returnUnits)
+ * KEYS and ARGV as for returnUnits
+ * Returns [expiredClaims, units, promoted]
+ */
+const EXPIRE_CLAIMS_SCRIPT = RETURN_UNITS_LUA + `
+local expired = redis.call('ZRANGEBYSCORE', KEYS[4], '-inf', ARGV[1])
+local units = 0
+for _, userId in ipairs(expired) do
+  units = units + tonumber(redis.call('HGET', KEYS[3], userId) or '0')
+  redis.call('HDEL', KEYS[3], userId)
+  redis.call('ZREM', KEYS[4], userId)
+end
+local _, promoted = returnUnits(units)
+if redis.call('ZCARD', KEYS[4]) == 0 then
+  redis.call('SREM', KEYS[5], ARGV[3])
+end
+return { #expired, units, promoted }
+`;
+
+/**
+ * First step of a sharded purchase: per-user limit check, waitlist claim use and user counts,
+ * all in the sale's slot. Stock is taken afterwards bucket by bucket (TAKE_STOCK_SCRIPT)
+ * KEYS[1] = stock bucket 0 (only checked to exist; it is written last when the stock is initialized)
+ * KEYS[2] = waitlist claims hash, KEYS[3] = claim expiry zset, KEYS[4] = gate token key (only checked here,
+ * the units are recorded once every bucket is taken), KEYS[5] = sale-level user purchase key,
+ * KEYS[6] = item-level user purchase key (optional)
+ * ARGV as for the purchase gate
+ * Returns [result, remainingAllowance, claimedUnits, claimExpiresAt]
+ */
+const RESERVE_ALLOWANCE_SCRIPT = `
+local quantity = tonumber(ARGV[1])
+local userId = ARGV[5]
+if redis.call('EXISTS', KEYS[4]) == 1 then
+  return { 'CANCELLED', 0, 0, '0' }
+end
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  return { 'UNAVAILABLE', 0, 0, '0' }
+end
+local allowance = tonumber(ARGV[2]) - tonumber(redis.call('GET', KEYS[5]) or '0')
+if KEYS[6] and tonumber(ARGV[4]) > 0 then
+  local itemAllowance = tonumber(ARGV[4]) - tonumber(redis.call('GET', KEYS[6]) or '0')
+  allowance = math.min(allowance, itemAllowance)
+end
+if allowance <= 0 then
+  return { 'ALREADY_PURCHASED', 0, 0, '0' }
+end
+if quantity > allowance then
+  return { 'LIMIT_EXCEEDED', allowance, 0, '0' }
+end
+local claimed = 0
+local claimExpiresAt = redis.call('ZSCORE', KEYS[3], userId)
+if claimExpiresAt and tonumber(claimExpiresAt) > tonumber(ARGV[6]) then
+  claimed = tonumber(redis.call('HGET', KEYS[2], userId) or '0')
+end
+local fromClaim = math.min(claimed, quantity)
+if fromClaim > 0 and redis.call('HINCRBY', KEYS[2], userId, -fromClaim) <= 0 then
+  redis.call('HDEL', KEYS[2], userId)
+  redis.call('ZREM', KEYS[3], userId)
+end
+for i = 5, #KEYS do
+  redis.call('INCRBY', KEYS[i], quantity)
+  redis.call('EXPIRE', KEYS[i], ARGV[3])
+end
+return { 'SUCCESS', allowance - quantity, fromClaim, claimExpiresAt or '0' }
+`;
+
+/**
+ * Take up to ARGV[1] units from one stock bucket, never below zero
+ * KEYS[1] = stock bucket key
+ * Returns [taken, remaining]
+ */
+const TAKE_STOCK_SCRIPT = `
+local stock = tonumber(redis.call('GET', KEYS[1]) or '0')
+local taken = math.min(math.max(stock, 0), tonumber(ARGV[1]))
+if taken > 0 then
+  stock = redis.call('DECRBY', KEYS[1], taken)
+end
+return { taken, stock }
+`;
+
+/**
+ * Undo RESERVE_ALLOWANCE_SCRIPT when the buckets could not cover the purchase
+ * KEYS[1] = waitlist claims hash, KEYS[2] = claim expiry zset, KEYS[3] = the sale's claim scopes set,
+ * KEYS[4..n] = user purchase keys
+ * ARGV[1] = quantity, ARGV[2] = claimed units to give back, ARGV[3] = the claim's expiry in ms,
+ * ARGV[4] = user id, ARGV[5] = scope id
+ */
+const UNDO_RESERVE_SCRIPT = `
+if tonumber(ARGV[2]) > 0 then
+  redis.call('HINCRBY', KEYS[1], ARGV[4], ARGV[2])
+  redis.call('ZADD', KEYS[2], ARGV[3], ARGV[4])
+  redis.call('SADD', KEYS[3], ARGV[5])
+end
+for i = 4, #KEYS do
+  if redis.call('DECRBY', KEYS[i], ARGV[1]) <= 0 then
+    redis.call('DEL', KEYS[i])
+  end
+end
+return 1
+`;
+
+/**
+ * Correct a stock scope by a number of units (used by the reconciler)
+ * Added units go through returnUnits, so the waitlist is served first; removed units come off the stock key.
+ * A missing stock key is left alone, since it is rebuilt as a whole by rehydration
+ * KEYS and ARGV[1..5] as for returnUnits, ARGV[6] = units to add (negative to remove)
+ * Returns [stock, promoted], or nil when the stock key is missing
+ */
+const ADJUST_STOCK_SCRIPT = RETURN_UNITS_LUA + `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  return false
+end
+local units = tonumber(ARGV[6])
+if units > 0 then
+  local stock, promoted = returnUnits(units)
+  return { stock, promoted }
+end
+return { redis.call('DECRBY', KEYS[1], -units), 0 }
+`;
+
+/**
+ * Set a user purchase count only while it still holds the value the reconciler read,
+ * so a purchase made since then is never overwritten
+ * KEYS[1] = user purchase key
+ * ARGV[1] = expected current count ('0' when missing), ARGV[2] = new count ('0' deletes the key),
+ * ARGV[3] = user purchase expiry in seconds
+ * Returns 1 when set, 0 when the count has changed
+ */
+const SET_USER_COUNT_SCRIPT = `
+if (redis.call('GET', KEYS[1]) or '0') ~= ARGV[1] then
+  return 0
+end
+if ARGV[2] == '0' then
+  redis.call('DEL', KEYS[1])
+else
+  redis.call('SET', KEYS[1], ARGV[2], 'EX', ARGV[3])
+end
+return 1
+`;
+
+// Delete a lock only while it still holds our token, so an expired lock taken over by another instance is left alone
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// Extend a lock only while it still holds our token
+const EXTEND_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+// Overwrite a lock's value (with a new TTL in seconds) only while it still holds our token
+const REPLACE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  redis.call('SET', KEYS[1], ARGV[2], 'EX', ARGV[3])
+  return 1
+end
+return 0
+`;
+
+/**
+ * Build the client for the configured mode
+ * Sentinel follows failovers to the new master; Cluster routes each key to the node owning its slot
+ */
+function createRedisClient() {
+  const { mode, password, tls } = config.redis;
+  const redisOptions = {
+    maxRetriesPerRequest: 3,
+    enableReadyCheck: true,
+    ...(password && { password }),
+    ...(tls && { tls: {} }),
+  };
+
+  if (mode === 'cluster') {
+    return new Redis.Cluster(config.redis.clusterNodes, {
+      redisOptions,
+      lazyConnect: true,
       retryDelayOnFailover: 100,
-      enableReadyCheck: true,
+      // TLS certificates name the configuration endpoint, so keep the host names the cluster announces
+      ...(tls && { dnsLookup: (address, callback) => callback(null, address) }),
+    });
+  }
+
+  if (mode === 'sentinel') {
+    return new Redis({
+      ...redisOptions,
+      sentinels: config.redis.sentinels,
+      name: config.redis.sentinelName,
+      sentinelPassword: config.redis.sentinelPassword || undefined,
       lazyConnect: true,
     });
+  }
+
+  return new Redis(config.redis.url, {
+    ...redisOptions,
+    retryDelayOnFailover: 100,
+    lazyConnect: true,
+  });
+}
+
+export function isClusterMode() {
+  return config.redis.mode === 'cluster';
+}
+
+export function getRedisClient() {
+  if (!redisClient) {
+    redisClient = createRedisClient();
+
+    // Key count varies (item purchases carry an extra user key), so it is passed per call
+    redisClient.defineCommand('purchaseGate', {
+      lua: PURCHASE_GATE_SCRIPT,
+    });
+
+    redisClient.defineCommand('releasePurchase', {
+      lua: RELEASE_PURCHASE_SCRIPT,
+    });
+
+    redisClient.defineCommand('cancelGate', {
+      lua: CANCEL_GATE_SCRIPT,
+    });
+
+    redisClient.defineCommand('expireClaims', {
+      lua: EXPIRE_CLAIMS_SCRIPT,
+    });
+
+    redisClient.defineCommand('reserveAllowance', {
+      lua: RESERVE_ALLOWANCE_SCRIPT,
+    });
+
+    redisClient.defineCommand('takeStock', {
+      numberOfKeys: 1,
+      lua: TAKE_STOCK_SCRIPT,
+    });
+
+    redisClient.defineCommand('undoReserve', {
+      lua: UNDO_RESERVE_SCRIPT,
+    });
+
+    redisClient.defineCommand('adjustStock', {
+      lua: ADJUST_STOCK_SCRIPT,
+    });
+
+    redisClient.defineCommand('setUserCount', {
+      numberOfKeys: 1,
+      lua: SET_USER_COUNT_SCRIPT,
+    });
+
+    redisClient.defineCommand('releaseLock', {
+      numberOfKeys: 1,
+      lua: RELEASE_LOCK_SCRIPT,
+    });
+
+    redisClient.defineCommand('extendLock', {
+      numberOfKeys: 1,
+      lua: EXTEND_LOCK_SCRIPT,
+    });
+
+    redisClient.defineCommand('replaceLock', {
+      numberOfKeys: 1,
+      lua: REPLACE_LOCK_SCRIPT,
+    });
 
     redisClient.on('connect', () => {
       isConnected = true;
@@ -61,33 +496,123 @@ export async function healthCheck() {
   }
 }
 
+// Every key of a sale is sale:{<saleId>}:<name>. In Redis Cluster only the part in braces is hashed,
+// so a sale's stock, user counts, waitlist and claims share one slot and the scripts above may use them together
+function getSaleKey(saleId, name, itemId = null) {
+  const key = `${config.sale.keyPrefix}{${saleId}}:${name}`;
+  return itemId ? `${key}:item:${itemId}` : key;
+}
+
 // Stock management keys
-export function getStockKey(saleId) {
-  return `${config.sale.stockKeyPrefix}${saleId}`;
+// Sales without items keep one stock key; sales with items keep one stock key per item
+export function getStockKey(saleId, itemId = null) {
+  return getSaleKey(saleId, 'stock', itemId);
+}
+
+// Stock buckets of a sharded sale: bucket 0 is the stock key above, bucket i is sale:{<saleId>:<i>}:stock.
+// Each bucket has its own hash tag, so the buckets of a hot sale spread over several cluster slots
+export function getStockBucketKeys(saleId, itemId = null, shards = 1) {
+  const keys = [getStockKey(saleId, itemId)];
+  for (let bucket = 1; bucket < shards; bucket++) {
+    const key = `${config.sale.keyPrefix}{${saleId}:${bucket}}:stock`;
+    keys.push(itemId ? `${key}:item:${itemId}` : key);
+  }
+  return keys;
+}
+
+// Waitlist keys follow the stock key's scope: one waitlist and one set of claims per sale or item
+export function getWaitlistKey(saleId, itemId = null) {
+  return getSaleKey(saleId, 'waitlist', itemId);
+}
+
+export function getClaimsKey(saleId, itemId = null) {
+  return getSaleKey(saleId, 'claims', itemId);
+}
+
+export function getClaimExpiryKey(saleId, itemId = null) {
+  return getSaleKey(saleId, 'claim-expiry', itemId);
 }
 
-export function getUserPurchaseKey(saleId, userId) {
-  return `${config.sale.userPurchaseKeyPrefix}${saleId}:${userId}`;
+// The sale's scopes with outstanding claims; the sales themselves are listed in config.waitlist.claimSalesKey
+export function getClaimScopesKey(saleId) {
+  return getSaleKey(saleId, 'claim-scopes');
+}
+
+// Scope ids in the claim scopes set: "<saleId>" or "<saleId>:<itemId>"
+export function getClaimScopeId(saleId, itemId = null) {
+  return itemId ? `${saleId}:${itemId}` : `${saleId}`;
 }
 
 /**
- * Initialize stock in Redis for a sale
+ * Keys and arguments of the returnUnits Lua helper for a stock scope
  */
-export async function initializeStock(saleId, stock) {
+function getReturnUnitsParams(saleId, itemId) {
+  return {
+    keys: [
+      getStockKey(saleId, itemId),
+      getWaitlistKey(saleId, itemId),
+      getClaimsKey(saleId, itemId),
+      getClaimExpiryKey(saleId, itemId),
+      getClaimScopesKey(saleId),
+      getLimitsKey(saleId),
+    ],
+    args: [
+      Date.now(),
+      config.waitlist.claimSeconds * 1000,
+      getClaimScopeId(saleId, itemId),
+      getUserPurchaseKey(saleId, ''),
+      itemId ? String(itemId) : '',
+    ],
+  };
+}
+
+// Max units per user of the sale ('sale') and of its items ('item:<itemId>', 0 = none), for waitlist promotion
+export function getLimitsKey(saleId) {
+  return getSaleKey(saleId, 'limits');
+}
+
+// Units taken by one purchase gate call, or 'cancelled' (see cancelPurchaseGate)
+export function getGateTokenKey(saleId, gateToken) {
+  return getSaleKey(saleId, `gate:${gateToken}`);
+}
+
+// Sale-level key counts every unit the user bought in the sale, item-level key counts one item
+export function getUserPurchaseKey(saleId, userId, itemId = null) {
+  return getSaleKey(saleId, `user:${userId}`, itemId);
+}
+
+/**
+ * Initialize stock in Redis for a sale (or one of its items), with the purchase limits waitlist promotion checks
+ * With shards > 1 the stock is split evenly over the buckets, the first ones taking the remainder.
+ * Bucket 0 is written last: purchases wait for it, so they never see a half-initialized sale
+ */
+export async function initializeStock(saleId, stock, itemId = null, { shards = 1, maxPerUser = 0, itemMaxPerUser = 0 } = {}) {
   const client = getRedisClient();
-  const key = getStockKey(saleId);
-  await client.set(key, stock);
+  const keys = getStockBucketKeys(saleId, itemId, shards);
+  const limits = { sale: maxPerUser || 0 };
+  if (itemId) {
+    limits[`item:${itemId}`] = itemMaxPerUser || 0;
+  }
+  await client.hset(getLimitsKey(saleId), limits);
+  const share = Math.floor(stock / keys.length);
+  const remainder = stock % keys.length;
+  await Promise.all(keys.slice(1).map((key, index) => client.set(key, index + 1 < remainder ? share + 1 : share)));
+  await client.set(keys[0], remainder > 0 ? share + 1 : share);
   return stock;
 }
 
 /**
- * Get current stock from Redis
+ * Get current stock from Redis (the sum of the buckets for sharded sales)
  */
-export async function getStock(saleId) {
+export async function getStock(saleId, itemId = null, { shards = 1 } = {}) {
   const client = getRedisClient();
-  const key = getStockKey(saleId);
-  const stock = await client.get(key);
-  return stock !== null ? parseInt(stock, 10) : null;
+  const keys = getStockBucketKeys(saleId, itemId, shards);
+  const values = await observe(redisDuration, { operation: 'get_stock' }, () => Promise.all(keys.map((key) => client.get(key))));
+  const present = values.filter((value) => value !== null);
+  if (present.length === 0) {
+    return null;
+  }
+  return present.reduce((sum, value) => sum + parseInt(value, 10), 0);
 }
 
 /**
@@ -96,17 +621,46 @@ export async function getStock(saleId) {
 export async function hasUserPurchased(saleId, userId) {
   const client = getRedisClient();
   const key = getUserPurchaseKey(saleId, userId);
-  const exists = await client.exists(key);
+  const exists = await observe(redisDuration, { operation: 'has_purchased' }, () => client.exists(key));
   return exists === 1;
 }
 
 /**
- * Mark user as purchased in Redis
+ * Get how many units a user has bought (from Redis)
  */
-export async function markUserPurchased(saleId, userId) {
+export async function getUserPurchasedQuantity(saleId, userId, itemId = null) {
   const client = getRedisClient();
-  const key = getUserPurchaseKey(saleId, userId);
-  await client.set(key, '1', 'EX', config.sale.userPurchaseExpiry);
+  const key = getUserPurchaseKey(saleId, userId, itemId);
+  const quantity = await observe(redisDuration, { operation: 'get_user_quantity' }, () => client.get(key));
+  return quantity !== null ? parseInt(quantity, 10) : 0;
+}
+
+/**
+ * Set how many units a user has bought in Redis (used by recovery)
+ */
+export async function setUserPurchasedQuantity(saleId, userId, quantity, itemId = null) {
+  const client = getRedisClient();
+  const key = getUserPurchaseKey(saleId, userId, itemId);
+  await client.set(key, quantity, 'EX', config.sale.userPurchaseExpiry);
+}
+
+/**
+ * Set many user purchase counts of a sale in pipelined batches (used by recovery)
+ * entries: [{ userId, itemId, quantity }], itemId null for sale-level counts
+ */
+export async function setUserPurchasedQuantities(saleId, entries) {
+  const client = getRedisClient();
+  for (let i = 0; i < entries.length; i += 1000) {
+    const pipeline = client.pipeline();
+    for (const { userId, itemId, quantity } of entries.slice(i, i + 1000)) {
+      pipeline.set(getUserPurchaseKey(saleId, userId, itemId), quantity, 'EX', config.sale.userPurchaseExpiry);
+    }
+    const results = await pipeline.exec();
+    const failed = results.find(([error]) => error);
+    if (failed) {
+      throw failed[0];
+    }
+  }
 }
 
 /**
@@ -119,15 +673,317 @@ export async function removeUserPurchaseMark(saleId, userId) {
 }
 
 /**
- * Atomic stock decrement - THE CRITICAL OPERATION
- * Returns the new stock value after decrement
- * If result is < 0, we need to rollback
+ * Keys the purchase gate counts a user's units against
  */
-export async function decrementStock(saleId) {
+function getGateUserKeys(saleId, userId, itemId) {
+  const keys = [getUserPurchaseKey(saleId, userId)];
+  if (itemId) {
+    keys.push(getUserPurchaseKey(saleId, userId, itemId));
+  }
+  return keys;
+}
+
+/**
+ * Atomic purchase gate - THE CRITICAL OPERATION
+ * Checks the user's allowance, checks stock, decrements it by quantity and adds to the
+ * user's counts in one script, so stock never goes negative and no rollback is needed on rejection.
+ * A waitlist claim held by the user is used before the open stock.
+ * gateToken identifies the call, so cancelPurchaseGate can undo it when its answer never arrives
+ */
+export async function attemptPurchase(saleId, userId, quantity, { maxPerUser, itemId = null, itemMaxPerUser = null, shards = 1, gateToken }) {
+  if (shards > 1) {
+    return attemptShardedPurchase(saleId, userId, quantity, { maxPerUser, itemId, itemMaxPerUser, shards, gateToken });
+  }
   const client = getRedisClient();
-  const key = getStockKey(saleId);
-  const newStock = await client.decr(key);
-  return newStock;
+  const keys = [
+    getStockKey(saleId, itemId),
+    getClaimsKey(saleId, itemId),
+    getClaimExpiryKey(saleId, itemId),
+    getGateTokenKey(saleId, gateToken),
+    ...getGateUserKeys(saleId, userId, itemId),
+  ];
+  const [result, remainingStock, remainingAllowance, claimedUnits] = await observe(redisDuration, { operation: 'purchase_gate' }, () => (
+    client.purchaseGate(
+      keys.length,
+      ...keys,
+      quantity,
+      maxPerUser,
+      config.sale.userPurchaseExpiry,
+      itemMaxPerUser || 0,
+      userId,
+      Date.now(),
+      config.redisBreaker.gateTokenTtlSeconds
+    )
+  ));
+  return { result, remainingStock, remainingAllowance, claimedUnits };
+}
+
+/**
+ * Purchase gate for sharded sales
+ * The allowance is reserved in the sale's slot first, then units are taken from the buckets,
+ * starting at a random one and moving on while it comes up short. Each take is atomic and never
+ * goes below zero, so the buckets can never hand out more than the stock. When they cannot cover
+ * the purchase, the gate token was cancelled meanwhile, or a take fails before the units are recorded
+ * under the token, the taken units go back to their buckets and the reservation is undone.
+ */
+async function attemptShardedPurchase(saleId, userId, quantity, { maxPerUser, itemId, itemMaxPerUser, shards, gateToken }) {
+  const client = getRedisClient();
+  const userKeys = getGateUserKeys(saleId, userId, itemId);
+  const gateTokenKey = getGateTokenKey(saleId, gateToken);
+  const reserveKeys = [getStockKey(saleId, itemId), getClaimsKey(saleId, itemId), getClaimExpiryKey(saleId, itemId), gateTokenKey, ...userKeys];
+
+  return observe(redisDuration, { operation: 'purchase_gate' }, async () => {
+    const [result, remainingAllowance, claimedUnits, claimExpiresAt] = await client.reserveAllowance(
+      reserveKeys.length,
+      ...reserveKeys,
+      quantity,
+      maxPerUser,
+      config.sale.userPurchaseExpiry,
+      itemMaxPerUser || 0,
+      userId,
+      Date.now(),
+      config.redisBreaker.gateTokenTtlSeconds
+    );
+    if (result !== GateResult.SUCCESS) {
+      return { result, remainingStock: null, remainingAllowance, claimedUnits: 0 };
+    }
+
+    const undo = async (taken) => {
+      await Promise.all(taken.map(([key, units]) => client.incrby(key, units)));
+      const undoKeys = [getClaimsKey(saleId, itemId), getClaimExpiryKey(saleId, itemId), getClaimScopesKey(saleId), ...userKeys];
+      await client.undoReserve(undoKeys.length, ...undoKeys, quantity, claimedUnits, claimExpiresAt, userId, getClaimScopeId(saleId, itemId));
+      if (claimedUnits > 0) {
+        await markSaleHasClaims(saleId);
+      }
+    };
+
+    const buckets = getStockBucketKeys(saleId, itemId, shards);
+    const start = Math.floor(Math.random() * buckets.length);
+    const taken = [];
+    let needed = quantity - claimedUnits;
+    let recorded = false;
+
+    try {
+      for (let i = 0; i < buckets.length && needed > 0; i++) {
+        const key = buckets[(start + i) % buckets.length];
+        const [units] = await client.takeStock(key, needed);
+        if (units > 0) {
+          taken.push([key, units]);
+          needed -= units;
+        }
+      }
+
+      // Recorded only if the token was not cancelled while the buckets were taken
+      if (needed === 0) {
+        recorded = await client.set(gateTokenKey, quantity, 'EX', config.redisBreaker.gateTokenTtlSeconds, 'NX');
+      }
+    } catch (error) {
+      // The caller cancels a failed call by its token, which gives the units back only if the token
+      // recorded them; otherwise they are undone here. Unknown when the token cannot be read either
+      let recordedUnits;
+      try {
+        recordedUnits = await client.get(gateTokenKey);
+      } catch {
+        throw error;
+      }
+      if (recordedUnits === null || recordedUnits === 'cancelled') {
+        await undo(taken);
+      }
+      throw error;
+    }
+
+    if (needed > 0) {
+      await undo(taken);
+
+      const remainingStock = quantity - claimedUnits - needed;
+      return {
+        result: remainingStock > 0 ? GateResult.INSUFFICIENT_STOCK : GateResult.SOLD_OUT,
+        remainingStock,
+        remainingAllowance: remainingAllowance + quantity,
+        claimedUnits: 0,
+      };
+    }
+
+    if (!recorded) {
+      await undo(taken);
+      return { result: GateResult.CANCELLED, remainingStock: null, remainingAllowance: 0, claimedUnits: 0 };
+    }
+
+    return {
+      result: GateResult.SUCCESS,
+      remainingStock: await getStock(saleId, itemId, { shards }),
+      remainingAllowance,
+      claimedUnits,
+    };
+  });
+}
+
+/**
+ * Give back units taken by attemptPurchase (e.g. when the DB write fails or an order is cancelled)
+ * The units go to waitlisted users as claims first, then back to the open stock.
+ * Optionally gives the units back to the user's allowance so the user can try again
+ */
+export async function releasePurchase(saleId, userId, quantity, { itemId = null, restoreAllowance = true } = {}) {
+  const client = getRedisClient();
+  const { keys, args } = getReturnUnitsParams(saleId, itemId);
+  keys.push(...getGateUserKeys(saleId, userId, itemId));
+  const [stock, promoted] = await observe(redisDuration, { operation: 'release' }, () => (
+    client.releasePurchase(
+      keys.length,
+      ...keys,
+      ...args,
+      quantity,
+      restoreAllowance ? '1' : '0'
+    )
+  ));
+  if (promoted > 0) {
+    await markSaleHasClaims(saleId);
+  }
+  return { stock, promoted };
+}
+
+/**
+ * Cancel a purchase gate call by its token, when the caller does not know whether it ran
+ * Units the call took are released (waitlist first, allowance included); a call that has not
+ * reached Redis yet is refused when it does. Safe to repeat.
+ * Returns the number of units released
+ */
+export async function cancelPurchaseGate(saleId, userId, gateToken, { itemId = null } = {}) {
+  const client = getRedisClient();
+  const { keys, args } = getReturnUnitsParams(saleId, itemId);
+  keys.push(getGateTokenKey(saleId, gateToken), ...getGateUserKeys(saleId, userId, itemId));
+  const [units, promoted] = await observe(redisDuration, { operation: 'cancel_gate' }, () => (
+    client.cancelGate(
+      keys.length,
+      ...keys,
+      ...args,
+      config.redisBreaker.gateTokenTtlSeconds
+    )
+  ));
+  if (promoted > 0) {
+    await markSaleHasClaims(saleId);
+  }
+  return units;
+}
+
+/**
+ * List a sale for the claim sweeper once its scopes set has claims
+ * The sweeper's list is a global key in another slot, so this is a separate call after the script
+ */
+export async function markSaleHasClaims(saleId) {
+  const client = getRedisClient();
+  await client.sadd(config.waitlist.claimSalesKey, saleId);
+}
+
+/**
+ * Take back expired waitlist claims of a stock scope and pass their units on
+ */
+export async function expireClaims(saleId, itemId = null) {
+  const client = getRedisClient();
+  const { keys, args } = getReturnUnitsParams(saleId, itemId);
+  const [expiredClaims, units, promoted] = await client.expireClaims(keys.length, ...keys, ...args);
+  return { expiredClaims, units, promoted };
+}
+
+/**
+ * Scopes of a sale with outstanding claims: "<saleId>" or "<saleId>:<itemId>"
+ */
+export async function getClaimScopes(saleId) {
+  const client = getRedisClient();
+  return client.smembers(getClaimScopesKey(saleId));
+}
+
+/**
+ * Take a sale off the sweeper's list once it has no claims left
+ * Removing first and re-adding when claims remain means a claim added meanwhile by
+ * releasePurchase (script, then markSaleHasClaims) can never be dropped from the list
+ */
+export async function unmarkSaleIfNoClaims(saleId) {
+  const client = getRedisClient();
+  await client.srem(config.waitlist.claimSalesKey, saleId);
+  if (await client.scard(getClaimScopesKey(saleId)) > 0) {
+    await markSaleHasClaims(saleId);
+  }
+}
+
+/**
+ * Units of a stock scope held as waitlist claims (taken out of the stock, not ordered yet)
+ * Expired claims the sweeper has not taken back yet still count
+ */
+export async function getClaimedUnits(saleId, itemId = null) {
+  const client = getRedisClient();
+  const units = await client.hvals(getClaimsKey(saleId, itemId));
+  return units.reduce((sum, value) => sum + parseInt(value, 10), 0);
+}
+
+/**
+ * Correct a stock scope by units (negative to remove); added units serve the waitlist first
+ * Returns { stock, promoted }, or null when the stock key is missing
+ */
+export async function adjustStock(saleId, units, itemId = null) {
+  const client = getRedisClient();
+  const { keys, args } = getReturnUnitsParams(saleId, itemId);
+  const adjusted = await client.adjustStock(keys.length, ...keys, ...args, units);
+  if (!adjusted) {
+    return null;
+  }
+  const [stock, promoted] = adjusted;
+  if (promoted > 0) {
+    await markSaleHasClaims(saleId);
+  }
+  return { stock, promoted };
+}
+
+/**
+ * Every user purchase count of a sale in Redis
+ * Returns [{ userId, itemId, quantity }], itemId null for sale-level counts
+ */
+export async function getUserPurchaseCounts(saleId) {
+  const client = getRedisClient();
+  const prefix = getUserPurchaseKey(saleId, '');
+  const keys = await scanKeys(`${prefix}*`);
+  const counts = [];
+
+  // The keys share the sale's slot, so a multi-key MGET is valid in Cluster mode
+  for (let i = 0; i < keys.length; i += 500) {
+    const batch = keys.slice(i, i + 500);
+    const values = await client.mget(...batch);
+    batch.forEach((key, index) => {
+      if (values[index] === null) {
+        return;
+      }
+      const [, userId, itemId] = /^(.+?)(?::item:(\d+))?$/.exec(key.slice(prefix.length));
+      counts.push({ userId, itemId: itemId ? parseInt(itemId, 10) : null, quantity: parseInt(values[index], 10) });
+    });
+  }
+  return counts;
+}
+
+/**
+ * Set user purchase counts that still hold the value read before (used by the reconciler)
+ * entries: [{ userId, itemId, from, to }]; a count of 0 deletes the key
+ * Returns the entries that were set; the others changed in the meantime
+ */
+export async function setUserPurchaseCountsIfUnchanged(saleId, entries) {
+  const client = getRedisClient();
+  const applied = [];
+  for (let i = 0; i < entries.length; i += 1000) {
+    const batch = entries.slice(i, i + 1000);
+    const pipeline = client.pipeline();
+    for (const { userId, itemId, from, to } of batch) {
+      pipeline.setUserCount(getUserPurchaseKey(saleId, userId, itemId), from, to, config.sale.userPurchaseExpiry);
+    }
+    const results = await pipeline.exec();
+    results.forEach(([error, set], index) => {
+      if (error) {
+        throw error;
+      }
+      if (set === 1) {
+        applied.push(batch[index]);
+      }
+    });
+  }
+  return applied;
 }
 
 /**
@@ -140,34 +996,153 @@ export async function incrementStock(saleId) {
   return newStock;
 }
 
+/**
+ * Find keys matching a pattern without blocking Redis (SCAN, unlike KEYS)
+ * In Cluster mode every master is scanned, since each one holds only its own slots
+ */
+async function scanKeys(pattern) {
+  const client = getRedisClient();
+  const nodes = isClusterMode() ? client.nodes('master') : [client];
+  const keys = [];
+
+  for (const node of nodes) {
+    let cursor = '0';
+    do {
+      const [nextCursor, batch] = await node.scan(cursor, 'MATCH', pattern, 'COUNT', 1000);
+      cursor = nextCursor;
+      keys.push(...batch);
+    } while (cursor !== '0');
+  }
+
+  return keys;
+}
+
+/**
+ * Delete keys of one sale in batches (they share a slot, so a multi-key UNLINK is valid in Cluster mode)
+ */
+async function unlinkKeys(keys) {
+  const client = getRedisClient();
+  for (let i = 0; i < keys.length; i += 500) {
+    await client.unlink(...keys.slice(i, i + 500));
+  }
+}
+
 /**
  * Reset all sale-related keys (for testing)
+ * Stock (sale and items), user purchase counts, waitlists and claims all live under the sale's hash tag;
+ * the extra stock buckets of a sharded sale each have their own tag, so they are deleted one by one
  */
 export async function resetSaleKeys(saleId) {
   const client = getRedisClient();
-  const stockKey = getStockKey(saleId);
-  
-  // Delete stock key
-  await client.del(stockKey);
-  
-  // Delete all user purchase keys for this sale
-  const pattern = `${config.sale.userPurchaseKeyPrefix}${saleId}:*`;
-  const keys = await client.keys(pattern);
+  const keys = await scanKeys(`${config.sale.keyPrefix}{${saleId}}:*`);
+  await unlinkKeys(keys);
+  for (const bucketKey of await scanKeys(`${config.sale.keyPrefix}{${saleId}:*`)) {
+    await client.unlink(bucketKey);
+  }
+  await client.srem(config.waitlist.claimSalesKey, saleId);
+}
+
+/**
+ * Delete the stock keys (every bucket) of a sale or of its items
+ * Purchases of the sale answer UNAVAILABLE until initializeStock writes them again
+ */
+export async function deleteStockKeys(saleId, itemIds = [], { shards = 1 } = {}) {
+  const client = getRedisClient();
+  const scopes = itemIds.length > 0 ? itemIds : [null];
+  for (const itemId of scopes) {
+    // Buckets have their own hash tags, so they are deleted one by one
+    for (const key of getStockBucketKeys(saleId, itemId, shards)) {
+      await client.unlink(key);
+    }
+  }
+}
+
+/**
+ * Whether every stock key (every bucket) of a sale or of each of its items exists
+ */
+export async function hasStockKeys(saleId, itemIds = [], { shards = 1 } = {}) {
+  const client = getRedisClient();
+  const scopes = itemIds.length > 0 ? itemIds : [null];
+  for (const itemId of scopes) {
+    // Buckets have their own hash tags, so they are checked one by one
+    for (const key of getStockBucketKeys(saleId, itemId, shards)) {
+      if (!(await client.exists(key))) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * Drop every outstanding waitlist claim of a sale (claims, claim expiries and the claim scopes set)
+ * Used when the stock is rebuilt from the DB, which already counts the claimed units as open stock
+ */
+export async function resetClaimKeys(saleId) {
+  const client = getRedisClient();
+  const keys = await scanKeys(`${getSaleKey(saleId, 'claim')}*`);
   if (keys.length > 0) {
-    await client.del(...keys);
+    await unlinkKeys(keys);
   }
+  await client.srem(config.waitlist.claimSalesKey, saleId);
+}
+
+/**
+ * Put a TTL on every key of a sale (used when the sale closes)
+ * Keys under the sale's hash tag share a slot and go in one pipeline; stock buckets have their own
+ */
+export async function expireSaleKeys(saleId, ttlSeconds) {
+  const client = getRedisClient();
+  const keys = await scanKeys(`${config.sale.keyPrefix}{${saleId}}:*`);
+  for (let i = 0; i < keys.length; i += 500) {
+    const pipeline = client.pipeline();
+    for (const key of keys.slice(i, i + 500)) {
+      pipeline.expire(key, ttlSeconds);
+    }
+    await pipeline.exec();
+  }
+  const bucketKeys = await scanKeys(`${config.sale.keyPrefix}{${saleId}:*`);
+  for (const key of bucketKeys) {
+    await client.expire(key, ttlSeconds);
+  }
+  return keys.length + bucketKeys.length;
 }
 
 /**
  * Delete all user purchase keys for a specific sale
  */
 export async function deleteUserPurchaseKeys(saleId) {
-  const client = getRedisClient();
-  const pattern = `${config.sale.userPurchaseKeyPrefix}${saleId}:*`;
-  const keys = await client.keys(pattern);
+  const keys = await scanKeys(`${getUserPurchaseKey(saleId, '')}*`);
   if (keys.length > 0) {
-    await client.del(...keys);
+    await unlinkKeys(keys);
     console.log(`Deleted ${keys.length} user purchase keys for sale ${saleId}`);
   }
   return keys.length;
 }
+
+/**
+ * Take a lock shared by all instances (SET NX with a TTL)
+ * Returns the token needed to extend or release it, or null when another instance holds it
+ */
+export async function acquireLock(name, ttlMs) {
+  const client = getRedisClient();
+  const token = randomUUID();
+  const acquired = await client.set(`${config.locks.keyPrefix}${name}`, token, 'PX', ttlMs, 'NX');
+  return acquired ? token : null;
+}
+
+/**
+ * Extend a lock we hold; false when it expired and may have been taken by another instance
+ */
+export async function extendLock(name, token, ttlMs) {
+  const client = getRedisClient();
+  return (await client.extendLock(`${config.locks.keyPrefix}${name}`, token, ttlMs)) === 1;
+}
+
+/**
+ * Release a lock we hold
+ */
+export async function releaseLock(name, token) {
+  const client = getRedisClient();
+  await client.releaseLock(`${config.locks.keyPrefix}${name}`, token);
+}
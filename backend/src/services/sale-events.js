@@ -0,0 +1,297 @@
+import * as redisService from './redis.js';
+import * as saleService from './sale.js';
+import * as webhookService from './webhook.js';
+import { config } from '../config/index.js';
+
+// Events sent to SSE clients on GET /sale/:saleId/events
+export const SaleEventType = {
+  SNAPSHOT: 'snapshot', // full sale status, sent on connect and after an admin change
+  STOCK: 'stock',
+  STATUS: 'status', // UPCOMING -> ACTIVE -> ENDED
+  SOLD_OUT: 'sold-out',
+};
+
+// Messages exchanged between instances over Redis pub/sub
+const BusMessage = {
+  STOCK: 'stock',
+  SALE_UPDATED: 'sale-updated',
+};
+
+// Publisher side: sales whose stock changed since the last flush
+const dirtySales = new Set();
+let flushTimer = null;
+
+// Subscriber side: sales with open streams on this instance
+// saleId -> { clients, sale, status, soldOut, pendingStock, stockTimer, lastStockAt }
+const watchedSales = new Map();
+let subscriber = null;
+let statusTimer = null;
+let heartbeatTimer = null;
+
+function getChannel(saleId) {
+  return `${config.saleEvents.channelPrefix}${saleId}`;
+}
+
+async function publish(saleId, message) {
+  const client = redisService.getRedisClient();
+  await client.publish(getChannel(saleId), JSON.stringify(message));
+}
+
+/**
+ * Note that a sale's stock changed
+ * Changes are coalesced and published at most once per throttle window, so a burst of
+ * purchases costs one stock read and one publish instead of one per purchase
+ */
+export function markStockChanged(saleId) {
+  dirtySales.add(saleId);
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushStockChanges, config.saleEvents.stockThrottleMs);
+  }
+}
+
+async function flushStockChanges() {
+  const saleIds = [...dirtySales];
+  dirtySales.clear();
+
+  for (const saleId of saleIds) {
+    try {
+      const status = await saleService.getSaleStatusResponse(saleId);
+      if (status.status === 'NOT_FOUND') {
+        continue;
+      }
+
+      await publish(saleId, {
+        type: BusMessage.STOCK,
+        saleId,
+        remainingStock: status.remainingStock,
+        items: status.items.map((item) => ({
+          itemId: item.itemId,
+          remainingStock: item.remainingStock,
+        })),
+      });
+
+      if (status.remainingStock <= 0) {
+        // Every instance that sells the last unit may emit this; the dispatcher delivers it once per
+        // stock version, so a sale that is reset or restocked and sells out again is announced again
+        const sale = await saleService.getSaleById(saleId);
+        webhookService.emitEvent(webhookService.WebhookEventType.SALE_SOLD_OUT, `${saleId}:${sale.stock_version}`, {
+          saleId,
+          name: status.name,
+          totalStock: status.totalStock,
+        });
+      }
+    } catch (error) {
+      console.error(`Failed to publish stock for sale ${saleId}:`, error.message);
+    }
+  }
+
+  flushTimer = null;
+  // Changes marked while this flush was running go out in the next window
+  if (dirtySales.size > 0) {
+    flushTimer = setTimeout(flushStockChanges, config.saleEvents.stockThrottleMs);
+  }
+}
+
+/**
+ * Tell every instance that an admin changed a sale (times, stock, limits, reset or delete)
+ * Streams receive a fresh snapshot. Failures are logged, the admin change itself already succeeded.
+ */
+export async function publishSaleUpdated(saleId) {
+  try {
+    await publish(saleId, { type: BusMessage.SALE_UPDATED, saleId });
+  } catch (error) {
+    console.error(`Failed to publish update for sale ${saleId}:`, error.message);
+  }
+}
+
+function writeEvent(stream, type, data) {
+  stream.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcast(entry, type, data) {
+  for (const stream of entry.clients) {
+    writeEvent(stream, type, data);
+  }
+}
+
+// Keep the times used for status transitions and the sold-out flag in line with a snapshot
+function applySnapshot(entry, snapshot) {
+  entry.sale = { start_time: snapshot.startTime, end_time: snapshot.endTime };
+  entry.status = snapshot.status;
+  entry.soldOut = snapshot.remainingStock <= 0;
+}
+
+function getSubscriber() {
+  if (!subscriber) {
+    // A subscribed connection cannot run other commands, so it gets its own
+    subscriber = redisService.getRedisClient().duplicate();
+
+    subscriber.on('message', (channel, message) => {
+      handleMessage(channel, message).catch((error) => {
+        console.error(`Failed to handle sale event on ${channel}:`, error.message);
+      });
+    });
+
+    subscriber.on('error', (err) => {
+      console.error('Sale events subscriber error:', err.message);
+    });
+  }
+  return subscriber;
+}
+
+async function handleMessage(channel, message) {
+  const saleId = parseInt(channel.slice(config.saleEvents.channelPrefix.length), 10);
+  const entry = watchedSales.get(saleId);
+  if (!entry) {
+    return;
+  }
+
+  const payload = JSON.parse(message);
+
+  if (payload.type === BusMessage.STOCK) {
+    queueStockEvent(entry, payload);
+    return;
+  }
+
+  if (payload.type === BusMessage.SALE_UPDATED) {
+    const snapshot = await saleService.getSaleStatusResponse(saleId);
+    if (snapshot.status === 'NOT_FOUND') {
+      // The sale was deleted
+      broadcast(entry, SaleEventType.STATUS, { saleId, status: 'NOT_FOUND', previousStatus: entry.status });
+      for (const stream of entry.clients) {
+        stream.end();
+      }
+      return;
+    }
+
+    applySnapshot(entry, snapshot);
+    broadcast(entry, SaleEventType.SNAPSHOT, snapshot);
+  }
+}
+
+/**
+ * Forward stock to this instance's streams, at most once per throttle window
+ * Every instance publishes its own coalesced changes, so only the latest value in a window is sent
+ */
+function queueStockEvent(entry, stock) {
+  entry.pendingStock = stock;
+  if (entry.stockTimer) {
+    return;
+  }
+
+  const wait = Math.max(0, entry.lastStockAt + config.saleEvents.stockThrottleMs - Date.now());
+  entry.stockTimer = setTimeout(() => {
+    const latest = entry.pendingStock;
+    entry.stockTimer = null;
+    entry.pendingStock = null;
+    entry.lastStockAt = Date.now();
+
+    broadcast(entry, SaleEventType.STOCK, latest);
+
+    const soldOut = latest.remainingStock <= 0;
+    if (soldOut && !entry.soldOut) {
+      broadcast(entry, SaleEventType.SOLD_OUT, { saleId: latest.saleId });
+    }
+    entry.soldOut = soldOut;
+  }, wait);
+}
+
+// Status transitions are time based, so each instance detects them for its own streams
+function checkStatusTransitions() {
+  for (const [saleId, entry] of watchedSales) {
+    const status = saleService.getSaleStatus(entry.sale);
+    if (status !== entry.status) {
+      broadcast(entry, SaleEventType.STATUS, { saleId, status, previousStatus: entry.status });
+      entry.status = status;
+    }
+  }
+}
+
+function sendHeartbeats() {
+  for (const entry of watchedSales.values()) {
+    for (const stream of entry.clients) {
+      stream.write(': ping\n\n');
+    }
+  }
+}
+
+/**
+ * Attach an SSE stream to a sale
+ * The snapshot is sent first; returns a function that detaches the stream.
+ * Throws when the sale's channel cannot be subscribed; the sale is then forgotten, so the next stream subscribes again
+ */
+export async function watchSale(saleId, stream, snapshot) {
+  let entry = watchedSales.get(saleId);
+  if (!entry) {
+    const created = {
+      clients: new Set(),
+      pendingStock: null,
+      stockTimer: null,
+      lastStockAt: 0,
+    };
+    applySnapshot(created, snapshot);
+    // Streams that attach while the subscribe is in flight wait for it as well
+    created.subscribed = getSubscriber().subscribe(getChannel(saleId)).catch((error) => {
+      if (watchedSales.get(saleId) === created) {
+        watchedSales.delete(saleId);
+      }
+      throw error;
+    });
+    watchedSales.set(saleId, created);
+    entry = created;
+  }
+  await entry.subscribed;
+
+  if (!statusTimer) {
+    statusTimer = setInterval(checkStatusTransitions, config.saleEvents.statusCheckIntervalMs);
+    heartbeatTimer = setInterval(sendHeartbeats, config.saleEvents.heartbeatMs);
+  }
+
+  entry.clients.add(stream);
+  writeEvent(stream, SaleEventType.SNAPSHOT, snapshot);
+
+  return () => unwatchSale(saleId, stream);
+}
+
+function unwatchSale(saleId, stream) {
+  const entry = watchedSales.get(saleId);
+  if (!entry || !entry.clients.delete(stream) || entry.clients.size > 0) {
+    return;
+  }
+
+  clearTimeout(entry.stockTimer);
+  watchedSales.delete(saleId);
+  getSubscriber().unsubscribe(getChannel(saleId)).catch((error) => {
+    console.error(`Failed to unsubscribe from sale ${saleId} events:`, error.message);
+  });
+
+  if (watchedSales.size === 0) {
+    clearInterval(statusTimer);
+    clearInterval(heartbeatTimer);
+    statusTimer = null;
+    heartbeatTimer = null;
+  }
+}
+
+/**
+ * Close every open stream and the subscriber connection
+ * Open streams would otherwise keep the HTTP server from closing
+ */
+export async function closeSaleEvents() {
+  for (const entry of watchedSales.values()) {
+    clearTimeout(entry.stockTimer);
+    for (const stream of entry.clients) {
+      stream.end();
+    }
+  }
+  watchedSales.clear();
+  clearInterval(statusTimer);
+  clearInterval(heartbeatTimer);
+  statusTimer = null;
+  heartbeatTimer = null;
+
+  if (subscriber) {
+    await subscriber.quit();
+    subscriber = null;
+  }
+}
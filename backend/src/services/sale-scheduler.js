@@ -0,0 +1,125 @@
+import { query } from '../db/postgres.js';
+import * as redisService from './redis.js';
+import * as saleService from './sale.js';
+import * as saleEvents from './sale-events.js';
+import { config } from '../config/index.js';
+
+const SCHEDULER_LOCK = 'sale-scheduler';
+
+let tickTimer = null;
+let tickInProgress = false;
+
+/**
+ * Sales with a transition due: ended and not closed, closed but extended, or starting
+ * within the pre-warm lead and not pre-warmed yet
+ */
+async function getDueSales() {
+  const result = await query(
+    `SELECT id,
+       CASE
+         WHEN closed_at IS NULL AND end_time <= NOW() THEN 'close'
+         WHEN closed_at IS NOT NULL AND end_time > NOW() THEN 'reopen'
+         ELSE 'prewarm'
+       END as transition
+     FROM flash_sale
+     WHERE (closed_at IS NULL AND end_time <= NOW())
+        OR (closed_at IS NOT NULL AND end_time > NOW())
+        OR (closed_at IS NULL AND prewarmed_at IS NULL AND start_time <= NOW() + make_interval(secs => $1))
+     ORDER BY id`,
+    [config.saleLifecycle.prewarmLeadSeconds]
+  );
+  return result.rows;
+}
+
+async function runTransition(saleId, transition) {
+  if (transition === 'close') {
+    const closed = await saleService.closeSale(saleId);
+    if (closed) {
+      const soldOut = closed.soldOutAt ? `, sold out at ${new Date(closed.soldOutAt).toISOString()}` : '';
+      console.log(`Closed sale ${saleId}: final stock ${closed.finalStock}${soldOut}`);
+    }
+    return Boolean(closed);
+  }
+
+  if (transition === 'reopen') {
+    const reopened = await saleService.reopenSale(saleId);
+    if (reopened) {
+      console.log(`Reopened sale ${saleId}: its end time was moved into the future`);
+    }
+    return reopened;
+  }
+
+  const prewarmed = await saleService.prewarmSale(saleId);
+  if (prewarmed) {
+    console.log(`Pre-warmed sale ${saleId}`);
+  }
+  return prewarmed;
+}
+
+/**
+ * Run every due lifecycle transition once, on whichever instance holds the scheduler lock
+ * A sale whose transition fails is retried on the next tick
+ */
+export async function runLifecycleTick() {
+  const token = await redisService.acquireLock(SCHEDULER_LOCK, config.saleLifecycle.lockTtlMs);
+  if (!token) {
+    return;
+  }
+
+  try {
+    const dueSales = await getDueSales();
+    for (const { id, transition } of dueSales) {
+      try {
+        if (await runTransition(id, transition)) {
+          await saleEvents.publishSaleUpdated(id);
+        }
+      } catch (error) {
+        console.error(`Sale ${id} ${transition} failed:`, error.message);
+      }
+      if (!(await redisService.extendLock(SCHEDULER_LOCK, token, config.saleLifecycle.lockTtlMs))) {
+        console.warn('Sale scheduler lock expired, leaving the remaining sales to the next tick');
+        return;
+      }
+    }
+  } finally {
+    await redisService.releaseLock(SCHEDULER_LOCK, token);
+  }
+}
+
+async function tick() {
+  // Skip a tick rather than overlapping a slow one
+  if (tickInProgress) {
+    return;
+  }
+  tickInProgress = true;
+  try {
+    await runLifecycleTick();
+  } catch (error) {
+    console.error('Sale lifecycle tick failed:', error.message);
+  } finally {
+    tickInProgress = false;
+  }
+}
+
+/**
+ * Start the background lifecycle scheduler
+ * The first tick runs right away, catching up on transitions missed while no instance was running
+ */
+export function startSaleScheduler() {
+  if (tickTimer) {
+    return;
+  }
+
+  tickTimer = setInterval(tick, config.saleLifecycle.tickMs);
+  tick();
+}
+
+/**
+ * Stop the background lifecycle scheduler
+ */
+export function stopSaleScheduler() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+}
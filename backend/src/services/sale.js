@@ -1,5 +1,8 @@
-import { query } from '../db/postgres.js';
+import { query, getClient } from '../db/postgres.js';
 import * as redisService from './redis.js';
+import * as auditService from './audit.js';
+import * as redisBreaker from './redis-breaker.js';
+import { HOLDING_STATUSES } from './order.js';
 import { config } from '../config/index.js';
 
 /**
@@ -7,18 +10,48 @@ import { config } from '../config/index.js';
  */
 export async function getSaleById(saleId) {
   const result = await query(
-    'SELECT id, name, start_time, end_time, total_stock, created_at FROM flash_sale WHERE id = $1',
+    `SELECT id, name, start_time, end_time, total_stock, max_per_user, stock_shards, stock_version, created_at,
+       prewarmed_at, closed_at, final_stock, sold_out_at,
+       (SELECT COUNT(*) FROM sale_items si WHERE si.sale_id = flash_sale.id)::int as item_count
+     FROM flash_sale WHERE id = $1`,
     [saleId]
   );
   return result.rows[0] || null;
 }
 
+/**
+ * Get all items (SKUs / variants) of a sale
+ */
+export async function getSaleItems(saleId) {
+  const result = await query(
+    `SELECT id, sale_id, sku, name, total_stock, max_per_user, created_at
+     FROM sale_items
+     WHERE sale_id = $1
+     ORDER BY id`,
+    [saleId]
+  );
+  return result.rows;
+}
+
+/**
+ * Get one item of a sale
+ */
+export async function getSaleItem(saleId, itemId) {
+  const result = await query(
+    `SELECT id, sale_id, sku, name, total_stock, max_per_user, created_at
+     FROM sale_items
+     WHERE sale_id = $1 AND id = $2`,
+    [saleId, itemId]
+  );
+  return result.rows[0] || null;
+}
+
 /**
  * Get active flash sale
  */
 export async function getActiveSale() {
   const result = await query(
-    `SELECT id, name, start_time, end_time, total_stock, created_at 
+    `SELECT id, name, start_time, end_time, total_stock, max_per_user, stock_shards, created_at 
      FROM flash_sale 
      WHERE start_time <= NOW() AND end_time >= NOW()
      ORDER BY id DESC
@@ -56,36 +89,51 @@ export function isSaleActive(sale) {
 }
 
 /**
- * Get remaining stock - tries Redis first, falls back to DB
+ * Get remaining stock of a sale (or one of its items) - tries Redis first, falls back to DB
+ * shards is the sale's stock_shards, so every stock bucket is counted
  */
-export async function getRemainingStock(saleId) {
-  // Try Redis first
-  try {
-    const redisStock = await redisService.getStock(saleId);
-    if (redisStock !== null) {
-      return Math.max(0, redisStock);
+export async function getRemainingStock(saleId, itemId = null, { shards = 1 } = {}) {
+  // Try Redis first, unless the circuit breaker has moved the sale to the DB
+  if (!redisBreaker.usesDatabase(saleId)) {
+    try {
+      const redisStock = await redisService.getStock(saleId, itemId, { shards });
+      if (redisStock !== null) {
+        return Math.max(0, redisStock);
+      }
+    } catch (error) {
+      console.warn('Redis unavailable, falling back to DB for stock:', error.message);
     }
-  } catch (error) {
-    console.warn('Redis unavailable, falling back to DB for stock:', error.message);
   }
   
   // Fallback: Calculate from DB
-  return await calculateRemainingStockFromDB(saleId);
+  return await calculateRemainingStockFromDB(saleId, itemId);
 }
 
 /**
- * Calculate remaining stock from database
+ * Calculate remaining stock of a sale (or one of its items) from database
+ * Pass a transaction client to read inside the caller's transaction
  */
-export async function calculateRemainingStockFromDB(saleId) {
-  const result = await query(
-    `SELECT 
-       fs.total_stock - COALESCE(COUNT(o.id), 0) as remaining_stock
-     FROM flash_sale fs
-     LEFT JOIN orders o ON o.sale_id = fs.id AND o.status = 'SUCCESS'
-     WHERE fs.id = $1
-     GROUP BY fs.id, fs.total_stock`,
-    [saleId]
-  );
+export async function calculateRemainingStockFromDB(saleId, itemId = null, { client = null } = {}) {
+  const executor = client || { query };
+  const result = itemId
+    ? await executor.query(
+      `SELECT 
+         si.total_stock - COALESCE(SUM(o.quantity), 0) as remaining_stock
+       FROM sale_items si
+       LEFT JOIN orders o ON o.item_id = si.id AND o.status = ANY($3)
+       WHERE si.sale_id = $1 AND si.id = $2
+       GROUP BY si.id, si.total_stock`,
+      [saleId, itemId, HOLDING_STATUSES]
+    )
+    : await executor.query(
+      `SELECT 
+         fs.total_stock - COALESCE(SUM(o.quantity), 0) as remaining_stock
+       FROM flash_sale fs
+       LEFT JOIN orders o ON o.sale_id = fs.id AND o.status = ANY($2)
+       WHERE fs.id = $1
+       GROUP BY fs.id, fs.total_stock`,
+      [saleId, HOLDING_STATUSES]
+    );
   
   if (result.rows[0]) {
     return Math.max(0, parseInt(result.rows[0].remaining_stock, 10));
@@ -95,26 +143,47 @@ export async function calculateRemainingStockFromDB(saleId) {
 
 /**
  * Initialize Redis stock from database
+ * Sales with items get one stock key per item, each split over the sale's stock buckets;
+ * returns the total across all keys
  */
 export async function initializeRedisStock(saleId) {
-  const remainingStock = await calculateRemainingStockFromDB(saleId);
-  await redisService.initializeStock(saleId, remainingStock);
-  console.log(`Initialized Redis stock for sale ${saleId}: ${remainingStock}`);
-  return remainingStock;
+  const [sale, items] = await Promise.all([getSaleById(saleId), getSaleItems(saleId)]);
+  const shards = sale ? sale.stock_shards : 1;
+  const maxPerUser = sale ? sale.max_per_user : 0;
+  
+  if (items.length === 0) {
+    const remainingStock = await calculateRemainingStockFromDB(saleId);
+    await redisService.initializeStock(saleId, remainingStock, null, { shards, maxPerUser });
+    console.log(`Initialized Redis stock for sale ${saleId}: ${remainingStock}`);
+    return remainingStock;
+  }
+  
+  let totalRemaining = 0;
+  for (const item of items) {
+    const remainingStock = await calculateRemainingStockFromDB(saleId, item.id);
+    await redisService.initializeStock(saleId, remainingStock, item.id, { shards, maxPerUser, itemMaxPerUser: item.max_per_user });
+    totalRemaining += remainingStock;
+  }
+  console.log(`Initialized Redis stock for sale ${saleId}: ${totalRemaining} across ${items.length} items`);
+  return totalRemaining;
 }
 
 /**
- * Restore user purchase flags from database (stock only)
+ * Restore user purchase counts from database (not stock)
+ * The counts are written in pipelined batches rather than one round trip per user
  */
 export async function completeRedisRecovery(saleId) {
-  // Only restore user purchase flags, not stock
-  const userPurchases = await getSuccessfulUserPurchases(saleId);
-  const restoredUsers = [];
+  // Only restore user purchase counts, not stock
+  const [userPurchases, userItemPurchases] = await Promise.all([
+    getSuccessfulUserPurchases(saleId),
+    getSuccessfulUserItemPurchases(saleId),
+  ]);
+  const restoredUsers = userPurchases.map((purchase) => purchase.user_id);
   
-  for (const purchase of userPurchases) {
-    await redisService.markUserPurchased(saleId, purchase.user_id);
-    restoredUsers.push(purchase.user_id);
-  }
+  await redisService.setUserPurchasedQuantities(saleId, [
+    ...userPurchases.map((purchase) => ({ userId: purchase.user_id, itemId: null, quantity: purchase.quantity })),
+    ...userItemPurchases.map((purchase) => ({ userId: purchase.user_id, itemId: purchase.item_id, quantity: purchase.quantity })),
+  ]);
   
   console.log(`User purchase recovery for sale ${saleId}:`);
   console.log(`- User purchases restored: ${restoredUsers.length}`);
@@ -126,17 +195,249 @@ export async function completeRedisRecovery(saleId) {
 }
 
 /**
- * Get all successful user purchases for a sale
+ * Rebuild a sale's Redis state from the database: stock, user counts, and no waitlist claims
+ * (the stock computed from the orders already has their units).
+ * The stock keys are removed first and written last, so purchases of the sale wait (UNAVAILABLE)
+ * until the user counts they are checked against are back
+ */
+export async function rebuildRedisFromDB(saleId) {
+  const [sale, items] = await Promise.all([getSaleById(saleId), getSaleItems(saleId)]);
+  if (!sale) {
+    return 0;
+  }
+  
+  await redisService.deleteStockKeys(saleId, items.map((item) => item.id), { shards: sale.stock_shards });
+  await redisService.resetClaimKeys(saleId);
+  await redisService.deleteUserPurchaseKeys(saleId);
+  await completeRedisRecovery(saleId);
+  return initializeRedisStock(saleId);
+}
+
+/**
+ * Whether Redis still holds a sale's stock (every bucket, of every item)
+ * A sale that no longer exists has nothing to rebuild, so it counts as present
+ */
+export async function hasRedisStock(saleId) {
+  const [sale, items] = await Promise.all([getSaleById(saleId), getSaleItems(saleId)]);
+  if (!sale) {
+    return true;
+  }
+  return redisService.hasStockKeys(saleId, items.map((item) => item.id), { shards: sale.stock_shards });
+}
+
+/**
+ * Rebuild a sale's Redis state after Redis was unavailable (rebuildRedisFromDB)
+ * The sale row stays locked meanwhile, so no DB-only purchase of the sale (which takes the same lock)
+ * can commit in between. markReseeded(dbClient) records the re-seed in the same transaction;
+ * when it returns false the sale is already re-seeded and is left alone
+ */
+export async function reseedRedisFromDB(saleId, markReseeded) {
+  const dbClient = await getClient();
+  try {
+    await dbClient.query('BEGIN');
+    await dbClient.query('SELECT id FROM flash_sale WHERE id = $1 FOR UPDATE', [saleId]);
+    
+    if (!(await markReseeded(dbClient))) {
+      await dbClient.query('ROLLBACK');
+      return;
+    }
+    await rebuildRedisFromDB(saleId);
+    
+    await dbClient.query('COMMIT');
+  } catch (error) {
+    await dbClient.query('ROLLBACK');
+    throw error;
+  } finally {
+    dbClient.release();
+  }
+}
+
+/**
+ * Pre-warm a sale before it starts: rebuild its Redis state from the DB and record prewarmed_at
+ * A sale that has already started (its pre-warm was missed while no instance ran the scheduler)
+ * is only marked, since a rebuild under live purchases could lose units of purchases still being saved.
+ * Returns whether the sale was pre-warmed by this call
+ */
+export async function prewarmSale(saleId) {
+  const sale = await getSaleById(saleId);
+  if (!sale || sale.prewarmed_at || sale.closed_at) {
+    return false;
+  }
+  
+  if (new Date(sale.start_time) > new Date()) {
+    await rebuildRedisFromDB(saleId);
+  }
+  
+  const result = await query(
+    'UPDATE flash_sale SET prewarmed_at = NOW() WHERE id = $1 AND prewarmed_at IS NULL AND closed_at IS NULL',
+    [saleId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Close a sale once it has ended: record the remaining stock (per item too) and, when it sold out,
+ * when its last unit was ordered; then let its Redis keys expire.
+ * The keys get their TTL before the commit, so a Redis failure leaves the sale to be closed on the next try.
+ * Returns { closedAt, finalStock, soldOutAt }, or null when there was nothing to close
+ */
+export async function closeSale(saleId) {
+  const dbClient = await getClient();
+  try {
+    await dbClient.query('BEGIN');
+    
+    const sale = (await dbClient.query(
+      'SELECT id, end_time, closed_at FROM flash_sale WHERE id = $1 FOR UPDATE',
+      [saleId]
+    )).rows[0];
+    if (!sale || sale.closed_at || new Date(sale.end_time) > new Date()) {
+      await dbClient.query('ROLLBACK');
+      return null;
+    }
+    
+    const items = (await dbClient.query('SELECT id FROM sale_items WHERE sale_id = $1 ORDER BY id', [saleId])).rows;
+    let finalStock = 0;
+    if (items.length === 0) {
+      finalStock = await calculateRemainingStockFromDB(saleId, null, { client: dbClient });
+    }
+    for (const item of items) {
+      const itemStock = await calculateRemainingStockFromDB(saleId, item.id, { client: dbClient });
+      await dbClient.query('UPDATE sale_items SET final_stock = $1 WHERE id = $2', [itemStock, item.id]);
+      finalStock += itemStock;
+    }
+    
+    const result = await dbClient.query(
+      `UPDATE flash_sale SET
+         closed_at = NOW(),
+         final_stock = $2,
+         sold_out_at = CASE WHEN $2 = 0
+           THEN (SELECT MAX(o.created_at) FROM orders o WHERE o.sale_id = $1 AND o.status = ANY($3))
+           ELSE NULL
+         END
+       WHERE id = $1
+       RETURNING closed_at, final_stock, sold_out_at`,
+      [saleId, finalStock, HOLDING_STATUSES]
+    );
+    
+    await redisService.expireSaleKeys(saleId, config.saleLifecycle.closedKeyTtlSeconds);
+    await dbClient.query('COMMIT');
+    
+    const closed = result.rows[0];
+    return { closedAt: closed.closed_at, finalStock: closed.final_stock, soldOutAt: closed.sold_out_at };
+  } catch (error) {
+    await dbClient.query('ROLLBACK');
+    throw error;
+  } finally {
+    dbClient.release();
+  }
+}
+
+/**
+ * Finish reopening a sale whose close-out was just cleared, inside the transaction holding its row lock:
+ * clear the item close-outs and rebuild its Redis state, whose keys were set to expire when it closed
+ */
+async function restoreReopenedSale(dbClient, saleId) {
+  await dbClient.query('UPDATE sale_items SET final_stock = NULL WHERE sale_id = $1', [saleId]);
+  await rebuildRedisFromDB(saleId);
+}
+
+/**
+ * SET clauses for an admin change of a sale's times ($start and $end are the new times, NULL when unchanged)
+ * A start moved later needs a new pre-warm; an end moved into the future reopens a closed sale
+ * (restoreReopenedSale finishes that). Evaluated against the row before the change
+ */
+function timeChangeResets(start, end) {
+  const reopens = `COALESCE(${end}::timestamptz, end_time) > NOW()`;
+  return `prewarmed_at = CASE
+           WHEN ${start}::timestamptz > start_time THEN NULL
+           WHEN closed_at IS NOT NULL AND ${reopens} THEN NOW()
+           ELSE prewarmed_at
+         END,
+         closed_at = CASE WHEN ${reopens} THEN NULL ELSE closed_at END,
+         final_stock = CASE WHEN ${reopens} THEN NULL ELSE final_stock END,
+         sold_out_at = CASE WHEN ${reopens} THEN NULL ELSE sold_out_at END`;
+}
+
+/**
+ * Reopen a closed sale whose end_time was moved into the future: clear its close-out and
+ * rebuild its Redis state, whose keys were set to expire when it closed
+ * Returns whether the sale was reopened
+ */
+export async function reopenSale(saleId) {
+  const dbClient = await getClient();
+  try {
+    await dbClient.query('BEGIN');
+    
+    const sale = (await dbClient.query(
+      'SELECT id, end_time, closed_at FROM flash_sale WHERE id = $1 FOR UPDATE',
+      [saleId]
+    )).rows[0];
+    if (!sale || !sale.closed_at || new Date(sale.end_time) <= new Date()) {
+      await dbClient.query('ROLLBACK');
+      return false;
+    }
+    
+    await dbClient.query(
+      `UPDATE flash_sale SET closed_at = NULL, final_stock = NULL, sold_out_at = NULL, prewarmed_at = NOW()
+       WHERE id = $1`,
+      [saleId]
+    );
+    
+    await restoreReopenedSale(dbClient, saleId);
+    await dbClient.query('COMMIT');
+    return true;
+  } catch (error) {
+    await dbClient.query('ROLLBACK');
+    throw error;
+  } finally {
+    dbClient.release();
+  }
+}
+
+/**
+ * Get total units bought per user for a sale
  */
 export async function getSuccessfulUserPurchases(saleId) {
   const result = await query(
-    'SELECT user_id FROM orders WHERE sale_id = $1 AND status = $2',
-    [saleId, 'SUCCESS']
+    `SELECT user_id, SUM(quantity)::int as quantity
+     FROM orders
+     WHERE sale_id = $1 AND status = ANY($2)
+     GROUP BY user_id`,
+    [saleId, HOLDING_STATUSES]
   );
   
   return result.rows;
 }
 
+/**
+ * Get total units bought per user per item for a sale
+ */
+export async function getSuccessfulUserItemPurchases(saleId) {
+  const result = await query(
+    `SELECT user_id, item_id, SUM(quantity)::int as quantity
+     FROM orders
+     WHERE sale_id = $1 AND status = ANY($2) AND item_id IS NOT NULL
+     GROUP BY user_id, item_id`,
+    [saleId, HOLDING_STATUSES]
+  );
+  
+  return result.rows;
+}
+
+/**
+ * Get remaining stock per item of a sale
+ */
+export async function getItemStockResponse(saleId, items, { shards = 1 } = {}) {
+  return Promise.all(items.map(async (item) => ({
+    itemId: item.id,
+    sku: item.sku,
+    name: item.name,
+    remainingStock: await getRemainingStock(saleId, item.id, { shards }),
+    totalStock: item.total_stock,
+    maxPerUser: item.max_per_user,
+  })));
+}
+
 /**
  * Get full sale status response
  */
@@ -151,7 +452,13 @@ export async function getSaleStatusResponse(saleId = config.sale.defaultSaleId)
   }
   
   const status = getSaleStatus(sale);
-  const remainingStock = await getRemainingStock(saleId);
+  const saleItems = sale.item_count > 0 ? await getSaleItems(saleId) : [];
+  const items = await getItemStockResponse(saleId, saleItems, { shards: sale.stock_shards });
+  
+  // Sales with items have no sale-level stock key, their remaining stock is the sum of the items
+  const remainingStock = items.length > 0
+    ? items.reduce((sum, item) => sum + item.remainingStock, 0)
+    : await getRemainingStock(saleId, null, { shards: sale.stock_shards });
   
   return {
     saleId: sale.id,
@@ -159,81 +466,415 @@ export async function getSaleStatusResponse(saleId = config.sale.defaultSaleId)
     status,
     remainingStock,
     totalStock: sale.total_stock,
+    maxPerUser: sale.max_per_user,
+    items,
+    waitingRoom: config.waitingRoom.enabled,
     startTime: sale.start_time,
     endTime: sale.end_time,
+    closedAt: sale.closed_at,
+    soldOutAt: sale.sold_out_at,
   };
 }
 
 /**
- * Create a new flash sale
+ * Create a new flash sale, optionally with items (SKUs / variants)
+ * When items are given the sale's total stock is the sum of the item stocks.
+ * stockShards splits the Redis stock over that many keys and cannot change afterwards
  */
-export async function createSale(name, startTime, endTime, totalStock) {
-  const result = await query(
-    `INSERT INTO flash_sale (name, start_time, end_time, total_stock)
-     VALUES ($1, $2, $3, $4)
-     RETURNING id, name, start_time, end_time, total_stock, created_at`,
-    [name, startTime, endTime, totalStock]
-  );
+export async function createSale(name, startTime, endTime, totalStock, maxPerUser = 1, items = [], { stockShards = config.sale.stockShards } = {}) {
+  const saleTotalStock = items.length > 0
+    ? items.reduce((sum, item) => sum + item.totalStock, 0)
+    : totalStock;
   
-  const sale = result.rows[0];
+  const dbClient = await getClient();
+  let sale;
+  const createdItems = [];
+  try {
+    await dbClient.query('BEGIN');
+    
+    const result = await dbClient.query(
+      `INSERT INTO flash_sale (name, start_time, end_time, total_stock, max_per_user, stock_shards)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, name, start_time, end_time, total_stock, max_per_user, stock_shards, created_at`,
+      [name, startTime, endTime, saleTotalStock, maxPerUser, stockShards]
+    );
+    sale = result.rows[0];
+    
+    for (const item of items) {
+      const itemResult = await dbClient.query(
+        `INSERT INTO sale_items (sale_id, sku, name, total_stock, max_per_user)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, sale_id, sku, name, total_stock, max_per_user, created_at`,
+        [sale.id, item.sku, item.name, item.totalStock, item.maxPerUser ?? null]
+      );
+      createdItems.push(itemResult.rows[0]);
+    }
+    
+    await dbClient.query('COMMIT');
+  } catch (error) {
+    await dbClient.query('ROLLBACK');
+    throw error;
+  } finally {
+    dbClient.release();
+  }
   
   // Initialize stock in Redis
-  await redisService.initializeStock(sale.id, totalStock);
+  if (createdItems.length > 0) {
+    for (const item of createdItems) {
+      await redisService.initializeStock(sale.id, item.total_stock, item.id, {
+        shards: sale.stock_shards,
+        maxPerUser: sale.max_per_user,
+        itemMaxPerUser: item.max_per_user,
+      });
+    }
+  } else {
+    await redisService.initializeStock(sale.id, saleTotalStock, null, { shards: sale.stock_shards, maxPerUser: sale.max_per_user });
+  }
   
-  return sale;
+  return { ...sale, items: createdItems };
 }
 
 /**
  * Update sale times
+ * A start moved later clears the pre-warm, and an end moved into the future reopens a closed sale,
+ * in the same UPDATE; a reopened sale's Redis state is rebuilt before the commit
  */
 export async function updateSaleTimes(saleId, startTime, endTime) {
-  const updateFields = [];
-  const values = [];
-  let paramIndex = 1;
+  if (!startTime && !endTime) {
+    throw new Error('At least one field must be provided for update');
+  }
+
+  const dbClient = await getClient();
+  try {
+    await dbClient.query('BEGIN');
 
-  if (startTime) {
-    updateFields.push(`start_time = $${paramIndex++}`);
-    values.push(startTime);
+    const sale = (await dbClient.query('SELECT id, closed_at FROM flash_sale WHERE id = $1 FOR UPDATE', [saleId])).rows[0];
+    if (!sale) {
+      await dbClient.query('ROLLBACK');
+      return null;
+    }
+
+    const result = await dbClient.query(
+      `UPDATE flash_sale SET
+         start_time = COALESCE($1, start_time),
+         end_time = COALESCE($2, end_time),
+         ${timeChangeResets('$1', '$2')},
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING id, name, start_time, end_time, total_stock, max_per_user, prewarmed_at, closed_at`,
+      [startTime ?? null, endTime ?? null, saleId]
+    );
+
+    if (sale.closed_at && !result.rows[0].closed_at) {
+      await restoreReopenedSale(dbClient, saleId);
+    }
+    await dbClient.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await dbClient.query('ROLLBACK');
+    throw error;
+  } finally {
+    dbClient.release();
   }
+}
 
-  if (endTime) {
-    updateFields.push(`end_time = $${paramIndex++}`);
-    values.push(endTime);
+/**
+ * A sale with its items and order counts by status, as recorded in the audit log
+ * Pass a transaction client to read inside that transaction
+ */
+export async function getSaleSnapshot(saleId, client = null) {
+  const executor = client || { query };
+  const saleResult = await executor.query(
+    `SELECT id, name, start_time, end_time, total_stock, max_per_user, stock_shards FROM flash_sale WHERE id = $1`,
+    [saleId]
+  );
+  const sale = saleResult.rows[0];
+  if (!sale) {
+    return null;
   }
+  
+  const [itemsResult, ordersResult] = await Promise.all([
+    executor.query(
+      'SELECT id, sku, name, total_stock, max_per_user FROM sale_items WHERE sale_id = $1 ORDER BY id',
+      [saleId]
+    ),
+    executor.query(
+      'SELECT status, COUNT(*)::int as count, COALESCE(SUM(quantity), 0)::int as units FROM orders WHERE sale_id = $1 GROUP BY status',
+      [saleId]
+    ),
+  ]);
+  
+  return {
+    ...sale,
+    items: itemsResult.rows,
+    orders: Object.fromEntries(ordersResult.rows.map((row) => [row.status, { count: row.count, units: row.units }])),
+  };
+}
 
-  if (updateFields.length === 0) {
-    throw new Error('At least one field must be provided for update');
+/**
+ * Reset sale for testing
+ * For sales with items, every item is reset to `newStock` unless `itemStocks` names its own stock.
+ * Orders are moved to orders_archive rather than deleted. With `audit` (an audit context) the
+ * reset's audit entry is written in the same transaction and the archived orders point at it.
+ */
+export async function resetSale(saleId, newStock, maxPerUser, itemStocks = [], { audit = null } = {}) {
+  const dbClient = await getClient();
+  try {
+    await dbClient.query('BEGIN');
+    
+    const before = audit ? await getSaleSnapshot(saleId, dbClient) : null;
+    
+    const items = (await dbClient.query('SELECT id FROM sale_items WHERE sale_id = $1 ORDER BY id', [saleId])).rows;
+    let totalStock = newStock;
+    
+    if (items.length > 0) {
+      const overrides = new Map(itemStocks.map((item) => [item.itemId, item.stock]));
+      totalStock = 0;
+      
+      for (const item of items) {
+        const itemStock = overrides.get(item.id) ?? newStock;
+        await dbClient.query('UPDATE sale_items SET total_stock = $1 WHERE id = $2', [itemStock, item.id]);
+        totalStock += itemStock;
+      }
+    }
+    
+    // Update DB (keep the current per-user limit unless a new one is given)
+    await dbClient.query(
+      'UPDATE flash_sale SET total_stock = $1, max_per_user = COALESCE($2, max_per_user), stock_version = stock_version + 1 WHERE id = $3',
+      [totalStock, maxPerUser ?? null, saleId]
+    );
+    
+    let auditLogId = null;
+    if (audit) {
+      const after = await getSaleSnapshot(saleId, dbClient);
+      auditLogId = await auditService.insertAuditEntry(audit, {
+        action: auditService.AuditAction.SALE_RESET,
+        saleId,
+        before,
+        // The orders are archived below, so the sale is left with none
+        after: { ...after, orders: {} },
+      }, { client: dbClient });
+    }
+    
+    // Archive then delete all orders for this sale
+    await dbClient.query(
+      `INSERT INTO orders_archive (id, order_ref, user_id, sale_id, item_id, quantity, status, expires_at,
+         paid_at, cancelled_at, cancelled_by, cancel_reason, created_at, audit_log_id)
+       SELECT id, order_ref, user_id, sale_id, item_id, quantity, status, expires_at,
+         paid_at, cancelled_at, cancelled_by, cancel_reason, created_at, $2
+       FROM orders WHERE sale_id = $1`,
+      [saleId, auditLogId]
+    );
+    await dbClient.query('DELETE FROM orders WHERE sale_id = $1', [saleId]);
+    
+    await dbClient.query('COMMIT');
+  } catch (error) {
+    await dbClient.query('ROLLBACK');
+    throw error;
+  } finally {
+    dbClient.release();
   }
+  
+  // Reset Redis: resetSaleKeys removes the user purchase counts too, before the stock that opens purchases is written
+  await redisService.resetSaleKeys(saleId);
+  await initializeRedisStock(saleId);
+  
+  return true;
+}
 
-  values.push(saleId);
+// Results of admin changes to a sale
+export const SaleChangeResult = {
+  OK: 'OK',
+  NOT_FOUND: 'NOT_FOUND',
+  SALE_LOCKED: 'SALE_LOCKED',
+  INVALID: 'INVALID',
+};
 
-  const result = await query(
-    `UPDATE flash_sale SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${paramIndex} RETURNING id, name, start_time, end_time, total_stock`,
-    values
-  );
+// SQL expression matching getSaleStatus, for filtering in the database
+const SALE_STATUS_SQL = `CASE
+  WHEN NOW() < start_time THEN 'UPCOMING'
+  WHEN NOW() <= end_time THEN 'ACTIVE'
+  ELSE 'ENDED'
+END`;
 
-  return result.rows[0];
+/**
+ * List sales, optionally filtered by status, newest start time first
+ */
+export async function listSales({ status = null, page = 1, pageSize = 20 } = {}) {
+  const [result, countResult] = await Promise.all([
+    query(
+      `SELECT id, name, start_time, end_time, total_stock, max_per_user, stock_shards, created_at, updated_at,
+         prewarmed_at, closed_at, final_stock, sold_out_at,
+         (SELECT COUNT(*) FROM sale_items si WHERE si.sale_id = flash_sale.id)::int as item_count
+       FROM flash_sale
+       WHERE ($1::text IS NULL OR ${SALE_STATUS_SQL} = $1)
+       ORDER BY start_time DESC, id DESC
+       LIMIT $2 OFFSET $3`,
+      [status, pageSize, (page - 1) * pageSize]
+    ),
+    query(
+      `SELECT COUNT(*) as total FROM flash_sale WHERE ($1::text IS NULL OR ${SALE_STATUS_SQL} = $1)`,
+      [status]
+    ),
+  ]);
+  
+  return {
+    sales: result.rows,
+    total: parseInt(countResult.rows[0].total, 10),
+  };
 }
 
 /**
- * Reset sale for testing
+ * Lock a sale row for an admin change
+ * FOR UPDATE also blocks concurrent order inserts (they take a key-share lock through the FK),
+ * so "has no orders" stays true until the transaction ends
  */
-export async function resetSale(saleId, newStock) {
-  // Update DB
-  await query(
-    'UPDATE flash_sale SET total_stock = $1 WHERE id = $2',
-    [newStock, saleId]
+async function lockSaleForChange(client, saleId) {
+  const result = await client.query(
+    `SELECT id, name, start_time, end_time, total_stock, max_per_user, closed_at,
+       EXISTS (SELECT 1 FROM orders o WHERE o.sale_id = flash_sale.id) as has_orders
+     FROM flash_sale WHERE id = $1
+     FOR UPDATE`,
+    [saleId]
   );
+  return result.rows[0] || null;
+}
+
+/**
+ * Update a sale
+ * Name and times can always change (see updateSaleTimes for what a time change resets). Stock and per-user
+ * limits are destructive edits and are refused while the sale is ACTIVE or once it has orders.
+ * Redis stock is re-seeded after a stock change.
+ */
+export async function updateSale(saleId, changes) {
+  const { name, startTime, endTime, totalStock, maxPerUser, items = [] } = changes;
+  const destructive = totalStock !== undefined || maxPerUser !== undefined || items.length > 0;
+  const stockChanged = totalStock !== undefined || items.some((item) => item.totalStock !== undefined);
   
-  // Delete all orders for this sale
-  await query('DELETE FROM orders WHERE sale_id = $1', [saleId]);
+  const dbClient = await getClient();
+  try {
+    await dbClient.query('BEGIN');
+    
+    const sale = await lockSaleForChange(dbClient, saleId);
+    if (!sale) {
+      await dbClient.query('ROLLBACK');
+      return { result: SaleChangeResult.NOT_FOUND };
+    }
+    
+    if (destructive && (isSaleActive(sale) || sale.has_orders)) {
+      await dbClient.query('ROLLBACK');
+      return {
+        result: SaleChangeResult.SALE_LOCKED,
+        message: 'Stock and purchase limits cannot change while the sale is active or once it has orders',
+      };
+    }
+    
+    const newStart = startTime ? new Date(startTime) : new Date(sale.start_time);
+    const newEnd = endTime ? new Date(endTime) : new Date(sale.end_time);
+    if (newStart >= newEnd) {
+      await dbClient.query('ROLLBACK');
+      return { result: SaleChangeResult.INVALID, message: 'Start time must be before end time' };
+    }
+    
+    const saleItems = (await dbClient.query('SELECT id FROM sale_items WHERE sale_id = $1', [saleId])).rows;
+    if (totalStock !== undefined && saleItems.length > 0) {
+      await dbClient.query('ROLLBACK');
+      return { result: SaleChangeResult.INVALID, message: 'This sale has items, change the item stock instead' };
+    }
+    
+    const saleItemIds = new Set(saleItems.map((item) => item.id));
+    const unknownItem = items.find((item) => !saleItemIds.has(item.itemId));
+    if (unknownItem) {
+      await dbClient.query('ROLLBACK');
+      return { result: SaleChangeResult.INVALID, message: `Item ${unknownItem.itemId} does not belong to this sale` };
+    }
+    
+    for (const item of items) {
+      await dbClient.query(
+        `UPDATE sale_items SET
+           name = COALESCE($1, name),
+           total_stock = COALESCE($2, total_stock),
+           max_per_user = CASE WHEN $3 THEN $4 ELSE max_per_user END
+         WHERE id = $5`,
+        [item.name ?? null, item.totalStock ?? null, item.maxPerUser !== undefined, item.maxPerUser ?? null, item.itemId]
+      );
+    }
+    
+    // For sales with items the sale's total stock follows the item stocks
+    const result = await dbClient.query(
+      `UPDATE flash_sale SET
+         name = COALESCE($1, name),
+         start_time = COALESCE($2, start_time),
+         end_time = COALESCE($3, end_time),
+         total_stock = CASE
+           WHEN EXISTS (SELECT 1 FROM sale_items si WHERE si.sale_id = flash_sale.id)
+             THEN (SELECT SUM(si.total_stock) FROM sale_items si WHERE si.sale_id = flash_sale.id)
+           ELSE COALESCE($4, total_stock)
+         END,
+         max_per_user = COALESCE($5, max_per_user),
+         stock_version = stock_version + CASE WHEN $7 THEN 1 ELSE 0 END,
+         ${timeChangeResets('$2', '$3')},
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6
+       RETURNING id, name, start_time, end_time, total_stock, max_per_user, stock_shards, created_at, updated_at,
+         prewarmed_at, closed_at, final_stock, sold_out_at`,
+      [name ?? null, startTime ?? null, endTime ?? null, totalStock ?? null, maxPerUser ?? null, saleId, stockChanged]
+    );
+    
+    if (sale.closed_at && !result.rows[0].closed_at) {
+      await restoreReopenedSale(dbClient, saleId);
+    }
+    await dbClient.query('COMMIT');
+    
+    if (destructive) {
+      // No orders exist, so the DB totals are exactly what Redis should hold
+      await initializeRedisStock(saleId);
+    }
+    
+    return { result: SaleChangeResult.OK, sale: result.rows[0] };
+  } catch (error) {
+    await dbClient.query('ROLLBACK');
+    throw error;
+  } finally {
+    dbClient.release();
+  }
+}
+
+/**
+ * Delete a sale with its items and Redis keys
+ * Refused while the sale is ACTIVE or once it has orders
+ */
+export async function deleteSale(saleId) {
+  const dbClient = await getClient();
+  try {
+    await dbClient.query('BEGIN');
+    
+    const sale = await lockSaleForChange(dbClient, saleId);
+    if (!sale) {
+      await dbClient.query('ROLLBACK');
+      return { result: SaleChangeResult.NOT_FOUND };
+    }
+    
+    if (isSaleActive(sale) || sale.has_orders) {
+      await dbClient.query('ROLLBACK');
+      return {
+        result: SaleChangeResult.SALE_LOCKED,
+        message: 'A sale cannot be deleted while it is active or once it has orders',
+      };
+    }
+    
+    // sale_items rows go with the sale (ON DELETE CASCADE)
+    await dbClient.query('DELETE FROM flash_sale WHERE id = $1', [saleId]);
+    
+    await dbClient.query('COMMIT');
+  } catch (error) {
+    await dbClient.query('ROLLBACK');
+    throw error;
+  } finally {
+    dbClient.release();
+  }
   
-  // Reset Redis
   await redisService.resetSaleKeys(saleId);
-  await redisService.initializeStock(saleId, newStock);
   
-  // Delete all user purchase keys for this sale
-  await redisService.deleteUserPurchaseKeys(saleId);
-  
-  return true;
+  return { result: SaleChangeResult.OK };
 }
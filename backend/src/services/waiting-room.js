@@ -0,0 +1,253 @@
+import * as redisService from './redis.js';
+import * as saleService from './sale.js';
+import { signToken, verifyToken, TokenError } from './auth.js';
+import { config } from '../config/index.js';
+
+// Where a buyer stands in a sale's waiting room
+export const QueueStatus = {
+  QUEUED: 'QUEUED',
+  ADMITTED: 'ADMITTED',
+  NOT_QUEUED: 'NOT_QUEUED',
+};
+
+// Outcome of checking an admission token on POST /purchase
+export const AdmissionResult = {
+  ADMITTED: 'ADMITTED',
+  ADMISSION_REQUIRED: 'ADMISSION_REQUIRED',
+  ADMISSION_INVALID: 'ADMISSION_INVALID',
+  ADMISSION_EXPIRED: 'ADMISSION_EXPIRED',
+};
+
+const ADMISSION_SCOPE = 'admission';
+
+let tickTimer = null;
+let tickInProgress = false;
+
+// Keys per sale: queue (ZSET of user ids scored by join order), seq (join counter),
+// rate (live admissions per second), admitted:<userId> (admission window) and tick:<slot> (ticker lock)
+// The {<saleId>} hash tag keeps a sale's keys in one cluster slot
+function getKey(saleId, name) {
+  return `${config.waitingRoom.keyPrefix}{${saleId}}:${name}`;
+}
+
+// Sales that currently have a queue, so the ticker knows what to admit
+// A global key, so it is never combined with a sale's keys in one MULTI or pipeline (different cluster slots)
+const queuedSalesKey = `${config.waitingRoom.keyPrefix}sales`;
+
+/**
+ * Admissions per second for a sale (admin override or the configured default)
+ */
+export async function getAdmissionRate(saleId) {
+  const client = redisService.getRedisClient();
+  const rate = await client.get(getKey(saleId, 'rate'));
+  return rate !== null ? parseInt(rate, 10) : config.waitingRoom.admissionsPerSecond;
+}
+
+/**
+ * Change the admission rate of a sale; takes effect on the next tick on every instance
+ */
+export async function setAdmissionRate(saleId, admissionsPerSecond) {
+  const client = redisService.getRedisClient();
+  await client.set(getKey(saleId, 'rate'), admissionsPerSecond);
+}
+
+function issueAdmissionToken(saleId, userId, ttlSeconds) {
+  return {
+    admissionToken: signToken(
+      { sub: userId, sid: saleId, scope: ADMISSION_SCOPE },
+      { expiresIn: ttlSeconds, secret: config.waitingRoom.tokenSecret }
+    ),
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+  };
+}
+
+/**
+ * A buyer's queue position and estimated wait, or an admission token once admitted
+ * The token expires with the admission window, however often it is fetched
+ */
+export async function getQueueState(sale, userId) {
+  const client = redisService.getRedisClient();
+  const [[, admittedTtl], [, rank], [, rate]] = await client
+    .pipeline()
+    .ttl(getKey(sale.id, `admitted:${userId}`))
+    .zrank(getKey(sale.id, 'queue'), userId)
+    .get(getKey(sale.id, 'rate'))
+    .exec();
+
+  if (admittedTtl > 0) {
+    return {
+      status: QueueStatus.ADMITTED,
+      ...issueAdmissionToken(sale.id, userId, admittedTtl),
+    };
+  }
+
+  if (rank === null) {
+    return { status: QueueStatus.NOT_QUEUED };
+  }
+
+  const position = rank + 1;
+  const admissionsPerSecond = rate !== null ? parseInt(rate, 10) : config.waitingRoom.admissionsPerSecond;
+  // Admission starts when the sale does, so upcoming sales add the time until start
+  const secondsUntilStart = Math.max(0, Math.ceil((new Date(sale.start_time) - Date.now()) / 1000));
+
+  return {
+    status: QueueStatus.QUEUED,
+    position,
+    admissionsPerSecond,
+    // Unknown while admission is paused (rate 0)
+    estimatedWaitSeconds: admissionsPerSecond > 0
+      ? secondsUntilStart + Math.ceil(position / admissionsPerSecond)
+      : null,
+  };
+}
+
+/**
+ * Join a sale's waiting room; joining again keeps the original place in line
+ */
+export async function joinQueue(sale, userId) {
+  const current = await getQueueState(sale, userId);
+  if (current.status !== QueueStatus.NOT_QUEUED) {
+    return current;
+  }
+
+  const client = redisService.getRedisClient();
+  const seq = await client.incr(getKey(sale.id, 'seq'));
+  await client.zadd(getKey(sale.id, 'queue'), 'NX', seq, userId);
+  await client.sadd(queuedSalesKey, sale.id);
+
+  return getQueueState(sale, userId);
+}
+
+/**
+ * Queue length and admission rate, for admins
+ */
+export async function getQueueStats(saleId) {
+  const client = redisService.getRedisClient();
+  const [queueLength, admissionsPerSecond] = await Promise.all([
+    client.zcard(getKey(saleId, 'queue')),
+    getAdmissionRate(saleId),
+  ]);
+  return { queueLength, admissionsPerSecond };
+}
+
+async function clearQueue(saleId) {
+  const client = redisService.getRedisClient();
+  // Keys first: if the SREM is lost, the next tick clears the queue again
+  await client.del(getKey(saleId, 'queue'), getKey(saleId, 'seq'), getKey(saleId, 'rate'));
+  await client.srem(queuedSalesKey, saleId);
+}
+
+/**
+ * Admit the next batch of a sale's queue (one tick's worth at the current rate)
+ * Queues of ended or deleted sales are cleared
+ */
+async function admitBatch(saleId) {
+  const sale = await saleService.getSaleById(saleId);
+  const status = saleService.getSaleStatus(sale);
+
+  if (status === 'NOT_FOUND' || status === 'ENDED') {
+    await clearQueue(saleId);
+    return 0;
+  }
+  if (status !== 'ACTIVE') {
+    return 0;
+  }
+
+  const rate = await getAdmissionRate(saleId);
+  const count = Math.floor((rate * config.waitingRoom.tickMs) / 1000);
+  if (count <= 0) {
+    return 0;
+  }
+
+  const client = redisService.getRedisClient();
+  // ZPOPMIN returns [member, score, member, score, ...]
+  const popped = await client.zpopmin(getKey(saleId, 'queue'), count);
+  const userIds = popped.filter((_, index) => index % 2 === 0);
+  if (userIds.length === 0) {
+    return 0;
+  }
+
+  const pipeline = client.pipeline();
+  for (const userId of userIds) {
+    pipeline.set(getKey(saleId, `admitted:${userId}`), '1', 'EX', config.waitingRoom.tokenTtl);
+  }
+  await pipeline.exec();
+
+  return userIds.length;
+}
+
+/**
+ * One admission tick over every sale with a queue
+ */
+export async function runAdmissionTick() {
+  const client = redisService.getRedisClient();
+  const saleIds = await client.smembers(queuedSalesKey);
+  const slot = Math.floor(Date.now() / config.waitingRoom.tickMs);
+
+  for (const saleId of saleIds) {
+    // Only one instance admits per sale per tick slot, so the rate holds however many instances run
+    const acquired = await client.set(getKey(saleId, `tick:${slot}`), '1', 'PX', config.waitingRoom.tickMs * 2, 'NX');
+    if (!acquired) {
+      continue;
+    }
+
+    const admitted = await admitBatch(parseInt(saleId, 10));
+    if (admitted > 0) {
+      console.log(`Waiting room: admitted ${admitted} buyers to sale ${saleId}`);
+    }
+  }
+}
+
+/**
+ * Start the background admission ticker
+ */
+export function startAdmissionTicker() {
+  if (tickTimer) {
+    return;
+  }
+
+  tickTimer = setInterval(async () => {
+    // Skip a tick rather than overlapping a slow one
+    if (tickInProgress) {
+      return;
+    }
+    tickInProgress = true;
+    try {
+      await runAdmissionTick();
+    } catch (error) {
+      console.error('Admission tick failed:', error.message);
+    } finally {
+      tickInProgress = false;
+    }
+  }, config.waitingRoom.tickMs);
+}
+
+/**
+ * Stop the background admission ticker
+ */
+export function stopAdmissionTicker() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+}
+
+/**
+ * Check an admission token for a purchase by userId in saleId
+ * Tokens are signed, so checking one needs no Redis call on the purchase path
+ */
+export function verifyAdmission(token, saleId, userId) {
+  if (!token) {
+    return AdmissionResult.ADMISSION_REQUIRED;
+  }
+
+  const { payload, error } = verifyToken(token, { secret: config.waitingRoom.tokenSecret });
+  if (error === TokenError.EXPIRED) {
+    return AdmissionResult.ADMISSION_EXPIRED;
+  }
+  if (error || payload.scope !== ADMISSION_SCOPE || payload.sub !== userId || payload.sid !== saleId) {
+    return AdmissionResult.ADMISSION_INVALID;
+  }
+
+  return AdmissionResult.ADMITTED;
+}
@@ -0,0 +1,155 @@
+import * as redisService from './redis.js';
+import * as saleEvents from './sale-events.js';
+import { config } from '../config/index.js';
+
+// Where a buyer stands on a sold-out sale's (or item's) waitlist
+export const WaitlistStatus = {
+  WAITLISTED: 'WAITLISTED',
+  CLAIM_AVAILABLE: 'CLAIM_AVAILABLE',
+  IN_STOCK: 'IN_STOCK',
+  NOT_WAITLISTED: 'NOT_WAITLISTED',
+};
+
+let sweepTimer = null;
+let sweepInProgress = false;
+
+/**
+ * A buyer's place on the waitlist, or the claim they were promoted to
+ * A claim reserves units for the buyer until it expires; POST /purchase uses it automatically
+ */
+export async function getWaitlistState(saleId, userId, itemId = null) {
+  const client = redisService.getRedisClient();
+  const [[, claimExpiresAt], [, claimedUnits], [, rank], [, waitlistLength]] = await client
+    .pipeline()
+    .zscore(redisService.getClaimExpiryKey(saleId, itemId), userId)
+    .hget(redisService.getClaimsKey(saleId, itemId), userId)
+    .zrank(redisService.getWaitlistKey(saleId, itemId), userId)
+    .zcard(redisService.getWaitlistKey(saleId, itemId))
+    .exec();
+
+  // Expired claims are ignored here and by the purchase gate until the sweeper passes them on
+  if (claimExpiresAt !== null && Number(claimExpiresAt) > Date.now() && parseInt(claimedUnits || '0', 10) > 0) {
+    return {
+      status: WaitlistStatus.CLAIM_AVAILABLE,
+      claimedUnits: parseInt(claimedUnits, 10),
+      claimExpiresAt: new Date(Number(claimExpiresAt)).toISOString(),
+    };
+  }
+
+  if (rank === null) {
+    return { status: WaitlistStatus.NOT_WAITLISTED, waitlistLength };
+  }
+
+  return {
+    status: WaitlistStatus.WAITLISTED,
+    position: rank + 1,
+    waitlistLength,
+  };
+}
+
+/**
+ * Join the waitlist of a sold-out sale or item; joining again keeps the original place
+ * Nothing is joined while open stock is left (in any stock bucket), since the buyer can purchase right away
+ */
+export async function joinWaitlist(saleId, userId, itemId = null, { shards = 1 } = {}) {
+  const current = await getWaitlistState(saleId, userId, itemId);
+  if (current.status !== WaitlistStatus.NOT_WAITLISTED) {
+    return current;
+  }
+
+  const remainingStock = await redisService.getStock(saleId, itemId, { shards });
+  if (remainingStock > 0) {
+    return { status: WaitlistStatus.IN_STOCK, remainingStock };
+  }
+
+  const client = redisService.getRedisClient();
+  const waitlistKey = redisService.getWaitlistKey(saleId, itemId);
+  // Scored by a join counter rather than the clock, so instances with skewed clocks keep the order fair
+  const seq = await client.incr(`${waitlistKey}:seq`);
+  await client.zadd(waitlistKey, 'NX', seq, userId);
+
+  return getWaitlistState(saleId, userId, itemId);
+}
+
+/**
+ * Leave the waitlist; a claim already granted is kept until it expires
+ * Returns whether the buyer was on the waitlist
+ */
+export async function leaveWaitlist(saleId, userId, itemId = null) {
+  const client = redisService.getRedisClient();
+  const removed = await client.zrem(redisService.getWaitlistKey(saleId, itemId), userId);
+  return removed > 0;
+}
+
+/**
+ * 1-based waitlist position, or null when the buyer is not waitlisted
+ */
+export async function getWaitlistPosition(saleId, userId, itemId = null) {
+  const client = redisService.getRedisClient();
+  const rank = await client.zrank(redisService.getWaitlistKey(saleId, itemId), userId);
+  return rank === null ? null : rank + 1;
+}
+
+/**
+ * Take back every expired claim and pass its units to the next waitlisted buyers
+ * (or back to the open stock). Safe to run on several instances at once: each scope is one script.
+ */
+export async function expireAllClaims() {
+  const client = redisService.getRedisClient();
+  const saleIds = await client.smembers(config.waitlist.claimSalesKey);
+  let expired = 0;
+
+  for (const saleId of saleIds.map((id) => parseInt(id, 10))) {
+    for (const scopeId of await redisService.getClaimScopes(saleId)) {
+      const [, itemId] = scopeId.split(':').map((id) => parseInt(id, 10));
+      const result = await redisService.expireClaims(saleId, itemId || null);
+      expired += result.expiredClaims;
+
+      if (result.expiredClaims > 0) {
+        console.log(`Waitlist: ${result.expiredClaims} claim(s) expired on scope ${scopeId}, ${result.promoted} unit(s) passed on to the waitlist`);
+      }
+      // Units nobody was waiting for went back to the open stock
+      if (result.units > result.promoted) {
+        saleEvents.markStockChanged(saleId);
+      }
+    }
+
+    await redisService.unmarkSaleIfNoClaims(saleId);
+  }
+
+  return expired;
+}
+
+/**
+ * Start the background sweeper for expired waitlist claims
+ */
+export function startClaimSweeper() {
+  if (sweepTimer) {
+    return;
+  }
+
+  sweepTimer = setInterval(async () => {
+    // Skip a tick rather than overlapping a slow sweep
+    if (sweepInProgress) {
+      return;
+    }
+    sweepInProgress = true;
+    try {
+      await expireAllClaims();
+    } catch (error) {
+      console.error('Waitlist claim sweep failed:', error.message);
+    } finally {
+      sweepInProgress = false;
+    }
+  }, config.waitlist.sweepIntervalMs);
+}
+
+/**
+ * Stop the background claim sweeper
+ */
+export function stopClaimSweeper() {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
@@ -0,0 +1,411 @@
+import { createHmac, randomBytes } from 'node:crypto';
+import { query } from '../db/postgres.js';
+import * as redisService from './redis.js';
+import { config } from '../config/index.js';
+
+// Event types an endpoint can subscribe to
+export const WebhookEventType = {
+  ORDER_SUCCEEDED: 'order.succeeded', // a SUCCESS order was saved, or a reservation was paid
+  SALE_STARTED: 'sale.started',
+  SALE_ENDED: 'sale.ended',
+  SALE_SOLD_OUT: 'sale.sold_out',
+};
+
+// Delivery status values (must match the webhook_deliveries.status CHECK constraint)
+export const DeliveryStatus = {
+  PENDING: 'PENDING',
+  DELIVERED: 'DELIVERED',
+  FAILED: 'FAILED',
+};
+
+// Admin change result types
+export const WebhookChangeResult = {
+  OK: 'OK',
+  NOT_FOUND: 'NOT_FOUND',
+};
+
+// Manual redelivery result types
+export const RedeliverResult = {
+  QUEUED: 'QUEUED',
+  ALREADY_PENDING: 'ALREADY_PENDING',
+  NOT_FOUND: 'NOT_FOUND',
+};
+
+const webhookConfig = config.webhooks;
+
+const ENDPOINT_COLUMNS = 'id, url, description, events, secret, active, created_at, updated_at';
+const DELIVERY_COLUMNS = `id, endpoint_id, event_id, event_type, payload, status, attempts, next_attempt_at,
+  last_status_code, last_error, delivered_at, created_at`;
+
+/**
+ * Build an event envelope
+ * The id names the occurrence (e.g. order.succeeded:42), so an occurrence emitted twice is delivered once
+ */
+function buildEvent(type, occurrenceId, data, occurredAt = new Date().toISOString()) {
+  return { id: `${type}:${occurrenceId}`, type, occurredAt, data };
+}
+
+/**
+ * Queue an event for the webhook dispatcher worker
+ * One XADD that is not awaited, so callers on the purchase path never wait on webhooks; failures are logged
+ */
+export function emitEvent(type, occurrenceId, data) {
+  const event = buildEvent(type, occurrenceId, data);
+  redisService.getRedisClient()
+    .xadd(webhookConfig.streamKey, '*', 'event', JSON.stringify(event))
+    .catch((error) => {
+      console.error(`Failed to queue webhook event ${event.id}:`, error.message);
+    });
+}
+
+/**
+ * Emit order.succeeded for an orders row
+ */
+export function emitOrderSucceeded(order) {
+  emitEvent(WebhookEventType.ORDER_SUCCEEDED, order.id, {
+    orderId: order.id,
+    saleId: order.sale_id,
+    itemId: order.item_id,
+    userId: order.user_id,
+    quantity: order.quantity,
+    status: order.status,
+    createdAt: order.created_at,
+  });
+}
+
+/**
+ * Generate a signing secret for an endpoint registered without one
+ */
+function generateSecret() {
+  return `whsec_${randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Register a webhook endpoint
+ */
+export async function createEndpoint({ url, description = null, events, secret }) {
+  const result = await query(
+    `INSERT INTO webhook_endpoints (url, description, events, secret)
+     VALUES ($1, $2, $3, $4)
+     RETURNING ${ENDPOINT_COLUMNS}`,
+    [url, description, events, secret || generateSecret()]
+  );
+  return result.rows[0];
+}
+
+/**
+ * List webhook endpoints with their pending and failed delivery counts
+ */
+export async function listEndpoints() {
+  const result = await query(
+    `SELECT ${ENDPOINT_COLUMNS},
+       (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.endpoint_id = webhook_endpoints.id AND d.status = 'PENDING')::int as pending_count,
+       (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.endpoint_id = webhook_endpoints.id AND d.status = 'FAILED')::int as failed_count
+     FROM webhook_endpoints
+     ORDER BY id`
+  );
+  return result.rows;
+}
+
+/**
+ * Get a webhook endpoint by ID
+ */
+export async function getEndpoint(endpointId) {
+  const result = await query(
+    `SELECT ${ENDPOINT_COLUMNS} FROM webhook_endpoints WHERE id = $1`,
+    [endpointId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Update a webhook endpoint (url, description, event filter, secret, active)
+ * Pending deliveries of a deactivated endpoint are held until it is activated again
+ */
+export async function updateEndpoint(endpointId, changes) {
+  const columns = {
+    url: changes.url,
+    description: changes.description,
+    events: changes.events,
+    secret: changes.secret,
+    active: changes.active,
+  };
+
+  const updateFields = [];
+  const values = [];
+  let paramIndex = 1;
+
+  for (const [column, value] of Object.entries(columns)) {
+    if (value !== undefined) {
+      updateFields.push(`${column} = $${paramIndex++}`);
+      values.push(value);
+    }
+  }
+
+  values.push(endpointId);
+
+  const result = await query(
+    `UPDATE webhook_endpoints SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $${paramIndex}
+     RETURNING ${ENDPOINT_COLUMNS}`,
+    values
+  );
+
+  if (!result.rows[0]) {
+    return { result: WebhookChangeResult.NOT_FOUND };
+  }
+  return { result: WebhookChangeResult.OK, endpoint: result.rows[0] };
+}
+
+/**
+ * Delete a webhook endpoint and its delivery log
+ */
+export async function deleteEndpoint(endpointId) {
+  const result = await query('DELETE FROM webhook_endpoints WHERE id = $1', [endpointId]);
+  return result.rowCount > 0 ? WebhookChangeResult.OK : WebhookChangeResult.NOT_FOUND;
+}
+
+/**
+ * Delivery log of an endpoint, newest first, optionally filtered by status
+ */
+export async function listDeliveries(endpointId, { status = null, page = 1, pageSize = 20 } = {}) {
+  const [result, countResult] = await Promise.all([
+    query(
+      `SELECT ${DELIVERY_COLUMNS}
+       FROM webhook_deliveries
+       WHERE endpoint_id = $1 AND ($2::text IS NULL OR status = $2)
+       ORDER BY id DESC
+       LIMIT $3 OFFSET $4`,
+      [endpointId, status, pageSize, (page - 1) * pageSize]
+    ),
+    query(
+      `SELECT COUNT(*) as total FROM webhook_deliveries
+       WHERE endpoint_id = $1 AND ($2::text IS NULL OR status = $2)`,
+      [endpointId, status]
+    ),
+  ]);
+
+  return {
+    deliveries: result.rows,
+    total: parseInt(countResult.rows[0].total, 10),
+  };
+}
+
+/**
+ * Get one delivery of an endpoint with every HTTP attempt made for it
+ */
+export async function getDelivery(endpointId, deliveryId) {
+  const result = await query(
+    `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries WHERE id = $1 AND endpoint_id = $2`,
+    [deliveryId, endpointId]
+  );
+  const delivery = result.rows[0];
+  if (!delivery) {
+    return null;
+  }
+
+  const attempts = await query(
+    `SELECT id, status_code, error, duration_ms, attempted_at
+     FROM webhook_delivery_attempts
+     WHERE delivery_id = $1
+     ORDER BY id`,
+    [deliveryId]
+  );
+  return { ...delivery, attempt_log: attempts.rows };
+}
+
+/**
+ * Queue a delivery to be sent again right away, e.g. after the receiver fixed an outage
+ * The delivery gets a fresh set of attempts; the attempt log keeps the earlier ones
+ */
+export async function redeliver(endpointId, deliveryId) {
+  const result = await query(
+    `UPDATE webhook_deliveries
+     SET status = $1, attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+     WHERE id = $2 AND endpoint_id = $3 AND status <> $1
+     RETURNING ${DELIVERY_COLUMNS}`,
+    [DeliveryStatus.PENDING, deliveryId, endpointId]
+  );
+
+  if (result.rows[0]) {
+    return { result: RedeliverResult.QUEUED, delivery: result.rows[0] };
+  }
+
+  const delivery = await getDelivery(endpointId, deliveryId);
+  return delivery
+    ? { result: RedeliverResult.ALREADY_PENDING, delivery }
+    : { result: RedeliverResult.NOT_FOUND };
+}
+
+/**
+ * Turn raw XREADGROUP / XAUTOCLAIM entries into { id, event } messages
+ */
+export function parseStreamEntries(entries) {
+  return entries
+    .filter(([, fields]) => fields)
+    .map(([id, fields]) => ({ id, event: JSON.parse(fields[fields.indexOf('event') + 1]) }));
+}
+
+/**
+ * Create a delivery for every active endpoint subscribed to each event
+ * Endpoints registered after an event occurred do not receive it, and
+ * ON CONFLICT makes re-emitted events and redelivered stream entries harmless
+ * Returns the number of deliveries created
+ */
+export async function fanOutEvents(events) {
+  if (events.length === 0) {
+    return 0;
+  }
+
+  const result = await query(
+    `INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload)
+     SELECT e.id, ev.id, ev.type, ev.payload
+     FROM unnest($1::varchar[], $2::varchar[], $3::jsonb[], $4::timestamptz[]) AS ev(id, type, payload, occurred_at)
+     JOIN webhook_endpoints e ON e.active AND ev.type = ANY(e.events) AND e.created_at <= ev.occurred_at
+     ON CONFLICT (endpoint_id, event_id) DO NOTHING`,
+    [
+      events.map((event) => event.id),
+      events.map((event) => event.type),
+      events.map((event) => JSON.stringify(event)),
+      events.map((event) => event.occurredAt),
+    ]
+  );
+  return result.rowCount;
+}
+
+/**
+ * sale.started / sale.ended events for sales that started or ended within the lookback window
+ * Start and end are time based, so the dispatcher finds them by polling instead of anyone emitting them.
+ * The occurrence id includes the time, so a sale whose times are changed is announced again.
+ */
+export async function findSaleTransitions() {
+  const result = await query(
+    `SELECT id, name, start_time, end_time,
+       start_time <= NOW() AND start_time > NOW() - make_interval(secs => $1) as started,
+       end_time <= NOW() AND end_time > NOW() - make_interval(secs => $1) as ended
+     FROM flash_sale
+     WHERE (start_time <= NOW() AND start_time > NOW() - make_interval(secs => $1))
+        OR (end_time <= NOW() AND end_time > NOW() - make_interval(secs => $1))`,
+    [webhookConfig.saleCheckLookbackMs / 1000]
+  );
+
+  const events = [];
+  for (const sale of result.rows) {
+    const data = { saleId: sale.id, name: sale.name, startTime: sale.start_time, endTime: sale.end_time };
+    if (sale.started) {
+      const startedAt = new Date(sale.start_time);
+      events.push(buildEvent(WebhookEventType.SALE_STARTED, `${sale.id}:${startedAt.getTime()}`, data, startedAt.toISOString()));
+    }
+    if (sale.ended) {
+      const endedAt = new Date(sale.end_time);
+      events.push(buildEvent(WebhookEventType.SALE_ENDED, `${sale.id}:${endedAt.getTime()}`, data, endedAt.toISOString()));
+    }
+  }
+  return events;
+}
+
+/**
+ * Claim deliveries that are due, for one dispatcher
+ * Claiming pushes next_attempt_at out by a lease, so other dispatchers skip them and a
+ * dispatcher that dies mid-attempt only delays the delivery
+ */
+export async function claimDueDeliveries(limit = webhookConfig.batchSize) {
+  const result = await query(
+    `UPDATE webhook_deliveries d
+     SET next_attempt_at = NOW() + make_interval(secs => $2)
+     FROM webhook_endpoints e
+     WHERE e.id = d.endpoint_id
+       AND d.id IN (
+         SELECT dd.id FROM webhook_deliveries dd
+         JOIN webhook_endpoints de ON de.id = dd.endpoint_id AND de.active
+         WHERE dd.status = 'PENDING' AND dd.next_attempt_at <= NOW()
+         ORDER BY dd.next_attempt_at
+         LIMIT $1
+         FOR UPDATE OF dd SKIP LOCKED
+       )
+     RETURNING d.id, d.event_id, d.event_type, d.payload, d.attempts, e.url, e.secret`,
+    [limit, webhookConfig.leaseMs / 1000]
+  );
+  return result.rows;
+}
+
+/**
+ * HMAC-SHA256 signature of a payload, sent as X-Webhook-Signature: sha256=<hex>
+ * The timestamp is signed with the body so receivers can reject replays
+ */
+export function signPayload(secret, timestamp, body) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Wait before the next attempt: retryBaseMs doubled per failed attempt, capped at retryMaxMs
+function getRetryDelayMs(attempts) {
+  return Math.min(webhookConfig.retryMaxMs, webhookConfig.retryBaseMs * 2 ** (attempts - 1));
+}
+
+/**
+ * Record one attempt in the delivery log and move the delivery on:
+ * DELIVERED on a 2xx, otherwise retried with backoff until maxAttempts, then FAILED
+ */
+async function recordAttempt(delivery, { statusCode = null, error = null, durationMs }) {
+  const attempts = delivery.attempts + 1;
+  const delivered = statusCode !== null && statusCode >= 200 && statusCode < 300;
+  const status = delivered
+    ? DeliveryStatus.DELIVERED
+    : attempts >= webhookConfig.maxAttempts ? DeliveryStatus.FAILED : DeliveryStatus.PENDING;
+
+  await query(
+    `WITH attempt AS (
+       INSERT INTO webhook_delivery_attempts (delivery_id, status_code, error, duration_ms)
+       VALUES ($1, $2, $3, $4)
+     )
+     UPDATE webhook_deliveries
+     SET status = $5, attempts = $6, last_status_code = $2, last_error = $3,
+       next_attempt_at = NOW() + make_interval(secs => $7),
+       delivered_at = CASE WHEN $5 = 'DELIVERED' THEN NOW() ELSE delivered_at END
+     WHERE id = $1`,
+    [delivery.id, statusCode, error, durationMs, status, attempts, getRetryDelayMs(attempts) / 1000]
+  );
+
+  return status;
+}
+
+/**
+ * POST a claimed delivery to its endpoint and record the outcome
+ * Returns the delivery's new status
+ */
+export async function sendDelivery(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startTime = Date.now();
+
+  let outcome;
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'flash-sale-webhooks/1.0',
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(delivery.secret, timestamp, body)}`,
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(webhookConfig.timeoutMs),
+    });
+    // The response body is not used, but reading it lets the connection be reused
+    await response.arrayBuffer().catch(() => {});
+    outcome = {
+      statusCode: response.status,
+      error: response.ok ? null : `HTTP ${response.status}`,
+    };
+  } catch (error) {
+    outcome = {
+      error: error.name === 'TimeoutError' ? `Timed out after ${webhookConfig.timeoutMs}ms` : error.message,
+    };
+  }
+
+  return recordAttempt(delivery, { ...outcome, durationMs: Date.now() - startTime });
+}
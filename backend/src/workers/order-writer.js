@@ -0,0 +1,137 @@
+import os from 'node:os';
+import { closePool } from '../db/postgres.js';
+import { connectRedis, getRedisClient, closeRedis } from '../services/redis.js';
+import * as orderQueue from '../services/order-queue.js';
+import { config } from '../config/index.js';
+
+/**
+ * Order writer worker (stream mode)
+ * Reads winning purchases from the order stream through a consumer group and
+ * batch-inserts them into `orders`. Run one or more of these next to the API.
+ */
+
+const streamConfig = config.orderPersistence;
+const consumerName = process.env.WORKER_NAME || `${os.hostname()}-${process.pid}`;
+
+let running = true;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function ensureConsumerGroup(client) {
+  try {
+    // Start from the beginning of the stream so entries written before the group existed are not lost
+    await client.xgroup('CREATE', streamConfig.streamKey, streamConfig.consumerGroup, '0', 'MKSTREAM');
+    console.log(`Created consumer group ${streamConfig.consumerGroup}`);
+  } catch (error) {
+    if (!error.message.includes('BUSYGROUP')) {
+      throw error;
+    }
+  }
+}
+
+async function getDeliveryCount(client, entryId) {
+  const pending = await client.xpending(streamConfig.streamKey, streamConfig.consumerGroup, entryId, entryId, 1);
+  return pending[0] ? pending[0][3] : 0;
+}
+
+/**
+ * Write one entry on its own, so a bad entry cannot hold up the rest of its batch
+ * Failed entries stay unacknowledged and are reclaimed after claimIdleMs,
+ * until they reach maxDeliveries and go to the dead-letter stream
+ */
+async function processSingle(client, message) {
+  try {
+    const orderIds = await orderQueue.insertOrders([message]);
+    await orderQueue.completeOrders([message], orderIds);
+  } catch (error) {
+    const deliveries = await getDeliveryCount(client, message.id);
+    
+    if (deliveries >= streamConfig.maxDeliveries) {
+      console.error(`Order writer: giving up on ${message.reference} after ${deliveries} attempts:`, error.message);
+      await orderQueue.deadLetterOrder(message, error);
+    } else {
+      console.warn(`Order writer: ${message.reference} failed (attempt ${deliveries}/${streamConfig.maxDeliveries}), will retry:`, error.message);
+    }
+  }
+}
+
+async function processBatch(client, messages) {
+  if (messages.length === 0) {
+    return;
+  }
+  
+  try {
+    const orderIds = await orderQueue.insertOrders(messages);
+    await orderQueue.completeOrders(messages, orderIds);
+    console.log(`Order writer: saved ${messages.length} orders`);
+  } catch (error) {
+    console.error(`Order writer: batch of ${messages.length} failed, retrying one by one:`, error.message);
+    for (const message of messages) {
+      await processSingle(client, message);
+    }
+  }
+}
+
+async function run() {
+  await connectRedis();
+  const client = getRedisClient();
+  await ensureConsumerGroup(client);
+  
+  // Blocking reads get their own connection so acks and status writes are not queued behind them
+  const reader = client.duplicate();
+  
+  console.log(`Order writer ${consumerName} started`);
+  
+  while (running) {
+    try {
+      // Retry entries that failed earlier or were left behind by a crashed worker
+      const [, claimed] = await client.xautoclaim(
+        streamConfig.streamKey,
+        streamConfig.consumerGroup,
+        consumerName,
+        streamConfig.claimIdleMs,
+        '0-0',
+        'COUNT',
+        streamConfig.batchSize
+      );
+      await processBatch(client, orderQueue.parseStreamEntries(claimed));
+      
+      const response = await reader.xreadgroup(
+        'GROUP', streamConfig.consumerGroup, consumerName,
+        'COUNT', streamConfig.batchSize,
+        'BLOCK', streamConfig.blockMs,
+        'STREAMS', streamConfig.streamKey, '>'
+      );
+      
+      if (response) {
+        const [[, entries]] = response;
+        await processBatch(client, orderQueue.parseStreamEntries(entries));
+      }
+    } catch (error) {
+      console.error('Order writer loop error:', error.message);
+      await sleep(1000);
+    }
+  }
+  
+  reader.disconnect();
+}
+
+const shutdown = (signal) => {
+  console.log(`Received ${signal}, stopping order writer after the current batch...`);
+  running = false;
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+run()
+  .then(async () => {
+    await closePool();
+    await closeRedis();
+    console.log('Order writer stopped');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Order writer failed:', error);
+    process.exit(1);
+  });
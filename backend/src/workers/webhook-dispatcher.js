@@ -0,0 +1,152 @@
+import os from 'node:os';
+import { closePool } from '../db/postgres.js';
+import { connectRedis, getRedisClient, closeRedis } from '../services/redis.js';
+import * as webhookService from '../services/webhook.js';
+import { config } from '../config/index.js';
+
+/**
+ * Webhook dispatcher worker
+ * Turns lifecycle events from the webhook stream (and sale starts / ends it finds itself)
+ * into deliveries in the DB, then POSTs due deliveries with retries and backoff.
+ * Several dispatchers can run side by side: stream entries go through a consumer group and
+ * deliveries are claimed with FOR UPDATE SKIP LOCKED.
+ */
+
+const webhookConfig = config.webhooks;
+const consumerName = process.env.WORKER_NAME || `${os.hostname()}-${process.pid}`;
+
+let running = true;
+let nextSaleCheckAt = 0;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function ensureConsumerGroup(client) {
+  try {
+    // Start from the beginning of the stream so events emitted before the group existed are not lost
+    await client.xgroup('CREATE', webhookConfig.streamKey, webhookConfig.consumerGroup, '0', 'MKSTREAM');
+    console.log(`Created consumer group ${webhookConfig.consumerGroup}`);
+  } catch (error) {
+    if (!error.message.includes('BUSYGROUP')) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Create the deliveries for a batch of stream entries, then acknowledge and delete them
+ * (the deliveries are in the DB now, so the stream only holds events not yet fanned out)
+ * A failed batch stays unacknowledged and is reclaimed after claimIdleMs
+ */
+async function fanOutEntries(client, entries) {
+  const messages = webhookService.parseStreamEntries(entries);
+  if (messages.length === 0) {
+    return;
+  }
+
+  const created = await webhookService.fanOutEvents(messages.map((message) => message.event));
+  const ids = messages.map((message) => message.id);
+  await client
+    .pipeline()
+    .xack(webhookConfig.streamKey, webhookConfig.consumerGroup, ...ids)
+    .xdel(webhookConfig.streamKey, ...ids)
+    .exec();
+
+  if (created > 0) {
+    console.log(`Webhook dispatcher: queued ${created} deliveries for ${messages.length} events`);
+  }
+}
+
+async function checkSaleTransitions() {
+  if (Date.now() < nextSaleCheckAt) {
+    return;
+  }
+  nextSaleCheckAt = Date.now() + webhookConfig.saleCheckIntervalMs;
+
+  const events = await webhookService.findSaleTransitions();
+  const created = await webhookService.fanOutEvents(events);
+  if (created > 0) {
+    console.log(`Webhook dispatcher: queued ${created} sale start / end deliveries`);
+  }
+}
+
+async function deliverDue() {
+  const deliveries = await webhookService.claimDueDeliveries();
+  if (deliveries.length === 0) {
+    return;
+  }
+
+  const statuses = await Promise.all(deliveries.map((delivery) => webhookService.sendDelivery(delivery)));
+  const count = (status) => statuses.filter((s) => s === status).length;
+  console.log(
+    `Webhook dispatcher: ${deliveries.length} attempts, ${count(webhookService.DeliveryStatus.DELIVERED)} delivered, ` +
+    `${count(webhookService.DeliveryStatus.PENDING)} to retry, ${count(webhookService.DeliveryStatus.FAILED)} failed`
+  );
+}
+
+async function run() {
+  await connectRedis();
+  const client = getRedisClient();
+  await ensureConsumerGroup(client);
+
+  // Blocking reads get their own connection so acks are not queued behind them
+  const reader = client.duplicate();
+
+  console.log(`Webhook dispatcher ${consumerName} started`);
+
+  while (running) {
+    try {
+      // Retry events that failed earlier or were left behind by a crashed dispatcher
+      const [, claimed] = await client.xautoclaim(
+        webhookConfig.streamKey,
+        webhookConfig.consumerGroup,
+        consumerName,
+        webhookConfig.claimIdleMs,
+        '0-0',
+        'COUNT',
+        webhookConfig.batchSize
+      );
+      await fanOutEntries(client, claimed);
+
+      // Also paces the loop: deliveries are checked at least once per blockMs
+      const response = await reader.xreadgroup(
+        'GROUP', webhookConfig.consumerGroup, consumerName,
+        'COUNT', webhookConfig.batchSize,
+        'BLOCK', webhookConfig.blockMs,
+        'STREAMS', webhookConfig.streamKey, '>'
+      );
+
+      if (response) {
+        const [[, entries]] = response;
+        await fanOutEntries(client, entries);
+      }
+
+      await checkSaleTransitions();
+      await deliverDue();
+    } catch (error) {
+      console.error('Webhook dispatcher loop error:', error.message);
+      await sleep(1000);
+    }
+  }
+
+  reader.disconnect();
+}
+
+const shutdown = (signal) => {
+  console.log(`Received ${signal}, stopping webhook dispatcher after the current batch...`);
+  running = false;
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+run()
+  .then(async () => {
+    await closePool();
+    await closeRedis();
+    console.log('Webhook dispatcher stopped');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Webhook dispatcher failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signToken, verifyToken, TokenError } from '../src/services/auth.js';
+
+const SECRET = 'test-secret';
+
+test('verifyToken accepts a token it signed', () => {
+  const token = signToken({ sub: 'john123', role: 'shopper' }, { secret: SECRET });
+  const { payload, error } = verifyToken(token, { secret: SECRET });
+  assert.equal(error, undefined);
+  assert.equal(payload.sub, 'john123');
+});
+
+test('verifyToken rejects a token whose header and payload decode to null', () => {
+  assert.deepEqual(verifyToken('bnVsbA.bnVsbA.x', { secret: SECRET }), { error: TokenError.INVALID });
+});
+
+test('verifyToken rejects JSON header and payload that are not objects', () => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  for (const value of [42, 'HS256', [], true]) {
+    assert.deepEqual(verifyToken(`${encode(value)}.${encode(value)}.x`, { secret: SECRET }), { error: TokenError.INVALID });
+  }
+  const header = encode({ alg: 'HS256', typ: 'JWT' });
+  assert.deepEqual(verifyToken(`${header}.${encode(null)}.x`, { secret: SECRET }), { error: TokenError.INVALID });
+});
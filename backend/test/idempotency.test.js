@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRedisClient } from '../src/services/redis.js';
+import { withIdempotency, getIdempotencyKey, IdempotencyResult } from '../src/services/idempotency.js';
+import { config } from '../src/config/index.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Redis holding string keys in a map, with the lock scripts; extensions are counted
+function createFakeRedis() {
+  const redis = { values: new Map(), extensions: 0 };
+  const client = getRedisClient();
+  client.get = async (key) => redis.values.get(key) ?? null;
+  client.set = async (key, value, ...args) => {
+    if (args.includes('NX') && redis.values.has(key)) {
+      return null;
+    }
+    redis.values.set(key, value);
+    return 'OK';
+  };
+  client.extendLock = async (key, token) => {
+    if (redis.values.get(key) !== token) {
+      return 0;
+    }
+    redis.extensions += 1;
+    return 1;
+  };
+  client.replaceLock = async (key, token, value) => {
+    if (redis.values.get(key) !== token) {
+      return 0;
+    }
+    redis.values.set(key, value);
+    return 1;
+  };
+  client.releaseLock = async (key, token) => {
+    if (redis.values.get(key) !== token) {
+      return 0;
+    }
+    redis.values.delete(key);
+    return 1;
+  };
+  return redis;
+}
+
+test('the in-flight marker is extended while a slow request runs', async () => {
+  config.idempotency.lockRefreshMs = 10;
+  const redis = createFakeRedis();
+
+  const outcome = await withIdempotency('purchase:john123', 'slow', { quantity: 1 }, async () => {
+    await sleep(50);
+    return { statusCode: 200, body: { result: 'SUCCESS' } };
+  });
+
+  assert.equal(outcome.result, IdempotencyResult.EXECUTED);
+  assert.ok(redis.extensions >= 2);
+  const record = JSON.parse(redis.values.get(getIdempotencyKey('purchase:john123', 'slow')));
+  assert.equal(record.state, 'COMPLETED');
+});
+
+test('a request whose marker was taken over does not overwrite the new record', async () => {
+  const redis = createFakeRedis();
+  const redisKey = getIdempotencyKey('purchase:john123', 'lost');
+  const otherRecord = JSON.stringify({ state: 'IN_PROGRESS', fingerprint: 'x', token: 'other' });
+
+  await withIdempotency('purchase:john123', 'lost', { quantity: 1 }, async () => {
+    // The marker expired and another request with the key took over
+    redis.values.set(redisKey, otherRecord);
+    return { statusCode: 200, body: { result: 'SUCCESS' } };
+  });
+
+  assert.equal(redis.values.get(redisKey), otherRecord);
+});
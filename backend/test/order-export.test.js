@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPool } from '../src/db/postgres.js';
+import { exportSaleOrders, ExportFormat } from '../src/services/order-export.js';
+
+const sale = { id: 1, name: 'Test Sale', start_time: null, end_time: null, total_stock: 10, max_per_user: 1 };
+
+// A pooled connection that returns a batch for every FETCH and records what it was asked to do
+function createFakeClient({ failRollback = false } = {}) {
+  let nextId = 1;
+  let resolveRelease;
+  const client = {
+    queries: [],
+    released: new Promise((resolve) => {
+      resolveRelease = resolve;
+    }),
+    async query(text) {
+      client.queries.push(text.trim().split(/\s+/)[0]);
+      if (text === 'ROLLBACK' && failRollback) {
+        throw new Error('connection lost');
+      }
+      if (text.startsWith('FETCH')) {
+        return { rows: [{ id: nextId++, user_id: 'u', quantity: 1, status: 'SUCCESS', created_at: new Date() }] };
+      }
+      return { rows: [] };
+    },
+    release(error) {
+      resolveRelease({ error });
+    },
+  };
+  getPool().connect = async () => client;
+  return client;
+}
+
+async function destroyAfterFirstOrders(stream) {
+  for await (const chunk of stream) {
+    if (String(chunk).includes('"type":"order"')) {
+      stream.destroy();
+      break;
+    }
+  }
+}
+
+test('an export destroyed mid-iteration rolls back before releasing its connection', async () => {
+  const client = createFakeClient();
+  await destroyAfterFirstOrders(exportSaleOrders(sale, {}, ExportFormat.NDJSON));
+
+  const { error } = await client.released;
+  assert.equal(error, undefined);
+  assert.equal(client.queries.at(-1), 'ROLLBACK');
+  assert.ok(!client.queries.includes('COMMIT'));
+});
+
+test('an export whose rollback fails destroys its connection instead of pooling it', async () => {
+  const client = createFakeClient({ failRollback: true });
+  await destroyAfterFirstOrders(exportSaleOrders(sale, {}, ExportFormat.NDJSON));
+
+  const { error } = await client.released;
+  assert.ok(error instanceof Error);
+});
@@ -0,0 +1,83 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPool } from '../src/db/postgres.js';
+import { getRedisClient } from '../src/services/redis.js';
+import { processPurchase, PurchaseResult } from '../src/services/purchase.js';
+import { BreakerState, startRedisBreaker, stopRedisBreaker } from '../src/services/redis-breaker.js';
+import { config } from '../src/config/index.js';
+
+const now = Date.now();
+const sale = {
+  id: 1,
+  name: 'Test Sale',
+  start_time: new Date(now - 60000),
+  end_time: new Date(now + 60000),
+  total_stock: 10,
+  max_per_user: 1,
+  stock_shards: 1,
+  item_count: 0,
+};
+
+// Postgres with the sale and a closed circuit breaker
+function createFakeDatabase() {
+  getPool().query = async (text) => (
+    text.includes('redis_breaker')
+      ? { rows: [{ state: BreakerState.CLOSED, epoch: 0, opened_at: null, reseeded_sales: [] }] }
+      : { rows: [sale] }
+  );
+  getPool().connect = async () => {
+    throw new Error('no order may be saved for a gate call that timed out');
+  };
+}
+
+after(() => stopRedisBreaker());
+
+// A Redis that holds every command until stalledMs have passed, then runs them in the order they were sent
+function createStalledRedis({ stock, stalledMs }) {
+  const redis = { stock, ran: [], gateTokenKey: null, cancelTokenKey: null };
+  const tokens = new Map();
+  const resumed = new Promise((resolve) => setTimeout(resolve, stalledMs));
+  let queue = resumed;
+  const send = (name, command) => {
+    const reply = queue.then(() => {
+      redis.ran.push(name);
+      return command();
+    });
+    queue = reply;
+    return reply;
+  };
+
+  const client = getRedisClient();
+  client.purchaseGate = (numKeys, ...args) => send('gate', () => {
+    redis.gateTokenKey = args[3];
+    if (tokens.has(redis.gateTokenKey)) {
+      return ['CANCELLED', 0, 0, 0];
+    }
+    redis.stock -= 1;
+    tokens.set(redis.gateTokenKey, 1);
+    return ['SUCCESS', redis.stock, 0, 0];
+  });
+  client.cancelGate = (numKeys, ...args) => send('cancel', () => {
+    redis.cancelTokenKey = args[6];
+    const units = tokens.get(redis.cancelTokenKey) || 0;
+    tokens.set(redis.cancelTokenKey, 0);
+    redis.stock += units;
+    return [units, 0];
+  });
+  return redis;
+}
+
+test('a purchase gate call that answers after the timeout has its units released', async () => {
+  config.redisBreaker.callTimeoutMs = 30;
+  createFakeDatabase();
+  await startRedisBreaker();
+  const redis = createStalledRedis({ stock: 10, stalledMs: 50 });
+
+  const result = await processPurchase('john123', sale.id);
+
+  assert.equal(result.result, PurchaseResult.ERROR);
+  assert.deepEqual(redis.ran, ['gate', 'cancel']);
+  assert.match(redis.gateTokenKey, /^sale:\{1\}:gate:/);
+  assert.equal(redis.cancelTokenKey, redis.gateTokenKey);
+  assert.equal(redis.stock, 10);
+});
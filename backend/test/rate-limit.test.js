@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Fastify from 'fastify';
+import rateLimit from '@fastify/rate-limit';
+import { issueShopperToken } from '../src/services/auth.js';
+import {
+  getIpRateLimitKey,
+  getUserRateLimitKey,
+  isRateLimitBypassed,
+  isUserRateLimitSkipped,
+  perUserLimit,
+} from '../src/middleware/rate-limit.js';
+import { config } from '../src/config/index.js';
+
+// The server's two rate-limit registrations with in-memory counters, in front of a route allowing 2 per user
+async function createApp() {
+  config.rateLimit.ipMaxFactor = 2;
+  const app = Fastify();
+  await app.register(rateLimit, { keyGenerator: getIpRateLimitKey, allowList: isRateLimitBypassed });
+  await app.register(rateLimit, { keyGenerator: getUserRateLimitKey, allowList: isUserRateLimitSkipped });
+  app.post('/purchase', { config: { rateLimit: perUserLimit({ max: 2, timeWindow: '1 minute' }) } }, async () => ({ ok: true }));
+  return app;
+}
+
+async function send(app, { user = null, ip = '10.0.0.1' } = {}) {
+  const headers = user ? { authorization: `Bearer ${issueShopperToken(user)}` } : {};
+  const response = await app.inject({ method: 'POST', url: '/purchase', headers, remoteAddress: ip });
+  return response.statusCode;
+}
+
+test('one user is limited per user across addresses', async () => {
+  const app = await createApp();
+  const statuses = [];
+  for (const ip of ['10.0.0.1', '10.0.0.2', '10.0.0.3']) {
+    statuses.push(await send(app, { user: 'john123', ip }));
+  }
+  assert.deepEqual(statuses, [200, 200, 429]);
+});
+
+test('one address is limited per IP across many users', async () => {
+  const app = await createApp();
+  const statuses = [];
+  for (const user of ['u1', 'u2', 'u3', 'u4', 'u5']) {
+    statuses.push(await send(app, { user }));
+  }
+  assert.deepEqual(statuses, [200, 200, 200, 200, 429]);
+});
+
+test('anonymous requests are limited per IP at the route limit', async () => {
+  const app = await createApp();
+  const statuses = [await send(app), await send(app), await send(app), await send(app, { ip: '10.0.0.2' })];
+  assert.deepEqual(statuses, [200, 200, 429, 200]);
+});
@@ -0,0 +1,90 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPool } from '../src/db/postgres.js';
+import { getRedisClient } from '../src/services/redis.js';
+import { reconcileSale } from '../src/services/reconciler.js';
+import { BreakerState, startRedisBreaker, stopRedisBreaker } from '../src/services/redis-breaker.js';
+import { config } from '../src/config/index.js';
+
+const hour = 3600000;
+
+function createSale({ startedAgo, endsIn, closed = false }) {
+  const now = Date.now();
+  return {
+    id: 1,
+    name: 'Test Sale',
+    start_time: new Date(now - startedAgo),
+    end_time: new Date(now + endsIn),
+    total_stock: 10,
+    max_per_user: 1,
+    stock_shards: 1,
+    closed_at: closed ? new Date(now - 1000) : null,
+    item_count: 0,
+  };
+}
+
+// Postgres with the sale, a closed circuit breaker and orders leaving dbRemaining units
+function createFakeDatabase(sale, { dbRemaining }) {
+  getPool().query = async (text) => {
+    if (text.includes('redis_breaker')) {
+      return { rows: [{ state: BreakerState.CLOSED, epoch: 0, opened_at: null, reseeded_sales: [] }] };
+    }
+    if (text.includes('remaining_stock')) {
+      return { rows: [{ remaining_stock: dbRemaining }] };
+    }
+    if (text.includes('FROM flash_sale WHERE id')) {
+      return { rows: [sale] };
+    }
+    return { rows: [] };
+  };
+}
+
+// Redis holding the sale's stock key, no claims and no user counts; adjustStock calls are recorded
+function createFakeRedis({ stock }) {
+  const redis = { stock, adjustments: [] };
+  const client = getRedisClient();
+  client.get = async () => String(redis.stock);
+  client.exists = async () => 1;
+  client.hvals = async () => [];
+  client.scan = async () => ['0', []];
+  client.adjustStock = async (...args) => {
+    const units = args.at(-1);
+    redis.adjustments.push(units);
+    redis.stock += units;
+    return [redis.stock, 0];
+  };
+  return redis;
+}
+
+after(() => stopRedisBreaker());
+
+test('a drifted sale is not repaired while it is active', async () => {
+  config.reconciler.confirmDelayMs = 0;
+  const sale = createSale({ startedAgo: hour, endsIn: hour });
+  createFakeDatabase(sale, { dbRemaining: 5 });
+  await startRedisBreaker();
+  const redis = createFakeRedis({ stock: 3 });
+
+  const report = await reconcileSale(sale.id, { repair: true });
+
+  assert.equal(report.stock[0].drift, 2);
+  assert.ok(report.repairSkipped);
+  assert.deepEqual(redis.adjustments, []);
+});
+
+test('a drifted sale is repaired after it ends, closed or not', async () => {
+  config.reconciler.confirmDelayMs = 0;
+  for (const closed of [false, true]) {
+    const sale = createSale({ startedAgo: 2 * hour, endsIn: -hour, closed });
+    createFakeDatabase(sale, { dbRemaining: 5 });
+    await startRedisBreaker();
+    const redis = createFakeRedis({ stock: 3 });
+
+    const report = await reconcileSale(sale.id, { repair: true });
+
+    assert.equal(report.skipped, null);
+    assert.equal(report.repairSkipped, null);
+    assert.deepEqual(redis.adjustments, [2]);
+    assert.equal(redis.stock, 5);
+  }
+});
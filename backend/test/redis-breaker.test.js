@@ -0,0 +1,43 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPool } from '../src/db/postgres.js';
+import {
+  BreakerState,
+  SaleMode,
+  getSaleMode,
+  usesDatabase,
+  startRedisBreaker,
+  stopRedisBreaker,
+} from '../src/services/redis-breaker.js';
+
+// Postgres holding the shared breaker row, the sale's re-seed state and how many instances still use Redis
+function createFakeDatabase(shared) {
+  getPool().query = async (text) => {
+    if (text.includes('undrained_instances')) {
+      return { rows: [{ state: shared.state, reseeded: shared.reseeded, undrained_instances: shared.undrainedInstances }] };
+    }
+    return { rows: [{ state: shared.state, epoch: 1, opened_at: new Date(), reseeded_sales: shared.reseeded ? [1] : [] }] };
+  };
+}
+
+after(() => stopRedisBreaker());
+
+test('an instance that has not synced yet keeps purchases off Redis', () => {
+  assert.equal(usesDatabase(1), true);
+});
+
+test('a sale stays off the DB path while another instance may still sell it from Redis', async () => {
+  const shared = { state: BreakerState.OPEN, reseeded: false, undrainedInstances: 1 };
+  createFakeDatabase(shared);
+  await startRedisBreaker();
+
+  assert.equal(usesDatabase(1), true);
+  assert.equal(await getSaleMode(1), SaleMode.WAIT);
+
+  shared.undrainedInstances = 0;
+  assert.equal(await getSaleMode(1), SaleMode.DATABASE);
+
+  shared.state = BreakerState.HALF_OPEN;
+  shared.reseeded = true;
+  assert.equal(await getSaleMode(1), SaleMode.REDIS);
+});
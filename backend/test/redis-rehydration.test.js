@@ -0,0 +1,85 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPool } from '../src/db/postgres.js';
+import { getRedisClient } from '../src/services/redis.js';
+import { rehydrateIfNeeded, stopRehydrationWatch } from '../src/services/redis-rehydration.js';
+import { BreakerState, startRedisBreaker, stopRedisBreaker } from '../src/services/redis-breaker.js';
+import { config } from '../src/config/index.js';
+
+const now = Date.now();
+const sale = {
+  id: 1,
+  name: 'Test Sale',
+  start_time: new Date(now - 60000),
+  end_time: new Date(now + 60000),
+  total_stock: 10,
+  max_per_user: 1,
+  stock_shards: 1,
+  item_count: 0,
+};
+
+// Postgres with one live sale and the shared breaker in breakerState (the sale not re-seeded)
+function createFakeDatabase({ breakerState }) {
+  getPool().query = async (text) => {
+    if (text.includes('redis_breaker')) {
+      return { rows: [{ state: breakerState, epoch: 1, opened_at: null, reseeded_sales: [] }] };
+    }
+    if (text.includes('end_time >= NOW()')) {
+      return { rows: [{ id: sale.id }] };
+    }
+    if (text.includes('FROM flash_sale WHERE id')) {
+      return { rows: [sale] };
+    }
+    return { rows: [] };
+  };
+}
+
+// Redis that lost the sale's stock and the marker, optionally with orders the order writer has not read yet
+function createFakeRedis({ unwrittenOrders = 0 }) {
+  const redis = { marked: false, unlinked: [] };
+  const client = getRedisClient();
+  client.exists = async (key) => (key === config.orderPersistence.streamKey && unwrittenOrders > 0 ? 1 : 0);
+  client.set = async (key) => {
+    if (key === config.rehydration.markerKey) {
+      redis.marked = true;
+    }
+    return 'OK';
+  };
+  client.releaseLock = async () => 1;
+  client.extendLock = async () => 1;
+  client.xinfo = async () => [['name', config.orderPersistence.consumerGroup, 'pending', unwrittenOrders, 'lag', 0]];
+  client.unlink = async (key) => {
+    redis.unlinked.push(key);
+  };
+  return redis;
+}
+
+after(() => {
+  stopRehydrationWatch();
+  stopRedisBreaker();
+});
+
+test('nothing is rebuilt while the order stream holds orders not saved yet', async () => {
+  config.orderPersistence.mode = 'stream';
+  createFakeDatabase({ breakerState: BreakerState.CLOSED });
+  await startRedisBreaker();
+  const redis = createFakeRedis({ unwrittenOrders: 3 });
+
+  assert.equal(await rehydrateIfNeeded('test'), null);
+  assert.deepEqual(redis.unlinked, []);
+  assert.equal(redis.marked, false);
+  stopRehydrationWatch();
+  stopRedisBreaker();
+});
+
+test('a sale on the breaker DB path is left to the breaker and checked again', async () => {
+  config.orderPersistence.mode = 'sync';
+  createFakeDatabase({ breakerState: BreakerState.OPEN });
+  await startRedisBreaker();
+  const redis = createFakeRedis({});
+
+  assert.deepEqual(await rehydrateIfNeeded('test'), []);
+  assert.deepEqual(redis.unlinked, []);
+  assert.equal(redis.marked, false);
+  stopRehydrationWatch();
+});
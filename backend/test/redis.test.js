@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRedisClient, attemptPurchase, GateResult } from '../src/services/redis.js';
+
+// Redis for a 2-bucket sale holding 1 unit per bucket, with the allowance reserved; the call fails at the
+// second bucket take, or at the token write (which may or may not have recorded the units under the token)
+function createFailingRedis({ failingCommand, tokenValue = null }) {
+  const redis = { restored: [], undone: 0 };
+  const client = getRedisClient();
+  let takes = 0;
+  client.reserveAllowance = async () => [GateResult.SUCCESS, 0, 0, '0'];
+  client.takeStock = async (key) => {
+    takes += 1;
+    if (failingCommand === 'takeStock' && takes > 1) {
+      throw new Error('Connection is closed.');
+    }
+    return [1, 0];
+  };
+  client.set = async () => {
+    if (failingCommand === 'set') {
+      throw new Error('Connection is closed.');
+    }
+    return 'OK';
+  };
+  client.get = async () => tokenValue;
+  client.incrby = async (key, units) => {
+    redis.restored.push([key, units]);
+  };
+  client.undoReserve = async () => {
+    redis.undone += 1;
+  };
+  return redis;
+}
+
+test('units taken by a sharded purchase go back when a later bucket take fails', async () => {
+  const redis = createFailingRedis({ failingCommand: 'takeStock' });
+
+  await assert.rejects(
+    attemptPurchase(1, 'john123', 2, { maxPerUser: 2, shards: 2, gateToken: 'token' }),
+    /Connection is closed/
+  );
+
+  assert.equal(redis.restored.length, 1);
+  assert.match(redis.restored[0][0], /^sale:\{1(:1)?\}:stock$/);
+  assert.equal(redis.restored[0][1], 1);
+  assert.equal(redis.undone, 1);
+});
+
+test('a failed token write is undone only when it did not record the units', async () => {
+  for (const [tokenValue, undone] of [[null, true], ['cancelled', true], ['2', false]]) {
+    const redis = createFailingRedis({ failingCommand: 'set', tokenValue });
+
+    await assert.rejects(attemptPurchase(1, 'john123', 2, { maxPerUser: 2, shards: 2, gateToken: 'token' }));
+
+    // Recorded units are the token's cancel to give back; undoing them here as well would release them twice
+    assert.equal(redis.restored.length, undone ? 2 : 0);
+    assert.equal(redis.undone, undone ? 1 : 0);
+  }
+});
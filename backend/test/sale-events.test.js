@@ -0,0 +1,51 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { getRedisClient } from '../src/services/redis.js';
+import { watchSale, closeSaleEvents } from '../src/services/sale-events.js';
+
+const snapshot = { saleId: 1, status: 'ACTIVE', startTime: new Date(), endTime: new Date(), remainingStock: 5 };
+
+// A subscriber connection whose first SUBSCRIBE fails and later ones succeed
+function createFlakySubscriber() {
+  const subscriber = new EventEmitter();
+  subscriber.subscribes = 0;
+  subscriber.subscribe = async () => {
+    subscriber.subscribes += 1;
+    if (subscriber.subscribes === 1) {
+      throw new Error('Connection is closed.');
+    }
+  };
+  subscriber.unsubscribe = async () => {};
+  subscriber.quit = async () => {};
+  getRedisClient().duplicate = () => subscriber;
+  return subscriber;
+}
+
+function createStream() {
+  const stream = { written: [], write: (chunk) => stream.written.push(chunk), end: () => {} };
+  return stream;
+}
+
+after(() => closeSaleEvents());
+
+test('a sale whose subscribe failed is subscribed again by the next stream', async () => {
+  const subscriber = createFlakySubscriber();
+  const first = createStream();
+  const waiting = createStream();
+
+  // A stream attaching while the failing subscribe is in flight fails with it instead of waiting for events forever
+  await Promise.all([
+    assert.rejects(watchSale(1, first, snapshot), /Connection is closed/),
+    assert.rejects(watchSale(1, waiting, snapshot), /Connection is closed/),
+  ]);
+  assert.deepEqual(first.written, []);
+  assert.deepEqual(waiting.written, []);
+
+  const next = createStream();
+  const unwatch = await watchSale(1, next, snapshot);
+
+  assert.equal(subscriber.subscribes, 2);
+  assert.match(next.written[0], /^event: snapshot\n/);
+  unwatch();
+});
@@ -1,5 +1,16 @@
 import { useState, useEffect, useCallback } from 'react';
-import { getSaleStatus, purchase, checkPurchase } from './api';
+import {
+  getSaleStatus,
+  subscribeToSale,
+  purchase,
+  checkPurchase,
+  confirmOrder,
+  getPendingOrder,
+  joinWaitingRoom,
+  getWaitingRoomStatus,
+  joinWaitlist,
+  getWaitlistStatus,
+} from './api';
 
 const STATUS_COLORS = {
   UPCOMING: 'bg-blue-500',
@@ -10,9 +21,18 @@ const STATUS_COLORS = {
 
 const RESULT_MESSAGES = {
   SUCCESS: { color: 'text-green-600', bg: 'bg-green-50', border: 'border-green-200' },
+  PENDING: { color: 'text-blue-600', bg: 'bg-blue-50', border: 'border-blue-200' },
   ALREADY_PURCHASED: { color: 'text-yellow-600', bg: 'bg-yellow-50', border: 'border-yellow-200' },
+  LIMIT_EXCEEDED: { color: 'text-yellow-600', bg: 'bg-yellow-50', border: 'border-yellow-200' },
   SOLD_OUT: { color: 'text-red-600', bg: 'bg-red-50', border: 'border-red-200' },
+  INSUFFICIENT_STOCK: { color: 'text-red-600', bg: 'bg-red-50', border: 'border-red-200' },
   SALE_NOT_ACTIVE: { color: 'text-orange-600', bg: 'bg-orange-50', border: 'border-orange-200' },
+  STOCK_UNAVAILABLE: { color: 'text-orange-600', bg: 'bg-orange-50', border: 'border-orange-200' },
+  PAID: { color: 'text-green-600', bg: 'bg-green-50', border: 'border-green-200' },
+  RESERVATION_EXPIRED: { color: 'text-red-600', bg: 'bg-red-50', border: 'border-red-200' },
+  ADMISSION_REQUIRED: { color: 'text-orange-600', bg: 'bg-orange-50', border: 'border-orange-200' },
+  ADMISSION_INVALID: { color: 'text-orange-600', bg: 'bg-orange-50', border: 'border-orange-200' },
+  ADMISSION_EXPIRED: { color: 'text-orange-600', bg: 'bg-orange-50', border: 'border-orange-200' },
   ERROR: { color: 'text-red-600', bg: 'bg-red-50', border: 'border-red-200' },
 };
 
@@ -20,13 +40,33 @@ function formatTime(dateString) {
   return new Date(dateString).toLocaleString();
 }
 
+// Merge a stock event into the current sale status
+function applyStock(current, stock) {
+  const itemStock = new Map(stock.items.map((item) => [item.itemId, item.remainingStock]));
+  return {
+    ...current,
+    remainingStock: stock.remainingStock,
+    items: current.items.map((item) => (
+      itemStock.has(item.itemId) ? { ...item, remainingStock: itemStock.get(item.itemId) } : item
+    )),
+  };
+}
+
 function App() {
   const [saleStatus, setSaleStatus] = useState(null);
   const [userId, setUserId] = useState('');
+  const [quantity, setQuantity] = useState(1);
+  const [itemId, setItemId] = useState(null);
   const [loading, setLoading] = useState(false);
   const [purchaseResult, setPurchaseResult] = useState(null);
   const [error, setError] = useState(null);
   const [countdown, setCountdown] = useState(null);
+  const [streamFailed, setStreamFailed] = useState(false);
+  // Waiting room state for the current user: { status, position, estimatedWaitSeconds } or { status, admissionToken }
+  const [queue, setQueue] = useState(null);
+  // Sold-out waitlist state: { status, position } or { status, claimedUnits, claimExpiresAt }
+  const [waitlist, setWaitlist] = useState(null);
+  const saleId = saleStatus?.saleId;
 
   const fetchStatus = useCallback(async () => {
     try {
@@ -39,11 +79,43 @@ function App() {
     }
   }, []);
 
+  // The first status read also tells us which sale to stream
   useEffect(() => {
     fetchStatus();
+  }, [fetchStatus]);
+
+  // Live updates over SSE
+  useEffect(() => {
+    if (!saleId || streamFailed) return;
+
+    const source = subscribeToSale(saleId, {
+      onSnapshot: (status) => {
+        setSaleStatus(status);
+        setError(null);
+      },
+      onStock: (stock) => setSaleStatus((current) => applyStock(current, stock)),
+      onStatus: ({ status }) => {
+        if (status === 'NOT_FOUND') {
+          fetchStatus();
+          return;
+        }
+        setSaleStatus((current) => ({ ...current, status }));
+      },
+      onSoldOut: () => setSaleStatus((current) => ({ ...current, remainingStock: 0 })),
+      onError: () => {
+        console.warn('Sale event stream failed, falling back to polling');
+        setStreamFailed(true);
+      },
+    });
+    return () => source.close();
+  }, [saleId, streamFailed, fetchStatus]);
+
+  // Poll only while there is no stream (backend unreachable or the stream failed)
+  useEffect(() => {
+    if (saleId && !streamFailed) return;
     const interval = setInterval(fetchStatus, 2000);
     return () => clearInterval(interval);
-  }, [fetchStatus]);
+  }, [saleId, streamFailed, fetchStatus]);
 
   useEffect(() => {
     if (!saleStatus || saleStatus.status !== 'UPCOMING') {
@@ -74,6 +146,45 @@ function App() {
     return () => clearInterval(interval);
   }, [saleStatus, fetchStatus]);
 
+  // A place in the waiting room belongs to one user ID
+  useEffect(() => {
+    setQueue(null);
+    setWaitlist(null);
+  }, [userId]);
+
+  // Poll the queue position until admitted
+  useEffect(() => {
+    if (queue?.status !== 'QUEUED' || !saleId) return;
+    const buyerId = userId.trim();
+
+    const interval = setInterval(async () => {
+      try {
+        setQueue(await getWaitingRoomStatus(saleId, buyerId));
+      } catch (err) {
+        console.error('Waiting room error:', err);
+      }
+    }, 2000);
+    return () => clearInterval(interval);
+  }, [queue?.status, saleId, userId]);
+
+  // Poll the waitlist position until promoted to a claim
+  useEffect(() => {
+    if (waitlist?.status !== 'WAITLISTED' || !saleId) return;
+    const buyerId = userId.trim();
+    const waitlistItemId = waitlist.itemId;
+
+    const interval = setInterval(async () => {
+      try {
+        setWaitlist(await getWaitlistStatus(saleId, buyerId, waitlistItemId));
+      } catch (err) {
+        console.error('Waitlist error:', err);
+      }
+    }, 3000);
+    return () => clearInterval(interval);
+  }, [waitlist?.status, waitlist?.itemId, saleId, userId]);
+
+  const needsAdmission = saleStatus?.waitingRoom && queue?.status !== 'ADMITTED';
+
   const handlePurchase = async (e) => {
     e.preventDefault();
     if (!userId.trim()) {
@@ -85,8 +196,18 @@ function App() {
     setPurchaseResult(null);
 
     try {
-      const result = await purchase(userId.trim());
+      if (needsAdmission) {
+        setQueue(await joinWaitingRoom(saleStatus.saleId, userId.trim()));
+        return;
+      }
+
+      const result = await purchase(userId.trim(), quantity, selectedItem?.itemId, {
+        admissionToken: queue?.admissionToken,
+      });
       setPurchaseResult(result);
+      if (result.result?.startsWith('ADMISSION_')) {
+        setQueue(null);
+      }
       fetchStatus();
     } catch (err) {
       setPurchaseResult({ result: 'ERROR', message: 'Network error. Please try again.' });
@@ -96,6 +217,74 @@ function App() {
     }
   };
 
+  const handleJoinWaitlist = async () => {
+    setLoading(true);
+    try {
+      const state = await joinWaitlist(saleId, userId.trim(), selectedItem?.itemId);
+      if (state.status === 'IN_STOCK') {
+        // Stock came back before joining, so the buyer can simply try again
+        setPurchaseResult(null);
+        fetchStatus();
+        return;
+      }
+      setWaitlist(state);
+    } catch (err) {
+      setPurchaseResult({ result: 'ERROR', message: 'Could not join the waitlist. Please try again.' });
+      console.error('Waitlist error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Stream mode: poll the pending reference until the worker has saved the order
+  useEffect(() => {
+    const reference = purchaseResult?.result === 'PENDING' ? purchaseResult.order?.reference : null;
+    if (!reference) return;
+    const buyerId = purchaseResult.order.userId;
+
+    const interval = setInterval(async () => {
+      try {
+        const pending = await getPendingOrder(reference, buyerId);
+        if (pending.status === 'COMPLETED') {
+          setPurchaseResult((current) => ({
+            ...current,
+            result: 'SUCCESS',
+            message: current.order.expiresAt
+              ? 'Reserved! Please complete payment before the reservation expires'
+              : 'Purchase successful!',
+            order: {
+              ...current.order,
+              id: pending.orderId,
+              status: current.order.expiresAt ? 'RESERVED' : 'SUCCESS',
+            },
+          }));
+        } else if (pending.status === 'FAILED') {
+          setPurchaseResult({ result: 'ERROR', message: pending.error });
+        }
+      } catch (err) {
+        console.error('Pending order error:', err);
+      }
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [purchaseResult]);
+
+  const handleConfirmPayment = async () => {
+    const order = purchaseResult?.order;
+    if (!order) return;
+
+    setLoading(true);
+    try {
+      const result = await confirmOrder(order.id, order.userId);
+      setPurchaseResult(result);
+      fetchStatus();
+    } catch (err) {
+      setPurchaseResult({ result: 'ERROR', message: 'Network error. Please try again.' });
+      console.error('Confirm payment error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleCheckPurchase = async () => {
     if (!userId.trim()) return;
 
@@ -104,7 +293,7 @@ function App() {
       if (result.purchased) {
         setPurchaseResult({
           result: 'ALREADY_PURCHASED',
-          message: `You already purchased at ${formatTime(result.order.createdAt)}`,
+          message: `You bought ${result.totalQuantity} unit(s), last order at ${formatTime(result.order.createdAt)}`,
         });
       } else {
         setPurchaseResult({
@@ -117,6 +306,11 @@ function App() {
     }
   };
 
+  const items = saleStatus?.items || [];
+  const selectedItem = items.find((item) => item.itemId === itemId) || items[0] || null;
+  const maxPerUser = Math.min(saleStatus?.maxPerUser || 1, selectedItem?.maxPerUser || Infinity);
+  const selectedStock = selectedItem ? selectedItem.remainingStock : saleStatus?.remainingStock;
+
   const stockPercentage = saleStatus
     ? (saleStatus.remainingStock / saleStatus.totalStock) * 100
     : 0;
@@ -128,7 +322,9 @@ function App() {
           <h1 className="text-4xl md:text-5xl font-bold text-gradient mb-2">
             ⚡ FLASH SALE
           </h1>
-          <p className="text-gray-400">Limited Stock - One Per Customer</p>
+          <p className="text-gray-400">
+            Limited Stock - {maxPerUser > 1 ? `Up To ${maxPerUser}` : 'One'} Per Customer
+          </p>
         </header>
 
         {error && (
@@ -182,6 +378,19 @@ function App() {
               )}
             </div>
 
+            {items.length > 0 && (
+              <div className="mb-6 space-y-2">
+                {items.map((item) => (
+                  <div key={item.itemId} className="flex justify-between text-sm bg-gray-700/50 rounded-lg px-3 py-2">
+                    <span className="text-gray-300">{item.name}</span>
+                    <span className={item.remainingStock === 0 ? 'text-red-400 font-bold' : 'text-white font-bold'}>
+                      {item.remainingStock} / {item.totalStock}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+
             <div className="grid grid-cols-2 gap-4 text-sm">
               <div className="bg-gray-700/50 rounded-lg p-3">
                 <p className="text-gray-400">Start Time</p>
@@ -217,10 +426,59 @@ function App() {
               </p>
             </div>
 
+            {items.length > 0 && (
+              <div>
+                <label htmlFor="itemId" className="block text-gray-400 text-sm mb-2">
+                  Item
+                </label>
+                <select
+                  id="itemId"
+                  value={selectedItem?.itemId ?? ''}
+                  onChange={(e) => setItemId(parseInt(e.target.value, 10))}
+                  className="w-full px-4 py-3 rounded-lg bg-gray-700 border border-gray-600 text-white focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition"
+                  disabled={loading}
+                >
+                  {items.map((item) => (
+                    <option key={item.itemId} value={item.itemId}>
+                      {item.name} ({item.remainingStock} left)
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {maxPerUser > 1 && (
+              <div>
+                <label htmlFor="quantity" className="block text-gray-400 text-sm mb-2">
+                  Quantity
+                </label>
+                <input
+                  type="number"
+                  id="quantity"
+                  min={1}
+                  max={maxPerUser}
+                  value={quantity}
+                  onChange={(e) => setQuantity(Math.min(maxPerUser, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+                  className="w-full px-4 py-3 rounded-lg bg-gray-700 border border-gray-600 text-white focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition"
+                  disabled={loading}
+                />
+                <p className="text-gray-500 text-xs mt-1">
+                  Up to {maxPerUser} units per customer across all your orders
+                </p>
+              </div>
+            )}
+
             <div className="flex gap-3">
               <button
                 type="submit"
-                disabled={loading || !saleStatus || saleStatus.status !== 'ACTIVE' || saleStatus.remainingStock === 0}
+                disabled={
+                  loading
+                  || !saleStatus
+                  || selectedStock === 0
+                  || (needsAdmission
+                    ? saleStatus.status === 'ENDED' || queue?.status === 'QUEUED'
+                    : saleStatus.status !== 'ACTIVE')
+                }
                 className="flex-1 py-3 px-6 rounded-lg font-semibold text-white bg-gradient-to-r from-red-500 to-orange-500 hover:from-red-600 hover:to-orange-600 disabled:opacity-50 disabled:cursor-not-allowed transition transform hover:scale-[1.02] active:scale-[0.98]"
               >
                 {loading ? (
@@ -231,6 +489,8 @@ function App() {
                     </svg>
                     Processing...
                   </span>
+                ) : needsAdmission ? (
+                  '🎟️ JOIN QUEUE'
                 ) : (
                   '🛒 BUY NOW'
                 )}
@@ -247,6 +507,46 @@ function App() {
             </div>
           </form>
 
+          {queue?.status === 'QUEUED' && (
+            <div className="mt-4 p-4 rounded-lg border bg-blue-50 border-blue-200">
+              <p className="font-semibold text-blue-600">You are #{queue.position} in line</p>
+              <p className="text-gray-600 text-sm mt-1">
+                {queue.estimatedWaitSeconds !== null
+                  ? `Estimated wait: about ${queue.estimatedWaitSeconds}s`
+                  : 'Admission is paused, please keep this page open'}
+              </p>
+            </div>
+          )}
+
+          {queue?.status === 'ADMITTED' && (
+            <div className="mt-4 p-4 rounded-lg border bg-green-50 border-green-200">
+              <p className="font-semibold text-green-600">It's your turn!</p>
+              <p className="text-gray-600 text-sm mt-1">
+                Complete your purchase before {formatTime(queue.expiresAt)}
+              </p>
+            </div>
+          )}
+
+          {waitlist?.status === 'WAITLISTED' && (
+            <div className="mt-4 p-4 rounded-lg border bg-blue-50 border-blue-200">
+              <p className="font-semibold text-blue-600">You are #{waitlist.position} on the waitlist</p>
+              <p className="text-gray-600 text-sm mt-1">
+                If a unit is returned and it's your turn, it will be held for you here
+              </p>
+            </div>
+          )}
+
+          {waitlist?.status === 'CLAIM_AVAILABLE' && (
+            <div className="mt-4 p-4 rounded-lg border bg-green-50 border-green-200">
+              <p className="font-semibold text-green-600">
+                {waitlist.claimedUnits} unit(s) are being held for you!
+              </p>
+              <p className="text-gray-600 text-sm mt-1">
+                Buy before {formatTime(waitlist.claimExpiresAt)} or they go to the next person in line
+              </p>
+            </div>
+          )}
+
           {purchaseResult && (
             <div
               className={`mt-4 p-4 rounded-lg border ${
@@ -255,17 +555,52 @@ function App() {
             >
               <p className={`font-semibold ${RESULT_MESSAGES[purchaseResult.result]?.color || 'text-white'}`}>
                 {purchaseResult.result === 'SUCCESS' && '✅ '}
+                {purchaseResult.result === 'PENDING' && '⏳ '}
+                {purchaseResult.result === 'PAID' && '✅ '}
                 {purchaseResult.result === 'ALREADY_PURCHASED' && '⚠️ '}
+                {purchaseResult.result === 'LIMIT_EXCEEDED' && '⚠️ '}
                 {purchaseResult.result === 'SOLD_OUT' && '❌ '}
+                {purchaseResult.result === 'INSUFFICIENT_STOCK' && '❌ '}
                 {purchaseResult.result === 'SALE_NOT_ACTIVE' && '⏰ '}
                 {purchaseResult.result === 'ERROR' && '❗ '}
                 {purchaseResult.message}
               </p>
-              {purchaseResult.order && (
+              {purchaseResult.order?.id && (
                 <p className="text-gray-600 text-sm mt-1">
                   Order ID: {purchaseResult.order.id}
+                  {purchaseResult.order.quantity > 1 && ` (${purchaseResult.order.quantity} units)`}
                 </p>
               )}
+              {purchaseResult.order?.status === 'RESERVED' && (
+                <div className="mt-3">
+                  <p className="text-gray-600 text-sm mb-2">
+                    Pay before {formatTime(purchaseResult.order.expiresAt)} or the reservation is released
+                  </p>
+                  <button
+                    type="button"
+                    onClick={handleConfirmPayment}
+                    disabled={loading}
+                    className="py-2 px-4 rounded-lg font-semibold text-white bg-green-600 hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition"
+                  >
+                    💳 Pay now
+                  </button>
+                </div>
+              )}
+              {purchaseResult.waitlistPosition > 0 && (
+                <p className="text-gray-600 text-sm mt-1">
+                  You are #{purchaseResult.waitlistPosition} on the waitlist
+                </p>
+              )}
+              {purchaseResult.waitlistPosition === null && !waitlist && (
+                <button
+                  type="button"
+                  onClick={handleJoinWaitlist}
+                  disabled={loading}
+                  className="mt-3 py-2 px-4 rounded-lg font-semibold text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition"
+                >
+                  Join the waitlist
+                </button>
+              )}
               {purchaseResult.remainingStock !== undefined && (
                 <p className="text-gray-600 text-sm mt-1">
                   Remaining stock: {purchaseResult.remainingStock}
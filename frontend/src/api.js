@@ -1,5 +1,44 @@
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000';
 
+// Bearer tokens per user ID, fetched from the backend's dev token endpoint
+const tokens = new Map();
+
+async function getToken(userId) {
+  if (!tokens.has(userId)) {
+    const response = await fetch(`${API_URL}/auth/token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ userId }),
+    });
+    if (!response.ok) {
+      throw new Error('Failed to sign in');
+    }
+    const { token } = await response.json();
+    tokens.set(userId, token);
+  }
+  return tokens.get(userId);
+}
+
+// Fetch as the given user, getting a fresh token once if the current one was rejected
+async function authFetch(userId, url, options = {}) {
+  const send = async () => fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      Authorization: `Bearer ${await getToken(userId)}`,
+    },
+  });
+
+  const response = await send();
+  if (response.status !== 401) {
+    return response;
+  }
+  tokens.delete(userId);
+  return send();
+}
+
 export async function getSaleStatus() {
   const response = await fetch(`${API_URL}/sale/status`);
   if (!response.ok) {
@@ -8,19 +47,77 @@ export async function getSaleStatus() {
   return response.json();
 }
 
-export async function purchase(userId) {
-  const response = await fetch(`${API_URL}/purchase`, {
+// Pass the same idempotencyKey when retrying, so a retry after a lost response gets the original order back
+// admissionToken comes from the waiting room when it is enabled
+export async function purchase(userId, quantity = 1, itemId = undefined, { idempotencyKey = crypto.randomUUID(), admissionToken } = {}) {
+  const response = await authFetch(userId, `${API_URL}/purchase`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
+      'Idempotency-Key': idempotencyKey,
+      ...(admissionToken && { 'X-Admission-Token': admissionToken }),
     },
-    body: JSON.stringify({ userId }),
+    body: JSON.stringify({ quantity, itemId }),
+  });
+  return response.json();
+}
+
+export async function joinWaitingRoom(saleId, userId) {
+  const response = await authFetch(userId, `${API_URL}/sale/${saleId}/waiting-room`, {
+    method: 'POST',
+  });
+  if (!response.ok) {
+    throw new Error('Failed to join the waiting room');
+  }
+  return response.json();
+}
+
+export async function getWaitingRoomStatus(saleId, userId) {
+  const response = await authFetch(userId, `${API_URL}/sale/${saleId}/waiting-room`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch waiting room status');
+  }
+  return response.json();
+}
+
+export async function joinWaitlist(saleId, userId, itemId) {
+  const response = await authFetch(userId, `${API_URL}/sale/${saleId}/waitlist`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(itemId ? { itemId } : {}),
+  });
+  if (!response.ok) {
+    throw new Error('Failed to join the waitlist');
+  }
+  return response.json();
+}
+
+export async function getWaitlistStatus(saleId, userId, itemId) {
+  const query = itemId ? `?itemId=${itemId}` : '';
+  const response = await authFetch(userId, `${API_URL}/sale/${saleId}/waitlist${query}`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch waitlist status');
+  }
+  return response.json();
+}
+
+export async function confirmOrder(orderId, userId) {
+  const response = await authFetch(userId, `${API_URL}/orders/${orderId}/confirm`, {
+    method: 'POST',
   });
   return response.json();
 }
 
+export async function getPendingOrder(reference, userId) {
+  const response = await authFetch(userId, `${API_URL}/orders/pending/${encodeURIComponent(reference)}`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch pending order');
+  }
+  return response.json();
+}
+
 export async function checkPurchase(userId) {
-  const response = await fetch(`${API_URL}/purchase/${encodeURIComponent(userId)}`);
+  const response = await authFetch(userId, `${API_URL}/purchase/${encodeURIComponent(userId)}`);
   if (!response.ok) {
     throw new Error('Failed to check purchase status');
   }
@@ -35,13 +132,29 @@ export async function getSaleStats() {
   return response.json();
 }
 
-export async function resetSale(stock) {
+export async function resetSale(stock, apiKey) {
   const response = await fetch(`${API_URL}/sale/reset`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
+      'X-API-Key': apiKey,
     },
     body: JSON.stringify({ stock }),
   });
   return response.json();
 }
+
+// Live sale updates over Server-Sent Events - returns the EventSource so the caller can close it
+export function subscribeToSale(saleId, { onSnapshot, onStock, onStatus, onSoldOut, onError }) {
+  const source = new EventSource(`${API_URL}/sale/${saleId}/events`);
+  const listen = (type, handler) => {
+    source.addEventListener(type, (event) => handler(JSON.parse(event.data)));
+  };
+
+  listen('snapshot', onSnapshot);
+  listen('stock', onStock);
+  listen('status', onStatus);
+  listen('sold-out', onSoldOut);
+  source.onerror = onError;
+  return source;
+}